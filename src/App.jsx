@@ -1,154 +1,119 @@
-import React, { useState, useEffect, useMemo } from 'react'; // Added useMemo
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react'; // Added useMemo
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, query, where, doc, setDoc, deleteDoc, addDoc } from 'firebase/firestore';
-import { Send, BookOpen, Trash2, Loader, Plus, X, Search, Edit, Save, AlertTriangle, Image as ImageIcon, Star, Notebook, ArrowUpNarrowWide, ArrowDownWideNarrow } from 'lucide-react'; // Added Notebook & Sort Icons
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, onSnapshot, doc, setDoc } from 'firebase/firestore';
+import { Send, BookOpen, Trash2, ListChecks, CheckCircle, Loader, Plus, X, Search, Edit, Save, AlertTriangle, Image as ImageIcon, Star, Notebook, ArrowUpNarrowWide, ArrowDownWideNarrow, Upload, Download, LayoutGrid, BarChart3, UserCircle, CloudUpload, Palette, RotateCcw, RefreshCw, BellRing, ExternalLink, Globe, Sparkles, List, Table } from 'lucide-react'; // Added Notebook & Sort Icons
+import { getSettingsDocPath, Status } from './constants';
+import ImportModal from './components/ImportModal';
+import ExportModal from './components/ExportModal';
+import ReadingTimeline from './components/ReadingTimeline';
+import StatsView from './components/StatsView';
+import AccountModal from './components/AccountModal';
+import ConnectionStatus from './components/ConnectionStatus';
+import { toAccountInfo, getAccountLabel } from './utils/auth';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import TagInput from './components/TagInput';
+import TagFilterBar from './components/TagFilterBar';
+import { collectAllTags, matchesTags } from './utils/tags';
+import StatusManagerModal from './components/StatusManagerModal';
+import { buildStatusDefinitions, createStatusColorGetter, mergeCustomStatuses, toStatusSettings } from './utils/statuses';
+import { mergeGoals } from './utils/goals';
+import { createFirestoreTrackingRepository } from './repositories/firestoreTrackingRepository';
+import { describeChange } from './utils/history';
+import { TRASH_RETENTION_DAYS, isTrashed, getExpiredItems } from './utils/trash';
+import UndoToast from './components/UndoToast';
+import TrashModal from './components/TrashModal';
+import BulkActionBar from './components/BulkActionBar';
+import GoalsPanel from './components/GoalsPanel';
+import RecommendationsView from './components/RecommendationsView';
+import CommandPalette from './components/CommandPalette';
+import LibraryListView from './components/LibraryListView';
+import LibraryTableView from './components/LibraryTableView';
+import { SORT_FIELDS, sortItems } from './utils/librarySort';
+import { isCommandPaletteShortcut, handleItemKeyDown, moveGridFocus } from './utils/keyboard';
+import { describeBulkAction, buildBulkUpdates, fetchMetadataUpdates } from './utils/bulkActions';
+import { getUnreadCount, isReleaseCheckable } from './utils/releaseChecker';
+import { PROGRESS_UNITS, getProgressFields, formatProgress, formatProgressLabel, toProgressNumber } from './utils/progress';
+import useReleaseChecker from './hooks/useReleaseChecker';
+import SearchModal from './components/SearchModal';
+import CustomTitleModal from './components/CustomTitleModal';
+import { isCustomItem, isHttpUrl } from './utils/customTitles';
+import { getItemKeys, isSameTitle, createItemFromTitle } from './providers';
+import PublicProfileModal from './components/PublicProfileModal';
+import PublicProfileView from './components/PublicProfileView';
+import TitleDetailView from './components/TitleDetailView';
+import useHashRoute from './hooks/useHashRoute';
+import useFocusTrap from './hooks/useFocusTrap';
+import useLibraryLayout from './hooks/useLibraryLayout';
+import {
+  readLibraryQuery,
+  toLibraryQuery,
+  libraryPath,
+  statsPath,
+  forYouPath,
+  addPath,
+  addCustomPath,
+  editPath,
+  titlePath,
+  titleEditPath,
+} from './utils/routes';
 
 // Global Variables provided by the Canvas Environment:
-// Global Variables for GitHub project:
-const appId = 'my-github-app'; // This can be any string
 const firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG);
 const initialAuthToken = undefined; // Not needed outside this environment
-
-// --- UTILITY FUNCTIONS ---
-const JIKAN_API_URL = 'https://api.jikan.moe/v4/manga';
-const getUserCollectionPath = (userId) => `/artifacts/${appId}/users/${userId}/tracking_items`;
-
-// Status options for tracking
-const Status = {
-  READING: 'Reading',
-  PLAN_TO_READ: 'Plan to Read',
-  COMPLETED: 'Completed',
-  DROPPED: 'Dropped',
-};
-
-// --- MODAL & CARD COMPONENTS (Defined outside App) ---
+// Set VITE_USE_FIREBASE_EMULATORS=true in .env.local to run against `firebase emulators:start`
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
+
+// Top-level views of the app (each keeps the library filters in its query string)
+const VIEW_TABS = [
+  { view: 'library', label: 'Library', icon: LayoutGrid, path: libraryPath },
+  { view: 'stats', label: 'Stats', icon: BarChart3, path: statsPath },
+  { view: 'forYou', label: 'For You', icon: Sparkles, path: forYouPath },
+];
+
+// Layouts of the library view (remembered per user)
+const LAYOUT_OPTIONS = [
+  { layout: 'grid', label: 'Cards', icon: LayoutGrid },
+  { layout: 'list', label: 'Compact list', icon: List },
+  { layout: 'table', label: 'Table', icon: Table },
+];
+
+// How many recent changes can be undone
+const UNDO_LIMIT = 5;
 
 /**
- * A modal for searching the Jikan API and adding new items
+ * Sets up Firestore with a persistent (IndexedDB) cache shared across tabs, so the
+ * library loads offline and writes made offline are queued until we reconnect.
  */
-const SearchModal = ({ onClose, onTrackItem }) => {
-  const [query, setQuery] = useState('');
-  const [results, setResults] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [trackedIds, setTrackedIds] = useState(new Set()); // To disable buttons for already-tracked items
-
-  const handleSearch = async (e) => {
-    e.preventDefault();
-    if (query.trim().length < 3) {
-      setError('Please enter at least 3 characters to search.');
-      return;
-    }
-    setIsLoading(true);
-    setError(null);
-    setResults([]);
-
-    try {
-      const response = await fetch(`${JIKAN_API_URL}?q=${encodeURIComponent(query)}&limit=15`);
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.statusText}`);
-      }
-      const data = await response.json();
-      setResults(data.data || []);
-    } catch (err) {
-      console.error("API search failed:", err);
-      setError(err.message);
-    }
-    setIsLoading(false);
-  };
-
-  const handleTrack = (result) => {
-    onTrackItem(result);
-    setTrackedIds(prev => new Set(prev).add(result.mal_id)); // Visually disable button
-  };
-
-  return (
-    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
-      <div className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-2xl border border-gray-700 relative flex flex-col h-[90vh]">
-        <button
-          onClick={onClose}
-          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
-        >
-          <X size={24} />
-        </button>
-        <h2 className="text-2xl font-bold text-cyan-300 mb-6">Search and Add Title</h2>
-        
-        {/* Search Form */}
-        <form onSubmit={handleSearch} className="flex gap-4 mb-4">
-          <input
-            type="text"
-            placeholder="Search for Manga, Manhwa..."
-            value={query}
-            onChange={(e) => setQuery(e.target.value)}
-            className="flex-grow p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            autoFocus
-          />
-          <button
-            type="submit"
-            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white font-semibold rounded-lg flex items-center justify-center shadow-md"
-            disabled={isLoading}
-          >
-            {isLoading ? <Loader className="animate-spin" size={20} /> : <Search size={20} />}
-          </button>
-        </form>
-
-        {/* Results Area */}
-        <div className="flex-grow overflow-y-auto pr-2 -mr-2">
-          {error && <p className="text-center text-red-400">{error}</p>}
-          {!isLoading && results.length === 0 && !error && (
-            <p className="text-center text-gray-400 pt-8">Search results will appear here.</p>
-          )}
-          
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            {results.map((result, index) => (
-              <div key={`${result.mal_id}-${index}`} className="bg-gray-700 rounded-lg p-3 flex gap-3">
-                <img
-                  src={result.images?.jpg?.image_url}
-                  alt={result.title}
-                  className="w-20 h-28 object-cover rounded-md flex-shrink-0"
-                  onError={(e) => e.target.src = 'https://placehold.co/80x112/374151/9ca3af?text=No+Img'}
-                />
-                <div className="flex flex-col justify-between overflow-hidden">
-                  <div>
-                    <h3 className="text-base font-bold text-white truncate" title={result.title}>
-                      {result.title}
-                    </h3>
-                    <p className="text-sm text-cyan-300">{result.type} {result.status ? `(${result.status})` : ''}</p>
-                    <p className="text-xs text-gray-300">
-                      {result.chapters ? `${result.chapters} Chapters` : 'N/A Chapters'}
-                    </p>
-                  </div>
-                  <button
-                    onClick={() => handleTrack(result)}
-                    disabled={trackedIds.has(result.mal_id)}
-                    className="self-start mt-2 px-3 py-1 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-md text-sm disabled:bg-gray-500 disabled:cursor-not-allowed"
-                  >
-                    {trackedIds.has(result.mal_id) ? 'Added' : 'Track'}
-                  </button>
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+const initFirestore = (app) => {
+  try {
+    const firestore = initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+    if (useEmulators) connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
+    return firestore;
+  } catch {
+    // Already initialized (StrictMode runs the init effect twice in development)
+    return getFirestore(app);
+  }
 };
 
+// --- MODAL & CARD COMPONENTS (Defined outside App) ---
 
 /**
  * A modal for confirming deletion of an item
  */
-const ConfirmDeleteModal = ({ itemTitle, onCancel, onConfirm }) => (
+const ConfirmDeleteModal = ({ itemTitle, onCancel, onConfirm }) => {
+  const dialogRef = useFocusTrap(onCancel);
+  return (
   <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
-    <div className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-md border border-gray-700">
+    <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-md border border-gray-700">
       <div className="flex items-center mb-4">
         <AlertTriangle className="text-red-500 mr-3" size={24} />
-        <h2 className="text-xl font-bold text-white">Confirm Deletion</h2>
+        <h2 className="text-xl font-bold text-white">Move to Trash</h2>
       </div>
       <p className="text-gray-300 mb-6">
-        Are you sure you want to delete <strong className="text-cyan-300">{itemTitle}</strong>? This action cannot be undone.
+        Move <strong className="text-cyan-300">{itemTitle}</strong> to the trash? You can restore it from there for {TRASH_RETENTION_DAYS} days.
       </p>
       <div className="flex justify-end gap-4">
         <button
@@ -161,12 +126,13 @@ const ConfirmDeleteModal = ({ itemTitle, onCancel, onConfirm }) => (
           onClick={onConfirm}
           className="px-5 py-2 bg-red-600 hover:bg-red-700 transition duration-200 text-white font-semibold rounded-lg shadow-md"
         >
-          Delete
+          Move to Trash
         </button>
       </div>
     </div>
   </div>
-);
+  );
+};
 
 /**
  * NEW Star Rating Input Component
@@ -208,9 +174,11 @@ const StarRatingInput = ({ rating, setRating }) => {
 /**
  * A modal for editing an existing tracking item (UPDATED with Rating & Notes)
  */
-const EditModal = ({ item, onClose, onSave }) => {
+const EditModal = ({ item, statusNames, history, isHistoryLoading, tagSuggestions, onClose, onSave }) => {
+  const dialogRef = useFocusTrap(onClose);
   const [formData, setFormData] = useState({ ...item });
   const [currentRating, setCurrentRating] = useState(item.rating || 0); // Local state for stars
+  const [error, setError] = useState(null);
 
   useEffect(() => {
     // Reset form data if the item being edited changes
@@ -221,17 +189,22 @@ const EditModal = ({ item, onClose, onSave }) => {
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
+    setError(null);
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (formData.sourceUrl && !isHttpUrl(formData.sourceUrl.trim())) {
+      setError('The source link must start with http:// or https://.');
+      return;
+    }
     onSave({ ...formData, rating: currentRating }); // Pass the rating on save
   };
 
   return (
     <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
       {/* MODIFIED: Added flex flex-col and max-h-[90vh] to make the modal scrollable */}
-      <div className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
         <button
           onClick={onClose}
           className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
@@ -295,9 +268,13 @@ const EditModal = ({ item, onClose, onSave }) => {
                   onChange={handleChange}
                   className="w-full p-3 bg-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  {Object.values(Status).map(s => (
+                  {statusNames.map(s => (
                     <option key={s} value={s}>{s}</option>
                   ))}
+                  {/* Keep a since-removed custom status selectable */}
+                  {!statusNames.includes(formData.status) && (
+                    <option value={formData.status}>{formData.status}</option>
+                  )}
                 </select>
               </div>
             </div>
@@ -309,6 +286,7 @@ const EditModal = ({ item, onClose, onSave }) => {
                   type="number"
                   name="currentChapter"
                   min="0"
+                  step="any"
                   value={formData.currentChapter}
                   onChange={handleChange}
                   className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -327,6 +305,78 @@ const EditModal = ({ item, onClose, onSave }) => {
                 />
               </div>
             </div>
+
+            <div className="flex gap-4">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Current Volume</label>
+                <input
+                  type="number"
+                  name="currentVolume"
+                  min="0"
+                  value={formData.currentVolume}
+                  onChange={handleChange}
+                  className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Total Volumes</label>
+                <input
+                  type="number"
+                  name="totalVolumes"
+                  min="0"
+                  placeholder="0 (or blank)"
+                  value={formData.totalVolumes}
+                  onChange={handleChange}
+                  className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Progress Unit (drives Next/-1, the progress bar and auto-completion) */}
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Track Progress By</label>
+              <select
+                name="progressUnit"
+                value={formData.progressUnit}
+                onChange={handleChange}
+                className="w-full p-3 bg-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.entries(PROGRESS_UNITS).map(([unit, { label }]) => (
+                  <option key={unit} value={unit}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Source Link (custom titles only) */}
+            {isCustomItem(item) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Source Link</label>
+                <input
+                  type="url"
+                  name="sourceUrl"
+                  placeholder="https://..."
+                  value={formData.sourceUrl || ''}
+                  onChange={handleChange}
+                  className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {error && <p className="mt-1 text-sm text-red-400">{error}</p>}
+              </div>
+            )}
+
+            {/* Reread Counter (finishing a re-read bumps it automatically) */}
+            {([Status.REREADING, Status.COMPLETED].includes(formData.status) || Number(formData.rereadCount) > 0) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Times Re-read</label>
+                <input
+                  type="number"
+                  name="rereadCount"
+                  min="0"
+                  value={formData.rereadCount}
+                  onChange={handleChange}
+                  className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
             
             {/* --- NEW RATING BLOCK --- */}
             <div className="pt-2">
@@ -347,6 +397,18 @@ const EditModal = ({ item, onClose, onSave }) => {
               />
             </div>
             {/* --- END NEW NOTES BLOCK --- */}
+
+            <div className="pt-2">
+              <TagInput
+                tags={formData.tags || []}
+                setTags={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                suggestions={tagSuggestions}
+              />
+            </div>
+
+            <div className="pt-2">
+              <ReadingTimeline history={history} isLoading={isHistoryLoading} />
+            </div>
           </div>
 
 
@@ -368,16 +430,48 @@ const EditModal = ({ item, onClose, onSave }) => {
 /**
  * A card component for a single tracking item (UPGRADED WITH RATING & NOTES ICON)
  */
-const TrackingCard = ({ item, onUpdateChapter, onDeleteItem, onEditClick, getStatusColor }) => {
+const TrackingCard = ({ item, isPending, isSelecting, isSelected, onToggleSelect, onUpdateChapter, onJumpTo, onDeleteItem, onEditClick, onOpen, getStatusColor }) => {
   
   const [imgError, setImgError] = useState(false);
+  const [jumpTo, setJumpTo] = useState('');
   const imageUrl = item.imageUrl || null;
+  // The unit driving progress is shown large, the other one underneath if it's tracked
+  const unit = getProgressFields(item);
+  const otherUnit = unit === PROGRESS_UNITS.chapter ? PROGRESS_UNITS.volume : PROGRESS_UNITS.chapter;
+  const showOtherUnit = item[otherUnit.current] > 0 || item[otherUnit.total] > 0;
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    if (jumpTo === '') return;
+    onJumpTo(item, toProgressNumber(jumpTo));
+    setJumpTo('');
+  };
 
   return (
-    <div className="bg-gray-800 rounded-2xl shadow-lg transition duration-300 hover:shadow-cyan-500/30 flex flex-col justify-between border border-gray-700 overflow-hidden">
+    <div
+      tabIndex={0}
+      data-grid-cell
+      onKeyDown={(e) => handleItemKeyDown(e, item, { isSelecting, onUpdateChapter, onEditClick, onDeleteItem, onOpen, onToggleSelect })}
+      aria-label={`${item.title}, ${item.status}, ${formatProgressLabel(item)}`}
+      className={`relative bg-gray-800 rounded-2xl shadow-lg transition duration-300 hover:shadow-cyan-500/30 flex flex-col justify-between border overflow-hidden focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300 ${
+        isSelected ? 'border-cyan-400 ring-2 ring-cyan-400' : 'border-gray-700'
+      }`}
+    >
+      {/* Selection Checkbox (bulk actions) */}
+      {isSelecting && (
+        <button
+          onClick={() => onToggleSelect(item.id)}
+          className={`absolute top-2 left-2 z-10 w-8 h-8 rounded-lg border-2 flex items-center justify-center transition ${
+            isSelected ? 'bg-cyan-500 border-cyan-300' : 'bg-gray-900/70 border-gray-400 hover:border-white'
+          }`}
+          title={isSelected ? 'Deselect' : 'Select'}
+        >
+          {isSelected && <CheckCircle size={18} className="text-white" />}
+        </button>
+      )}
       <div>
-        {/* Image Section */}
-        <div className="w-full h-48 bg-gray-700 flex items-center justify-center">
+        {/* Image Section (opens the detail page) */}
+        <a href={titlePath(item.id)} className="w-full h-48 bg-gray-700 flex items-center justify-center">
           {!imgError && imageUrl ? (
             <img
               src={imageUrl}
@@ -388,21 +482,57 @@ const TrackingCard = ({ item, onUpdateChapter, onDeleteItem, onEditClick, getSta
           ) : (
             <ImageIcon className="text-gray-500" size={48} />
           )}
-        </div>
+        </a>
         
         <div className="p-4">
           {/* Status Badge */}
           <span className={`text-xs font-bold px-3 py-1 rounded-full ${getStatusColor(item.status)} text-white mb-2 inline-block`}>
             {item.status}
           </span>
-          <h3 className="text-xl font-bold text-white mb-1 truncate" title={item.title}>{item.title}</h3>
+          {item.rereadCount > 0 && (
+            <span className="ml-2 text-xs font-bold px-3 py-1 rounded-full bg-gray-700 text-purple-300 mb-2 inline-flex items-center" title={`Re-read ${item.rereadCount} times`}>
+              <RotateCcw size={12} className="mr-1" /> ×{item.rereadCount}
+            </span>
+          )}
+          {/* New Chapters Badge (unread released chapters on an active series) */}
+          {isReleaseCheckable(item) && getUnreadCount(item) > 0 && (
+            <span className="ml-2 text-xs font-bold px-3 py-1 rounded-full bg-orange-500 text-white mb-2 inline-flex items-center" title={`${getUnreadCount(item)} released ${unit.label.toLowerCase()} you haven't read`}>
+              <BellRing size={12} className="mr-1" /> {getUnreadCount(item)} new
+            </span>
+          )}
+          {/* Pending Sync Badge (local change not yet on the server) */}
+          {isPending && (
+            <span className="ml-2 text-xs font-bold px-3 py-1 rounded-full bg-yellow-600 text-white mb-2 inline-flex items-center" title="Saved on this device, waiting to sync">
+              <CloudUpload size={12} className="mr-1" /> Pending sync
+            </span>
+          )}
+          <h3 className="text-xl font-bold text-white mb-1 truncate" title={item.title}>
+            <a href={titlePath(item.id)} className="hover:text-cyan-300 transition">{item.title}</a>
+          </h3>
           <div className="flex justify-between items-center mb-3">
-            <p className="text-sm text-cyan-300">{item.type}</p>
-            {/* --- NEW NOTES ICON --- */}
-            {item.notes && (
-              <Notebook size={16} className="text-gray-400 flex-shrink-0" title="This item has notes" />
-            )}
-            {/* --- END NEW NOTES ICON --- */}
+            <p className="text-sm text-cyan-300">
+              {item.type}
+              {isCustomItem(item) && <span className="text-gray-400"> · Custom</span>}
+            </p>
+            <div className="flex items-center gap-2">
+              {/* Source Link (custom titles) */}
+              {isHttpUrl(item.sourceUrl) && (
+                <a
+                  href={item.sourceUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-gray-400 hover:text-cyan-300 transition"
+                  title="Open source"
+                >
+                  <ExternalLink size={16} />
+                </a>
+              )}
+              {/* --- NEW NOTES ICON --- */}
+              {item.notes && (
+                <Notebook size={16} className="text-gray-400 flex-shrink-0" title="This item has notes" />
+              )}
+              {/* --- END NEW NOTES ICON --- */}
+            </div>
           </div>
 
 
@@ -415,13 +545,51 @@ const TrackingCard = ({ item, onUpdateChapter, onDeleteItem, onEditClick, getSta
           )}
           {/* --- END NEW RATING DISPLAY --- */}
 
-          {/* Chapter Count */}
-          <p className="text-lg font-mono text-gray-200 mb-4">
-            Chapter <span className="text-2xl font-extrabold text-blue-400">{item.currentChapter}</span>
-            {item.totalChapters > 0 && (
-              <span className="text-gray-400"> / {item.totalChapters}</span>
+          {/* Tag Chips */}
+          {item.tags.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-3">
+              {item.tags.map(tag => (
+                <span key={tag} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-cyan-900 text-cyan-200">
+                  {tag}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* Progress Count */}
+          <p className={`text-lg font-mono text-gray-200 ${showOtherUnit ? '' : 'mb-3'}`}>
+            {unit.name} <span className="text-2xl font-extrabold text-blue-400">{formatProgress(item[unit.current])}</span>
+            {item[unit.total] > 0 && (
+              <span className="text-gray-400"> / {formatProgress(item[unit.total])}</span>
             )}
           </p>
+          {showOtherUnit && (
+            <p className="text-sm font-mono text-gray-400 mb-3">
+              {otherUnit.short} {formatProgress(item[otherUnit.current])}
+              {item[otherUnit.total] > 0 && ` / ${formatProgress(item[otherUnit.total])}`}
+            </p>
+          )}
+
+          {/* Jump To (fractions allowed, e.g. chapter 10.5) */}
+          <form onSubmit={handleJump} className="flex gap-2 mb-4">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={jumpTo}
+              onChange={(e) => setJumpTo(e.target.value)}
+              placeholder={`Jump to ${unit.singular}…`}
+              aria-label={`Jump to ${unit.singular}`}
+              className="flex-grow min-w-0 p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+            />
+            <button
+              type="submit"
+              disabled={jumpTo === ''}
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 transition duration-200 text-white font-semibold rounded-lg text-sm disabled:opacity-50"
+            >
+              Go
+            </button>
+          </form>
         </div>
       </div>
 
@@ -435,7 +603,7 @@ const TrackingCard = ({ item, onUpdateChapter, onDeleteItem, onEditClick, getSta
         </button>
         <button
           onClick={() => onUpdateChapter(item, -1)}
-          disabled={item.currentChapter <= 0}
+          disabled={item[unit.current] <= 0}
           className="py-2 px-3 bg-gray-700 hover:bg-gray-600 transition duration-200 text-white font-semibold rounded-lg disabled:opacity-50"
         >
           -1
@@ -465,33 +633,80 @@ const App = () => {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [account, setAccount] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
 
   // Application State
   const [items, setItems] = useState([]);
+  const [trashedItems, setTrashedItems] = useState([]);
+  const [undoStack, setUndoStack] = useState([]); // Recent changes, newest last: { id, label, undo }
+  const [isUndoToastVisible, setIsUndoToastVisible] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [filterStatus, setFilterStatus] = useState('All');
-  const [searchQuery, setSearchQuery] = useState('');
-  const [sortField, setSortField] = useState('lastUpdated'); // 'lastUpdated', 'title', 'rating'
-  const [sortDirection, setSortDirection] = useState('desc'); // 'asc', 'desc'
+  const [readingHistory, setReadingHistory] = useState([]);
+  const [isReadingHistoryLoading, setIsReadingHistoryLoading] = useState(false);
+  const [pendingItemIds, setPendingItemIds] = useState(new Set()); // Items with local writes not yet synced
+  const [syncError, setSyncError] = useState(null);
+  const [customStatuses, setCustomStatuses] = useState([]);
+  const [goals, setGoals] = useState([]);
+  const isOnline = useOnlineStatus();
 
   // Modal State
-  const [isSearchModalOpen, setIsSearchModalOpen] = useState(false); // Replaced isAdding
-  const [isEditing, setIsEditing] = useState(null);
+  const [isEditing, setIsEditing] = useState(null); // Copy of the item the edit route opened
   const [isDeleting, setIsDeleting] = useState(null);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [isAccountModalOpen, setIsAccountModalOpen] = useState(false);
+  const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
+  const [isStatusManagerOpen, setIsStatusManagerOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [libraryLayout, setLibraryLayout] = useLibraryLayout(userId);
+
+  // Bulk Selection State
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [bulkProgress, setBulkProgress] = useState(null); // { label, done, total } while running
+  const [bulkResult, setBulkResult] = useState(null); // { label, updated, failed } afterwards
+  const [editHistory, setEditHistory] = useState([]);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+
+  // Route State: the view, filters, sort, open item and add/edit modals all live in the URL
+  const { route, navigate, goBack } = useHashRoute();
+  const libraryQuery = useMemo(() => readLibraryQuery(route.query), [route.query]);
+  const {
+    status: filterStatus,
+    q: searchQuery,
+    sort: sortField,
+    dir: sortDirection,
+    progress: filterProgress,
+    tags: filterTags,
+    match: tagMatchMode,
+  } = libraryQuery;
+  const activeTab = VIEW_TABS.find(tab => tab.view === route.name) || VIEW_TABS[0];
+  const activeView = activeTab.view;
+  const detailItemId = ['title', 'titleEdit'].includes(route.name) ? route.params.itemId : null;
+  const editingItemId = ['edit', 'titleEdit'].includes(route.name) ? route.params.itemId : null;
+  const profileSlug = route.name === 'profile' ? route.params.slug : null;
+  const isSearchModalOpen = route.name === 'add';
+  const isCustomTitleModalOpen = route.name === 'addCustom';
 
   // 1. FIREBASE INITIALIZATION & AUTHENTICATION
   useEffect(() => {
     try {
       const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      const firestore = initFirestore(app);
       const authInstance = getAuth(app);
 
+      if (useEmulators && !authInstance.emulatorConfig) {
+        connectAuthEmulator(authInstance, 'http://127.0.0.1:9099', { disableWarnings: true });
+      }
+
       setDb(firestore);
       setAuth(authInstance);
 
       // Listener for Auth State Changes
       const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
+        setAccount(toAccountInfo(user));
         if (user) {
           setUserId(user.uid);
           if (initialAuthToken && user.isAnonymous) {
@@ -502,6 +717,8 @@ const App = () => {
             }
           }
         } else {
+          // Signed out (or first visit): start a fresh guest session
+          setUserId(null);
           await signInAnonymously(authInstance);
         }
         setIsAuthReady(true);
@@ -514,30 +731,26 @@ const App = () => {
     }
   }, []);
 
-  // 2. FIRESTORE DATA SUBSCRIPTION (onSnapshot) (UPDATED with Rating & Notes)
+  // The signed-in user's library (see repositories/trackingRepository)
+  const repository = useMemo(() => (db && userId ? createFirestoreTrackingRepository(db, userId) : null), [db, userId]);
+
+  // 2. LIBRARY SUBSCRIPTION
   useEffect(() => {
-    if (!db || !userId) {
+    setUndoStack([]); // Changes to another account's library can't be undone here
+    if (!repository) {
+      setItems([]); // Don't keep showing the previous account's library
+      setTrashedItems([]);
+      setPendingItemIds(new Set());
       if (isAuthReady) setLoading(false);
       return;
     }
 
     setLoading(true);
-    const trackingCollectionRef = collection(db, getUserCollectionPath(userId));
-    const q = query(trackingCollectionRef);
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const trackingItems = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        currentChapter: Number(doc.data().currentChapter) || 0,
-        totalChapters: Number(doc.data().totalChapters) || 0,
-        rating: Number(doc.data().rating) || 0, // <-- ADDED RATING
-        notes: doc.data().notes || "", // <-- ADDED NOTES
-        lastUpdated: doc.data().lastUpdated || 0, // <-- Ensure lastUpdated is loaded
-      }));
-
+    const unsubscribe = repository.subscribe((trackingItems, pendingIds) => {
       // NOTE: We no longer sort here. Sorting is handled by useMemo.
-      setItems(trackingItems);
+      setItems(trackingItems.filter(item => !isTrashed(item)));
+      setTrashedItems(trackingItems.filter(isTrashed));
+      setPendingItemIds(pendingIds);
       setLoading(false);
     }, (error) => {
       console.error("Error fetching items:", error);
@@ -545,182 +758,452 @@ const App = () => {
     });
 
     return () => unsubscribe();
-  }, [db, userId, isAuthReady]);
+  }, [repository, isAuthReady]);
+
+  // 2a. TRASH: titles deleted more than 30 days ago are removed for good.
+  // A purge outlives several snapshots, so each id is only sent once at a time.
+  const purgingIdsRef = useRef(new Set());
+  useEffect(() => {
+    if (!repository) return;
+    getExpiredItems(trashedItems).forEach((item) => {
+      if (purgingIdsRef.current.has(item.id)) return;
+      purgingIdsRef.current.add(item.id);
+      repository.deleteItem(item)
+        .catch((error) => console.error("Error purging trash:", error))
+        .finally(() => purgingIdsRef.current.delete(item.id));
+    });
+  }, [repository, trashedItems]);
+
+  // 2b. CUSTOM STATUSES (settings document)
+  useEffect(() => {
+    if (!db || !userId) {
+      setCustomStatuses([]);
+      return;
+    }
+
+    const statusesRef = doc(db, getSettingsDocPath(userId, 'statuses'));
+    const unsubscribe = onSnapshot(statusesRef, (snapshot) => {
+      const data = snapshot.data();
+      setCustomStatuses(data?.customStatuses || []);
+
+      // Settings saved before the rules checked statuses have no name list yet
+      if (data?.customStatuses && !data.customStatusNames && !snapshot.metadata.fromCache) {
+        setDoc(statusesRef, toStatusSettings(data.customStatuses))
+          .catch((error) => console.error("Error updating status settings:", error));
+      }
+    }, (error) => {
+      console.error("Error fetching custom statuses:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  // 2c. EDIT ROUTE: keep the copy the form opened with, so later snapshots don't reset it
+  useEffect(() => {
+    setIsEditing(prev => {
+      if (!editingItemId) return null;
+      if (prev?.id === editingItemId) return prev;
+      return items.find(item => item.id === editingItemId) || null;
+    });
+  }, [editingItemId, items]);
+
+  // 2d. READING GOALS (settings document)
+  useEffect(() => {
+    if (!db || !userId) {
+      setGoals([]);
+      return;
+    }
+
+    const unsubscribe = onSnapshot(doc(db, getSettingsDocPath(userId, 'goals')), (snapshot) => {
+      setGoals(snapshot.data()?.goals || []);
+    }, (error) => {
+      console.error("Error fetching goals:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  // 3. READING HISTORY SUBSCRIPTION (for the item open in EditModal or on its detail page)
+  const historyItemId = editingItemId || detailItemId;
+  useEffect(() => {
+    if (!repository || !historyItemId) {
+      setEditHistory([]);
+      return;
+    }
+
+    setIsHistoryLoading(true);
+    const unsubscribe = repository.subscribeHistory(historyItemId, (entries) => {
+      setEditHistory(entries);
+      setIsHistoryLoading(false);
+    }, (error) => {
+      console.error("Error fetching history:", error);
+      setIsHistoryLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [repository, historyItemId]);
+
+  // 4. ALL READING HISTORY (for the stats view, the goals and the reading streak)
+  useEffect(() => {
+    if (!repository) {
+      setReadingHistory([]);
+      return;
+    }
+
+    setIsReadingHistoryLoading(true);
+    const unsubscribe = repository.subscribeAllHistory((entries) => {
+      setReadingHistory(entries);
+      setIsReadingHistoryLoading(false);
+    }, (error) => {
+      console.error("Error fetching reading history:", error);
+      setIsReadingHistoryLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [repository]);
+
+  // 5. COMMAND PALETTE SHORTCUT (Ctrl/Cmd+K, even from a text field)
+  useEffect(() => {
+    if (!userId) return;
+    const handleKeyDown = (e) => {
+      if (!isCommandPaletteShortcut(e)) return;
+      e.preventDefault();
+      setIsPaletteOpen(prev => !prev);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [userId]);
 
   // --- CRUD OPERATIONS ---
 
+  /**
+   * Lets a repository write finish without waiting for the server. Firestore
+   * applies it to the local cache right away (and queues it while offline); the
+   * pending badge clears once it syncs, and a rejected write is surfaced in the
+   * sync banner.
+   */
+  const syncInBackground = (write, action) => {
+    write.catch((error) => {
+      console.error(`Error ${action}:`, error);
+      setSyncError(`Couldn't sync a change (${action}): ${error.message}`);
+    });
+  };
+
+  /**
+   * Remembers a change for the undo toast (only the last few are kept)
+   */
+  const pushUndo = (label, undo) => {
+    setUndoStack(prev => [...prev, { id: Date.now(), label, undo }].slice(-UNDO_LIMIT));
+    setIsUndoToastVisible(true);
+  };
+
+  const dismissUndoToast = useCallback(() => setIsUndoToastVisible(false), []);
+
+  /**
+   * Reverts the latest change; the toast then offers the one before it
+   */
+  const handleUndo = () => {
+    const latest = undoStack[undoStack.length - 1];
+    if (!latest) return;
+    setUndoStack(prev => prev.slice(0, -1));
+    syncInBackground(latest.undo(), 'undoing a change');
+  };
+
+  /**
+   * Saves a progress change or edit and offers to undo it
+   */
+  const trackChange = (change, action) => {
+    syncInBackground(change.write, action);
+    pushUndo(describeChange(change.before, change.after), () => repository.revertChange(change));
+  };
+
   /**
    * Adds a new item to tracking from an API result (UPDATED with Rating & Notes)
    */
-  const handleAddItem = async (apiResult) => {
-    if (!db || !userId) return;
+  const handleAddItem = (providerTitle) => {
+    if (!repository) return;
     
-    // Check if this item (by mal_id) is already tracked
-    const isAlreadyTracked = items.some(item => item.apiId === apiResult.mal_id);
-    if (isAlreadyTracked) {
+    // Check if this series is already tracked, through this provider or by its MAL id
+    const isTracked = (item) => isSameTitle(item, providerTitle);
+    if (items.some(isTracked)) {
       console.log("Item already tracked.");
       // We could add a user-facing notification here
       return;
     }
 
-    try {
-      const trackingCollectionRef = collection(db, getUserCollectionPath(userId));
-      const newItem = {
-        apiId: apiResult.mal_id, // Store the API's ID
-        title: apiResult.title,
-        type: apiResult.type || 'Manga',
-        status: Status.PLAN_TO_READ,
-        currentChapter: 0,
-        totalChapters: apiResult.chapters || 0,
-        imageUrl: apiResult.images?.jpg?.image_url || '',
-        rating: 0, // <-- ADDED DEFAULT RATING
-        notes: "", // <-- ADDED DEFAULT NOTES
-        lastUpdated: Date.now(),
-      };
-
-      await addDoc(trackingCollectionRef, newItem);
-
-      // Don't close modal, just let the user add more
-      // setIsSearchModalOpen(false); 
-    } catch (error) {
-      console.error("Error adding document: ", error);
+    // Adding a title that's in the trash brings it back, progress and all
+    const trashedItem = trashedItems.find(isTracked);
+    if (trashedItem) {
+      syncInBackground(repository.restoreItem(trashedItem), 'restoring title');
+      return;
     }
+
+    // Don't close modal, just let the user add more
+    syncInBackground(repository.addItem(createItemFromTitle(providerTitle)), 'adding title');
   };
 
-  const handleUpdateChapter = async (item, delta) => {
-    if (!db || !userId) return;
-    try {
-      const itemRef = doc(db, getUserCollectionPath(userId), item.id);
-      const newChapter = Math.max(0, item.currentChapter + delta);
-      
-      let newStatus = item.status;
-      const total = Number(item.totalChapters) || 0;
-
-      if (newChapter > 0 && item.status === Status.PLAN_TO_READ) {
-        newStatus = Status.READING;
-      } else if (total > 0 && newChapter >= total) {
-        newStatus = Status.COMPLETED;
-      } else if (newChapter > 0 && newChapter < total && item.status === Status.COMPLETED) {
-        newStatus = Status.READING;
-      } else if (newChapter === 0 && item.status === Status.READING) {
-        newStatus = Status.PLAN_TO_READ;
-      }
+  /**
+   * Adds a title entered by hand (built by createCustomItem)
+   */
+  const handleAddCustomItem = (newItem) => {
+    if (!repository) return;
+    syncInBackground(repository.addItem(newItem), 'adding custom title');
+  };
 
-      await setDoc(itemRef, {
-        ...item,
-        currentChapter: newChapter,
-        status: newStatus,
-        lastUpdated: Date.now(),
-      }, { merge: true }); // Use merge:true to be safe
-    } catch (error) {
-      console.error("Error updating chapter:", error);
+  /**
+   * Restores a JSON backup: the custom statuses and goals not already set, its
+   * items (keeping their ids), then the history entries not already stored
+   */
+  const handleRestoreBackup = async ({ items: backupItems, history, settings }) => {
+    if (!repository) return 0;
+    if (settings) {
+      // The statuses go first: the rules check every restored item's status against them
+      await setDoc(doc(db, getSettingsDocPath(userId, 'statuses')), toStatusSettings(mergeCustomStatuses(customStatuses, settings.customStatuses)));
+      await setDoc(doc(db, getSettingsDocPath(userId, 'goals')), { goals: mergeGoals(goals, settings.goals) });
     }
+    const { count, write } = repository.importItems(backupItems);
+    await write;
+    await repository.importHistory(history);
+    return count;
+  };
+
+  /**
+   * Writes imported items (already deduped by the preview) with their "Added"
+   * entries. Returns once they're saved on this device; syncing carries on in
+   * the background, so an offline import doesn't hang.
+   */
+  const handleImportItems = (newItems) => {
+    if (!repository) return 0;
+    const { count, write } = repository.importItems(newItems);
+    syncInBackground(write, 'importing titles');
+    return count;
+  };
+
+  const handleUpdateChapter = (item, delta) => {
+    if (!repository) return;
+    trackChange(repository.updateProgress(item, delta), 'updating progress');
+  };
+
+  const handleJumpTo = (item, value) => {
+    if (!repository) return;
+    trackChange(repository.setProgress(item, value), 'updating progress');
   };
 
   const handleDeleteItem = (item) => {
     setIsDeleting(item);
   };
 
-  const executeDelete = async () => {
-    if (!db || !userId || !isDeleting) return;
-
-    try {
-      const itemRef = doc(db, getUserCollectionPath(userId), isDeleting.id);
-      await deleteDoc(itemRef);
-      setIsDeleting(null);
-    } catch (error) {
-      console.error("Error deleting document:", error);
-      setIsDeleting(null);
-    }
+  /**
+   * Moves the item to the trash (it can be restored from there, or undone from the toast)
+   */
+  const executeDelete = () => {
+    if (!repository || !isDeleting) return;
+    const item = isDeleting;
+    syncInBackground(repository.trashItem(item), 'moving title to trash');
+    pushUndo(`Moved ${item.title} to the trash`, () => repository.restoreItem(item));
+    setIsDeleting(null);
   };
   
-  // *** THIS FUNCTION IS NOW FIXED ***
-  const handleSaveEdit = async (updatedData) => {
-    // (UPDATED with Rating & Notes)
-    if (!db || !userId || !isEditing) return;
-    try {
-      const itemRef = doc(db, getUserCollectionPath(userId), isEditing.id);
-      
-      const newCurrent = Number(updatedData.currentChapter) || 0;
-      const newTotal = Number(updatedData.totalChapters) || 0;
-      const newRating = Number(updatedData.rating) || 0; // Get rating
-      let newStatus = updatedData.status;
-
-      if (newStatus === Status.PLAN_TO_READ && newCurrent > 0) {
-        newStatus = Status.READING;
-      } else if (newTotal > 0 && newCurrent >= newTotal) {
-        newStatus = Status.COMPLETED;
-      }
-      
-      const itemToSave = {
-        ...isEditing, // Start with the original item
-        ...updatedData, // Overwrite with form data (which includes rating & notes)
-        currentChapter: newCurrent,
-        totalChapters: newTotal,
-        rating: newRating,
-        status: newStatus,
-        lastUpdated: Date.now(),
-      };
-      
-      // Ensure we don't accidentally remove the imageUrl if it wasn't in the form
-      itemToSave.imageUrl = itemToSave.imageUrl || (isEditing.imageUrl || '');
+  const handleSaveEdit = (updatedData) => {
+    if (!repository || !isEditing) return;
+    trackChange(repository.saveEdit(isEditing, updatedData), 'saving changes');
+    closeEditModal();
+  };
 
-      await setDoc(itemRef, itemToSave, { merge: true }); // Use merge: true
-      setIsEditing(null);
-    } catch (error) { 
-      console.error("Error saving document:", error);
-    }
+  const handleRestoreItem = (item) => {
+    if (!repository) return;
+    syncInBackground(repository.restoreItem(item), 'restoring title');
+  };
+
+  /**
+   * Deletes a trashed item and its history for good
+   */
+  const handlePurgeItem = (item) => {
+    if (!repository) return;
+    syncInBackground(repository.deleteItem(item), 'deleting title');
+  };
+
+  /**
+   * Saves what the release checker found (new total, publishing status, check time)
+   */
+  const handleReleaseUpdate = (item, changes) => {
+    if (!repository) return;
+    syncInBackground(repository.updateFields(item, changes), 'saving release check');
   };
 
+  const releaseChecker = useReleaseChecker(items, handleReleaseUpdate, Boolean(repository) && !loading && isOnline);
+
   // --- SORTING & FILTERING (NEW useMemo block) ---
+
+  const statusDefinitions = useMemo(() => buildStatusDefinitions(customStatuses), [customStatuses]);
+  const statusNames = useMemo(() => statusDefinitions.map(({ name }) => name), [statusDefinitions]);
+  const getStatusColor = useMemo(() => createStatusColorGetter(statusDefinitions), [statusDefinitions]);
   
   const sortedAndFilteredItems = useMemo(() => {
     // 1. Sort the items
-    const sorted = [...items].sort((a, b) => {
-      let aVal = a[sortField];
-      let bVal = b[sortField];
-
-      // Handle different data types for sorting
-      if (sortField === 'title') {
-        aVal = (aVal || '').toLowerCase();
-        bVal = (bVal || '').toLowerCase();
-      } else {
-        // Default to number (for rating and lastUpdated)
-        aVal = Number(aVal) || 0;
-        bVal = Number(bVal) || 0;
-      }
-
-      if (aVal < bVal) {
-        return sortDirection === 'asc' ? -1 : 1;
-      }
-      if (aVal > bVal) {
-        return sortDirection === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
+    const sorted = sortItems(items, sortField, sortDirection, statusNames);
 
     // 2. Apply filters
     return sorted
       .filter(item => filterStatus === 'All' || item.status === filterStatus)
+      .filter(item => {
+        if (filterProgress === 'All') return true;
+        if (!isReleaseCheckable(item)) return false;
+        return filterProgress === 'behind' ? getUnreadCount(item) > 0 : getUnreadCount(item) === 0;
+      })
+      .filter(item => matchesTags(item, filterTags, tagMatchMode))
       .filter(item => (item.title || '').toLowerCase().includes(searchQuery.toLowerCase()));
 
-  }, [items, sortField, sortDirection, filterStatus, searchQuery]);
+  }, [items, sortField, sortDirection, statusNames, filterStatus, filterProgress, filterTags, tagMatchMode, searchQuery]);
+
+  const allTags = useMemo(() => collectAllTags(items), [items]);
+  // The library and the trash together, for anything that should see trashed titles
+  // too (duplicate checks, backups, statuses still in use)
+  const allItems = useMemo(() => [...items, ...trashedItems], [items, trashedItems]);
+  const detailItem = detailItemId ? items.find(item => item.id === detailItemId) : null;
 
+  // "provider:id" and "mal:id" keys already in the library, so search results can show them as added
+  const trackedSourceKeys = useMemo(() => new Set(items.flatMap(getItemKeys)), [items]);
+
+  // --- BULK SELECTION ---
+
+  // Items trashed or deleted elsewhere drop out of the selection on their own
+  const selectedItems = useMemo(() => items.filter(item => selectedIds.has(item.id)), [items, selectedIds]);
+
+  const toggleSelected = (itemId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(itemId)) next.delete(itemId);
+      else next.add(itemId);
+      return next;
+    });
+  };
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+    setBulkResult(null);
+  };
+
+  /**
+   * Writes bulk updates in batches, showing progress and then what failed
+   */
+  const runBulkUpdates = async (label, updates, previousFailures = []) => {
+    setBulkResult(null);
+    setBulkProgress({ label, done: 0, total: updates.length });
+    try {
+      const { updated, failed } = await repository.bulkUpdate(updates, {
+        onProgress: (done, total) => setBulkProgress({ label, done, total }),
+      });
+      setBulkResult({ label, updated, failed: [...previousFailures, ...failed] });
+    } catch (error) {
+      console.error(`Error running bulk action (${label}):`, error);
+      setBulkResult({ label, updated: 0, failed: updates.map(({ before }) => ({ item: before, error: error.message })) });
+    }
+    setBulkProgress(null);
+  };
+
+  const handleBulkAction = async (action) => {
+    if (!repository || selectedItems.length === 0) return;
+    await runBulkUpdates(describeBulkAction(action), buildBulkUpdates(selectedItems, action));
+    if (action.type === 'trash') setSelectedIds(new Set());
+  };
+
+  /**
+   * Fetches fresh metadata for the selection, then saves it like any bulk action
+   */
+  const handleBulkRefreshMetadata = async () => {
+    if (!repository || selectedItems.length === 0) return;
+    const label = 'Refreshed metadata';
+    setBulkResult(null);
+    setBulkProgress({ label: 'Fetching metadata', done: 0, total: selectedItems.length });
+    const { updates, failed } = await fetchMetadataUpdates(selectedItems, {
+      onProgress: (done, total) => setBulkProgress({ label: 'Fetching metadata', done, total }),
+    });
+    await runBulkUpdates(label, updates, failed);
+  };
+
+
+  // --- NAVIGATION ---
+
+  /**
+   * Changes library filters / sort by rewriting the query string.
+   * Typing a search replaces the URL instead of adding a history entry per key.
+   */
+  const updateLibraryQuery = (changes, options) => {
+    const query = toLibraryQuery({ ...libraryQuery, ...changes });
+    navigate(activeTab.path(query), options);
+  };
+
+  const currentLibraryPath = () => libraryPath(toLibraryQuery(libraryQuery));
+
+  const openTitle = (item) => navigate(titlePath(item.id));
+
+  const openEditModal = (item) => {
+    navigate(detailItemId ? titleEditPath(item.id) : editPath(item.id, toLibraryQuery(libraryQuery)));
+  };
+
+  const closeEditModal = () => {
+    goBack(route.name === 'titleEdit' ? titlePath(editingItemId) : currentLibraryPath());
+  };
 
   // --- UI LOGIC ---
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case Status.READING:
-        return 'bg-blue-500';
-      case Status.COMPLETED:
-        return 'bg-green-500';
-      case Status.PLAN_TO_READ:
-        return 'bg-gray-400';
-      case Status.DROPPED:
-        return 'bg-red-500';
+  const handleSaveStatuses = (newCustomStatuses) => {
+    if (!db || !userId) return;
+    setDoc(doc(db, getSettingsDocPath(userId, 'statuses')), toStatusSettings(newCustomStatuses))
+      .catch((error) => {
+        console.error("Error saving statuses:", error);
+        setSyncError(`Couldn't sync a change (saving statuses): ${error.message}`);
+      });
+    setIsStatusManagerOpen(false);
+  };
+
+  const handleSaveGoals = (newGoals) => {
+    if (!db || !userId) return;
+    setDoc(doc(db, getSettingsDocPath(userId, 'goals')), { goals: newGoals })
+      .catch((error) => {
+        console.error("Error saving goals:", error);
+        setSyncError(`Couldn't sync a change (saving goals): ${error.message}`);
+      });
+  };
+
+  // --- COMMAND PALETTE ---
+
+  /**
+   * Runs an action picked in the command palette
+   */
+  const runCommand = (action) => {
+    const item = action.itemId ? items.find(({ id }) => id === action.itemId) : null;
+    switch (action.type) {
+      case 'search':
+        navigate(addPath(toLibraryQuery(libraryQuery)));
+        break;
+      case 'view': {
+        const tab = VIEW_TABS.find(({ view }) => view === action.view);
+        if (tab) navigate(tab.path(toLibraryQuery(libraryQuery)));
+        break;
+      }
+      case 'trash':
+        setIsTrashOpen(true);
+        break;
+      case 'open':
+        if (item) openTitle(item);
+        break;
+      case 'progress':
+        if (item) handleUpdateChapter(item, action.delta);
+        break;
+      case 'edit':
+        if (item) openEditModal(item);
+        break;
+      case 'status':
+        if (item && repository) trackChange(repository.saveEdit(item, { ...item, status: action.status }), 'changing status');
+        break;
+      case 'delete':
+        if (item) handleDeleteItem(item);
+        break;
       default:
-        return 'bg-gray-500';
+        break;
     }
   };
 
@@ -738,6 +1221,20 @@ const App = () => {
     );
   }
 
+  // The list and table layouts take the same props
+  const libraryViewProps = {
+    items: sortedAndFilteredItems,
+    pendingItemIds,
+    isSelecting,
+    selectedIds,
+    getStatusColor,
+    onToggleSelect: toggleSelected,
+    onUpdateChapter: handleUpdateChapter,
+    onEditClick: openEditModal,
+    onDeleteItem: handleDeleteItem,
+    onOpen: openTitle,
+  };
+
   // Main UI
   return (
     <div className="min-h-screen bg-gray-900 text-white font-sans p-4 sm:p-8">
@@ -746,113 +1243,422 @@ const App = () => {
         <h1 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-cyan-400 mb-4 sm:mb-0">
           Comic Vibe Tracker
         </h1>
-        <div className="text-sm text-gray-400 flex flex-col sm:flex-row items-center">
-          <span className="mr-2 hidden sm:block">User ID:</span>
-          <code className="text-xs bg-gray-800 p-1 rounded break-all">{userId}</code>
+        <div className="flex items-center gap-3">
+          <ConnectionStatus isOnline={isOnline} pendingCount={pendingItemIds.size} />
+          <button
+            onClick={() => setIsTrashOpen(true)}
+            className="p-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150 text-gray-300 flex items-center"
+            title="Trash"
+          >
+            <Trash2 size={20} />
+            {trashedItems.length > 0 && <span className="ml-1 text-xs font-semibold">{trashedItems.length}</span>}
+          </button>
+          <button
+            onClick={() => setIsProfileModalOpen(true)}
+            className="p-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150 text-cyan-300"
+            title="Public Profile"
+          >
+            <Globe size={20} />
+          </button>
+          <button
+            onClick={() => setIsAccountModalOpen(true)}
+            className="text-sm text-gray-400 flex items-center px-3 py-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150"
+            title={`User ID: ${userId}`}
+          >
+            <UserCircle size={20} className="mr-2 text-cyan-300" />
+            <span className="text-white font-semibold">{getAccountLabel(account)}</span>
+            {account?.isAnonymous && <span className="ml-2 text-xs text-yellow-400">Sign in to sync</span>}
+          </button>
         </div>
       </header>
 
-      {/* Controls: Search, Filter, Add */}
-      <div className="flex flex-col sm:flex-row justify-between items-center gap-4 mb-6">
-        {/* Search Bar */}
-        <div className="relative w-full sm:w-1/3">
-          <input
-            type="text"
-            placeholder="Search your tracked titles..."
-            className="w-full pl-10 pr-4 py-2 bg-gray-800 rounded-xl border border-gray-700 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 text-white"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-          />
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+      {/* Sync Error Banner */}
+      {syncError && (
+        <div className="flex items-center justify-between gap-4 mb-6 p-3 bg-red-900/50 border border-red-700 rounded-xl text-red-300">
+          <span className="flex items-center">
+            <AlertTriangle size={18} className="mr-2 flex-shrink-0" /> {syncError}
+          </span>
+          <button onClick={() => setSyncError(null)} className="text-red-300 hover:text-white transition">
+            <X size={18} />
+          </button>
         </div>
+      )}
 
-        {/* Status Filter */}
-        <select
-          className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl appearance-none focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 cursor-pointer"
-          value={filterStatus}
-          onChange={(e) => setFilterStatus(e.target.value)} // <-- *** FIX 2 ***
-        >
-          <option value="All">All Statuses</option>
-          {Object.values(Status).map(s => (
-            <option key={s} value={s}>{s}</option>
-          ))}
-        </select>
+      {!detailItemId && !profileSlug && (
+        <>
+          {/* Reading Goals & Streak */}
+          <GoalsPanel
+            goals={goals}
+            history={readingHistory}
+            isHistoryLoading={isReadingHistoryLoading}
+            onSaveGoals={handleSaveGoals}
+          />
+
+          {/* View Tabs */}
+          <div className="flex gap-2 mb-6">
+            {VIEW_TABS.map(tab => (
+              <button
+                key={tab.view}
+                onClick={() => navigate(tab.path(toLibraryQuery(libraryQuery)))}
+                className={`flex items-center px-4 py-2 rounded-xl font-semibold transition duration-150 ${
+                  activeView === tab.view ? 'bg-cyan-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                }`}
+              >
+                <tab.icon size={18} className="mr-2" /> {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {/* Controls: Search, Filter, Add */}
+          <div className="flex flex-col sm:flex-row justify-between items-center gap-4 mb-6">
+            {/* Search Bar */}
+            <div className="relative w-full sm:w-1/3">
+              <input
+                type="text"
+                placeholder="Search your tracked titles..."
+                className="w-full pl-10 pr-4 py-2 bg-gray-800 rounded-xl border border-gray-700 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 text-white"
+                value={searchQuery}
+                onChange={(e) => updateLibraryQuery({ q: e.target.value }, { replace: true })}
+              />
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+            </div>
+
+            {/* Status Filter */}
+            <select
+              className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl appearance-none focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 cursor-pointer"
+              value={filterStatus}
+              onChange={(e) => updateLibraryQuery({ status: e.target.value })} // <-- *** FIX 2 ***
+            >
+              <option value="All">All Statuses</option>
+              {statusNames.map(s => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+            </select>
+
+            {/* Release Filter (active series only) */}
+            <select
+              className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl appearance-none focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 cursor-pointer"
+              value={filterProgress}
+              onChange={(e) => updateLibraryQuery({ progress: e.target.value })}
+            >
+              <option value="All">All Progress</option>
+              <option value="behind">Behind (new chapters)</option>
+              <option value="caughtUp">Caught up</option>
+            </select>
+
+            <button
+              onClick={() => releaseChecker.runCheck({ force: true })}
+              disabled={releaseChecker.isChecking || !isOnline}
+              className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150 flex items-center justify-center disabled:opacity-50"
+              title={releaseChecker.lastResult
+                ? `Last check: ${new Date(releaseChecker.lastResult.finishedAt).toLocaleTimeString()} — ${releaseChecker.lastResult.updated} titles with new chapters`
+                : 'Check for new chapters'}
+            >
+              <RefreshCw size={20} className={releaseChecker.isChecking ? 'animate-spin' : ''} />
+            </button>
+
+            <button
+              onClick={() => setIsStatusManagerOpen(true)}
+              className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150 flex items-center justify-center"
+              title="Manage statuses"
+            >
+              <Palette size={20} />
+            </button>
         
-        {/* --- NEW SORT CONTROLS --- */}
-        <select
-          className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl appearance-none focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 cursor-pointer"
-          value={sortField}
-          onChange={(e) => setSortField(e.target.value)}
-        >
-          <option value="lastUpdated">Sort by Updated</option>
-          <option value="title">Sort by Title</option>
-          <option value="rating">Sort by Rating</option>
-        </select>
+            {/* --- NEW SORT CONTROLS --- */}
+            <select
+              className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl appearance-none focus:outline-none focus:ring-2 focus:ring-cyan-500 transition duration-150 cursor-pointer"
+              value={sortField}
+              onChange={(e) => updateLibraryQuery({ sort: e.target.value })}
+            >
+              {SORT_FIELDS.map(({ value, label }) => (
+                <option key={value} value={value}>Sort by {label}</option>
+              ))}
+            </select>
         
-        <button
-          onClick={() => setSortDirection(dir => dir === 'asc' ? 'desc' : 'asc')}
-          className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150 flex items-center justify-center"
-          title={`Sort ${sortDirection === 'asc' ? 'Descending' : 'Ascending'}`}
-        >
-          {sortDirection === 'asc' ? <ArrowUpNarrowWide size={20} /> : <ArrowDownWideNarrow size={20} />}
-        </button>
-        {/* --- END SORT CONTROLS --- */}
+            <button
+              onClick={() => updateLibraryQuery({ dir: sortDirection === 'asc' ? 'desc' : 'asc' })}
+              className="w-full sm:w-auto p-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition duration-150 flex items-center justify-center"
+              title={`Sort ${sortDirection === 'asc' ? 'Descending' : 'Ascending'}`}
+            >
+              {sortDirection === 'asc' ? <ArrowUpNarrowWide size={20} /> : <ArrowDownWideNarrow size={20} />}
+            </button>
+            {/* --- END SORT CONTROLS --- */}
 
+            {/* Layout Switcher (library only) */}
+            {activeView === 'library' && (
+              <div className="w-full sm:w-auto flex bg-gray-800 border border-gray-700 rounded-xl overflow-hidden" role="group" aria-label="Layout">
+                {LAYOUT_OPTIONS.map(option => (
+                  <button
+                    key={option.layout}
+                    onClick={() => setLibraryLayout(option.layout)}
+                    aria-pressed={libraryLayout === option.layout}
+                    className={`flex-1 p-2 flex items-center justify-center transition duration-150 ${
+                      libraryLayout === option.layout ? 'bg-cyan-600 text-white' : 'text-gray-400 hover:bg-gray-700'
+                    }`}
+                    title={option.label}
+                  >
+                    <option.icon size={20} />
+                  </button>
+                ))}
+              </div>
+            )}
 
-        {/* Add Button (Now opens Search Modal) */}
-        <button
-          onClick={() => setIsSearchModalOpen(true)}
-          className="w-full sm:w-auto flex items-center justify-center px-6 py-2 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white font-semibold rounded-xl shadow-lg shadow-blue-900/50"
-        >
-          <Plus size={20} className="mr-2" />
-          Add New Title
-        </button>
-      </div>
 
-      {/* Loading & Empty States */}
-      {loading && (
+            {/* Add Button (Now opens Search Modal) */}
+            <button
+              onClick={() => navigate(addPath(toLibraryQuery(libraryQuery)))}
+              className="w-full sm:w-auto flex items-center justify-center px-6 py-2 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white font-semibold rounded-xl shadow-lg shadow-blue-900/50"
+            >
+              <Plus size={20} className="mr-2" />
+              Add New Title
+            </button>
+
+            {/* Select Button (bulk actions) */}
+            {activeView === 'library' && (
+              <button
+                onClick={() => (isSelecting ? stopSelecting() : setIsSelecting(true))}
+                className={`w-full sm:w-auto flex items-center justify-center px-4 py-2 border transition duration-200 text-white font-semibold rounded-xl ${
+                  isSelecting ? 'bg-cyan-700 border-cyan-500 hover:bg-cyan-600' : 'bg-gray-800 border-gray-700 hover:bg-gray-700'
+                }`}
+                title="Select several titles to change at once"
+              >
+                <ListChecks size={20} className="mr-2" />
+                Select
+              </button>
+            )}
+
+            {/* Import Button */}
+            <button
+              onClick={() => setIsImportModalOpen(true)}
+              className="w-full sm:w-auto flex items-center justify-center px-4 py-2 bg-gray-800 border border-gray-700 hover:bg-gray-700 transition duration-200 text-white font-semibold rounded-xl"
+              title="Import from MyAnimeList or AniList"
+            >
+              <Upload size={20} className="mr-2" />
+              Import
+            </button>
+
+            {/* Export Button */}
+            <button
+              onClick={() => setIsExportModalOpen(true)}
+              className="w-full sm:w-auto flex items-center justify-center px-4 py-2 bg-gray-800 border border-gray-700 hover:bg-gray-700 transition duration-200 text-white font-semibold rounded-xl"
+              title="Export or restore your library"
+            >
+              <Download size={20} className="mr-2" />
+              Export
+            </button>
+          </div>
+
+          {/* Tag Filter */}
+          {activeView === 'library' && (
+            <TagFilterBar
+              allTags={allTags}
+              selectedTags={filterTags}
+              setSelectedTags={(tags) => updateLibraryQuery({ tags })}
+              matchMode={tagMatchMode}
+              setMatchMode={(match) => updateLibraryQuery({ match })}
+            />
+          )}
+
+          {/* Loading & Empty States */}
+          {loading && (
+            <div className="text-center py-12">
+              <Loader className="animate-spin mx-auto text-cyan-400" size={36} />
+              <p className="mt-4 text-lg text-gray-400">Loading your tracking list...</p>
+            </div>
+          )}
+
+          {/* Stats Dashboard (uses the whole library, not the filtered list) */}
+          {!loading && activeView === 'stats' && (
+            <StatsView
+              items={items}
+              history={readingHistory}
+              isHistoryLoading={isReadingHistoryLoading}
+              statusNames={statusNames}
+              getStatusColor={getStatusColor}
+            />
+          )}
+
+          {/* Recommendations (trashed titles count as tracked too) */}
+          {!loading && activeView === 'forYou' && (
+            <RecommendationsView
+              items={items}
+              trackedItems={allItems}
+              onTrackItem={handleAddItem}
+            />
+          )}
+
+          {!loading && activeView === 'library' && sortedAndFilteredItems.length === 0 && (
+            <div className="text-center py-12 bg-gray-800 rounded-2xl border border-gray-700">
+              <BookOpen className="mx-auto text-gray-500" size={48} />
+              <p className="mt-4 text-xl font-semibold text-gray-300">No titles found.</p>
+              <p className="text-gray-400">Try adjusting your filters or search, or click "Add New Title" to start tracking!</p>
+            </div>
+          )}
+
+          {/* Tracking List */}
+          {!loading && activeView === 'library' && sortedAndFilteredItems.length > 0 && libraryLayout === 'list' && (
+            <LibraryListView {...libraryViewProps} />
+          )}
+          {!loading && activeView === 'library' && sortedAndFilteredItems.length > 0 && libraryLayout === 'table' && (
+            <LibraryTableView
+              {...libraryViewProps}
+              sortField={sortField}
+              sortDirection={sortDirection}
+              onSort={(sort, dir) => updateLibraryQuery({ sort, dir })}
+            />
+          )}
+          {!loading && activeView === 'library' && sortedAndFilteredItems.length > 0 && libraryLayout === 'grid' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6" onKeyDown={moveGridFocus}>
+              {sortedAndFilteredItems.map((item) => (
+                <TrackingCard
+                  key={item.id}
+                  item={item}
+                  isPending={pendingItemIds.has(item.id)}
+                  isSelecting={isSelecting}
+                  isSelected={selectedIds.has(item.id)}
+                  onToggleSelect={toggleSelected}
+                  onUpdateChapter={handleUpdateChapter}
+                  onJumpTo={handleJumpTo}
+                  onDeleteItem={handleDeleteItem}
+                  onEditClick={openEditModal}
+                  onOpen={openTitle}
+                  getStatusColor={getStatusColor}
+                />
+              ))}
+            </div>
+          )}
+
+          {/* Bulk Actions */}
+          {isSelecting && activeView === 'library' && (
+            <BulkActionBar
+              selectedCount={selectedItems.length}
+              visibleCount={sortedAndFilteredItems.length}
+              statusNames={statusNames}
+              allTags={allTags}
+              isOnline={isOnline}
+              progress={bulkProgress}
+              result={bulkResult}
+              onSelectAll={() => setSelectedIds(new Set(sortedAndFilteredItems.map(item => item.id)))}
+              onClearSelection={() => setSelectedIds(new Set())}
+              onAction={handleBulkAction}
+              onRefreshMetadata={handleBulkRefreshMetadata}
+              onDismissResult={() => setBulkResult(null)}
+              onClose={stopSelecting}
+            />
+          )}
+        </>
+      )}
+
+      {/* Title Detail Page */}
+      {loading && detailItemId && (
         <div className="text-center py-12">
           <Loader className="animate-spin mx-auto text-cyan-400" size={36} />
-          <p className="mt-4 text-lg text-gray-400">Loading your tracking list...</p>
         </div>
       )}
-
-      {!loading && sortedAndFilteredItems.length === 0 && (
-        <div className="text-center py-12 bg-gray-800 rounded-2xl border border-gray-700">
-          <BookOpen className="mx-auto text-gray-500" size={48} />
-          <p className="mt-4 text-xl font-semibold text-gray-300">No titles found.</p>
-          <p className="text-gray-400">Try adjusting your filters or search, or click "Add New Title" to start tracking!</p>
-        </div>
+      {!loading && detailItemId && (
+        detailItem ? (
+          <TitleDetailView
+            item={detailItem}
+            history={editHistory}
+            isHistoryLoading={isHistoryLoading}
+            getStatusColor={getStatusColor}
+            onBack={() => goBack(libraryPath())}
+            onEdit={openEditModal}
+            onUpdateChapter={handleUpdateChapter}
+          />
+        ) : (
+          <div className="text-center py-12 bg-gray-800 rounded-2xl border border-gray-700">
+            <BookOpen className="mx-auto text-gray-500" size={48} />
+            <p className="mt-4 text-xl font-semibold text-gray-300">This title isn't in your library.</p>
+            <a href={libraryPath()} className="text-cyan-300 hover:text-white transition">Back to library</a>
+          </div>
+        )
       )}
 
-      {/* Tracking List */}
-      {!loading && sortedAndFilteredItems.length > 0 && (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {sortedAndFilteredItems.map((item) => (
-            <TrackingCard
-              key={item.id}
-              item={item}
-              onUpdateChapter={handleUpdateChapter}
-              onDeleteItem={handleDeleteItem}
-              onEditClick={setIsEditing}
-              getStatusColor={getStatusColor}
-            />
-          ))}
-        </div>
+      {/* Someone's Public Profile */}
+      {profileSlug && db && (
+        <PublicProfileView
+          db={db}
+          slug={profileSlug}
+          getStatusColor={getStatusColor}
+          onBack={() => goBack(libraryPath())}
+        />
       )}
 
       {/* Modals */}
       {isSearchModalOpen && (
         <SearchModal
-          onClose={() => setIsSearchModalOpen(false)}
+          trackedSourceKeys={trackedSourceKeys}
+          onClose={() => goBack(currentLibraryPath())}
           onTrackItem={handleAddItem}
+          onCreateCustom={() => navigate(addCustomPath(toLibraryQuery(libraryQuery)), { replace: true })}
+        />
+      )}
+
+      {isCustomTitleModalOpen && (
+        <CustomTitleModal
+          onClose={() => goBack(currentLibraryPath())}
+          onCreate={handleAddCustomItem}
+        />
+      )}
+
+      {isImportModalOpen && (
+        <ImportModal
+          existingItems={allItems}
+          onClose={() => setIsImportModalOpen(false)}
+          onImport={handleImportItems}
+        />
+      )}
+
+      {isExportModalOpen && (
+        <ExportModal
+          items={allItems}
+          history={readingHistory}
+          customStatuses={customStatuses}
+          goals={goals}
+          onClose={() => setIsExportModalOpen(false)}
+          onRestore={handleRestoreBackup}
+        />
+      )}
+
+      {isStatusManagerOpen && (
+        <StatusManagerModal
+          statusDefinitions={statusDefinitions}
+          items={allItems}
+          onClose={() => setIsStatusManagerOpen(false)}
+          onSave={handleSaveStatuses}
+        />
+      )}
+
+      {isProfileModalOpen && (
+        <PublicProfileModal
+          db={db}
+          userId={userId}
+          items={items}
+          statusNames={statusNames}
+          isOnline={isOnline}
+          onClose={() => setIsProfileModalOpen(false)}
+        />
+      )}
+
+      {isAccountModalOpen && (
+        <AccountModal
+          auth={auth}
+          account={account}
+          onClose={() => setIsAccountModalOpen(false)}
+          onAccountChange={setAccount}
         />
       )}
 
       {isEditing && (
         <EditModal
           item={isEditing}
-          onClose={() => setIsEditing(null)}
+          statusNames={statusNames}
+          history={editHistory}
+          isHistoryLoading={isHistoryLoading}
+          tagSuggestions={allTags}
+          onClose={closeEditModal}
           onSave={handleSaveEdit}
         />
       )}
@@ -864,6 +1670,34 @@ const App = () => {
           onConfirm={executeDelete}
         />
       )}
+
+      {isTrashOpen && (
+        <TrashModal
+          items={trashedItems}
+          onRestore={handleRestoreItem}
+          onDelete={handlePurgeItem}
+          onClose={() => setIsTrashOpen(false)}
+        />
+      )}
+
+      {isPaletteOpen && (
+        <CommandPalette
+          items={items}
+          statusNames={statusNames}
+          views={VIEW_TABS}
+          onRun={runCommand}
+          onClose={() => setIsPaletteOpen(false)}
+        />
+      )}
+
+      {isUndoToastVisible && undoStack.length > 0 && (
+        <UndoToast
+          action={undoStack[undoStack.length - 1]}
+          remainingCount={undoStack.length - 1}
+          onUndo={handleUndo}
+          onDismiss={dismissUndoToast}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { X, Loader, LogOut, UserCircle, AlertTriangle } from 'lucide-react';
+import {
+  OAUTH_PROVIDERS,
+  createAccountWithEmail,
+  signInWithEmail,
+  continueWithProvider,
+  signOutUser,
+  getAuthErrorMessage,
+  getAccountLabel,
+  toAccountInfo,
+} from '../utils/auth';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+/**
+ * A modal for signing in, upgrading a guest account and signing out
+ */
+const AccountModal = ({ auth, account, onClose, onAccountChange }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [mode, setMode] = useState('create'); // 'create', 'signIn'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const runAuthAction = async (action) => {
+    setIsWorking(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      onAccountChange(toAccountInfo(auth.currentUser));
+    } catch (err) {
+      console.error("Account action failed:", err);
+      setError(getAuthErrorMessage(err));
+    }
+    setIsWorking(false);
+  };
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    runAuthAction(async () => {
+      if (mode === 'create') {
+        await createAccountWithEmail(auth, email, password);
+        setMessage('Account created. Your library is saved to it.');
+      } else {
+        await signInWithEmail(auth, email, password);
+        setMessage('Signed in.');
+      }
+      setPassword('');
+    });
+  };
+
+  const handleProvider = (providerKey) => {
+    runAuthAction(async () => {
+      const { switchedAccount } = await continueWithProvider(auth, providerKey);
+      setMessage(switchedAccount ? 'Signed in.' : 'Account linked. Your library is saved to it.');
+    });
+  };
+
+  const handleSignOut = () => {
+    runAuthAction(async () => {
+      await signOutUser(auth);
+      onClose();
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-md border border-gray-700 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-6">Account</h2>
+
+        {/* Current Account */}
+        <div className="flex items-center gap-3 p-3 mb-6 bg-gray-700 rounded-lg">
+          <UserCircle className="text-cyan-300 flex-shrink-0" size={32} />
+          <div className="overflow-hidden">
+            <p className="font-semibold text-white truncate">{getAccountLabel(account)}</p>
+            <code className="text-xs text-gray-400 break-all">{account?.uid}</code>
+          </div>
+        </div>
+
+        {error && <p className="mb-4 text-center text-red-400">{error}</p>}
+        {message && <p className="mb-4 text-center text-green-400">{message}</p>}
+
+        {account?.isAnonymous ? (
+          <>
+            <p className="flex items-start text-sm text-yellow-400 mb-4">
+              <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+              You are using a guest account. Clearing browser data will lose your library — create an account to keep it.
+            </p>
+
+            {/* Mode Tabs */}
+            <div className="flex gap-2 mb-4">
+              {[['create', 'Create Account'], ['signIn', 'Sign In']].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setMode(value)}
+                  className={`flex-1 py-2 rounded-lg font-semibold transition duration-150 ${
+                    mode === value ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {mode === 'signIn' && (
+              <p className="text-xs text-gray-400 mb-4">
+                Signing in to an existing account switches to that account's library. Titles added as a guest stay on the guest account.
+              </p>
+            )}
+
+            <form onSubmit={handleEmailSubmit} className="space-y-3 mb-4">
+              <input
+                type="email"
+                placeholder="Email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoComplete="email"
+                required
+              />
+              <input
+                type="password"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
+                minLength={6}
+                required
+              />
+              <button
+                type="submit"
+                disabled={isWorking}
+                className="w-full py-3 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white font-semibold rounded-lg flex items-center justify-center shadow-md disabled:bg-gray-500"
+              >
+                {isWorking && <Loader className="animate-spin mr-2" size={18} />}
+                {mode === 'create' ? 'Create Account & Keep Library' : 'Sign In'}
+              </button>
+            </form>
+
+            {/* OAuth Providers */}
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(OAUTH_PROVIDERS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => handleProvider(key)}
+                  disabled={isWorking}
+                  className="py-2 bg-gray-700 hover:bg-gray-600 transition duration-200 text-white font-semibold rounded-lg disabled:opacity-50"
+                >
+                  Continue with {label}
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-400 mb-4">
+              Signed in with {account?.providers.join(', ') || 'email'}. Your library syncs across devices.
+            </p>
+            <button
+              onClick={handleSignOut}
+              disabled={isWorking}
+              className="w-full py-3 bg-red-600 hover:bg-red-700 transition duration-200 text-white font-semibold rounded-lg flex items-center justify-center shadow-md disabled:bg-gray-500"
+            >
+              {isWorking ? <Loader className="animate-spin mr-2" size={18} /> : <LogOut size={18} className="mr-2" />}
+              Sign Out
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountModal;
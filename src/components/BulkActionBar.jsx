@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { X, Loader, Trash2, RefreshCw, Tag, CheckSquare, Square, AlertTriangle, CheckCircle } from 'lucide-react';
+import { normalizeTag } from '../utils/tags';
+
+const selectClassName = 'p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 cursor-pointer disabled:opacity-50';
+const buttonClassName = 'flex items-center px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm font-semibold transition disabled:opacity-50';
+
+/**
+ * Sticky bar for acting on the selected cards at once. Shows progress while a
+ * bulk action runs and what failed afterwards.
+ */
+const BulkActionBar = ({
+  selectedCount,
+  visibleCount,
+  statusNames,
+  allTags,
+  isOnline,
+  progress, // { label, done, total } while running
+  result, // { label, updated, failed: [{ item, error }] } afterwards
+  onSelectAll,
+  onClearSelection,
+  onAction,
+  onRefreshMetadata,
+  onDismissResult,
+  onClose,
+}) => {
+  const [tagDraft, setTagDraft] = useState('');
+  const isBusy = Boolean(progress);
+  const isDisabled = isBusy || !isOnline || selectedCount === 0;
+
+  const runTagAction = (type) => {
+    const tag = normalizeTag(tagDraft);
+    if (!tag) return;
+    onAction({ type, tags: [tag] });
+    setTagDraft('');
+  };
+
+  return (
+    <div className="sticky bottom-4 z-20 mt-6 p-4 bg-gray-800 border border-cyan-700 rounded-2xl shadow-xl space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-semibold text-cyan-300">{selectedCount} selected</span>
+        <button onClick={onSelectAll} disabled={isBusy} className={buttonClassName}>
+          <CheckSquare size={16} className="mr-1" /> Select all {visibleCount}
+        </button>
+        <button onClick={onClearSelection} disabled={isBusy || selectedCount === 0} className={buttonClassName}>
+          <Square size={16} className="mr-1" /> Clear
+        </button>
+        <button onClick={onClose} disabled={isBusy} className="ml-auto text-gray-400 hover:text-white transition" title="Stop selecting">
+          <X size={22} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value=""
+          onChange={(e) => onAction({ type: 'status', status: e.target.value })}
+          disabled={isDisabled}
+          className={selectClassName}
+        >
+          <option value="" disabled>Set status…</option>
+          {statusNames.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+
+        <select
+          value=""
+          onChange={(e) => onAction({ type: 'rating', rating: Number(e.target.value) })}
+          disabled={isDisabled}
+          className={selectClassName}
+        >
+          <option value="" disabled>Set rating…</option>
+          {Array.from({ length: 10 }, (_, index) => 10 - index).map(rating => (
+            <option key={rating} value={rating}>{rating}</option>
+          ))}
+          <option value="0">No rating</option>
+        </select>
+
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            list="bulk-tag-suggestions"
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            placeholder="Tag"
+            className="w-32 p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+          />
+          <datalist id="bulk-tag-suggestions">
+            {allTags.map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+          <button onClick={() => runTagAction('addTags')} disabled={isDisabled || !tagDraft.trim()} className={buttonClassName}>
+            <Tag size={16} className="mr-1" /> Add
+          </button>
+          <button onClick={() => runTagAction('removeTags')} disabled={isDisabled || !tagDraft.trim()} className={buttonClassName}>
+            <Tag size={16} className="mr-1" /> Remove
+          </button>
+        </div>
+
+        <button onClick={onRefreshMetadata} disabled={isDisabled} className={buttonClassName} title="Fetch covers, totals and publishing status again">
+          <RefreshCw size={16} className="mr-1" /> Refresh Metadata
+        </button>
+        <button
+          onClick={() => onAction({ type: 'trash' })}
+          disabled={isDisabled}
+          className={`${buttonClassName} hover:bg-red-700 text-red-300`}
+        >
+          <Trash2 size={16} className="mr-1" /> Move to Trash
+        </button>
+      </div>
+
+      {!isOnline && (
+        <p className="flex items-center text-sm text-yellow-300">
+          <AlertTriangle size={16} className="mr-2" /> Bulk changes need a connection.
+        </p>
+      )}
+
+      {progress && (
+        <div>
+          <p className="flex items-center text-sm text-gray-300 mb-1">
+            <Loader size={16} className="animate-spin mr-2" /> {progress.label}… {progress.done}/{progress.total}
+          </p>
+          <div className="w-full bg-gray-700 rounded-full h-2">
+            <div
+              className="bg-cyan-500 h-2 rounded-full transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {result && !progress && (
+        <div className={`p-3 rounded-lg border text-sm ${result.failed.length ? 'bg-red-900/40 border-red-700' : 'bg-green-900/40 border-green-700'}`}>
+          <div className="flex items-start justify-between gap-4">
+            <p className={`flex items-center ${result.failed.length ? 'text-red-300' : 'text-green-300'}`}>
+              {result.failed.length ? <AlertTriangle size={16} className="mr-2" /> : <CheckCircle size={16} className="mr-2" />}
+              {result.label}: {result.updated} updated{result.failed.length > 0 && `, ${result.failed.length} failed`}
+            </p>
+            <button onClick={onDismissResult} className="text-gray-400 hover:text-white transition">
+              <X size={16} />
+            </button>
+          </div>
+          {result.failed.length > 0 && (
+            <ul className="mt-2 max-h-32 overflow-y-auto space-y-1 text-gray-300">
+              {result.failed.map(({ item, error }) => (
+                <li key={item.id} className="truncate" title={error}>
+                  <strong className="text-white">{item.title}</strong> — {error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Command as CommandIcon, ChevronLeft } from 'lucide-react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import { MAX_VISIBLE_COMMANDS, buildGlobalCommands, buildTitleCommands, filterCommands } from '../utils/commands';
+
+/**
+ * The Ctrl/Cmd+K palette. Lists the global commands and every title; picking a
+ * title lists what can be done to it. Arrow keys move, Enter runs, and
+ * Backspace in an empty field goes back to the full list.
+ */
+const CommandPalette = ({ items, statusNames, views, onRun, onClose }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [query, setQuery] = useState('');
+  const [chosenItemId, setChosenItemId] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const chosenItem = chosenItemId ? items.find(item => item.id === chosenItemId) : null;
+  const commands = useMemo(() => (
+    chosenItem ? buildTitleCommands(chosenItem, statusNames) : buildGlobalCommands(items, views)
+  ), [chosenItem, items, statusNames, views]);
+  const matches = useMemo(() => filterCommands(commands, query).slice(0, MAX_VISIBLE_COMMANDS), [commands, query]);
+
+  useEffect(() => setActiveIndex(0), [query, chosenItemId]);
+
+  // Keep the highlighted command in view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const run = (command) => {
+    if (command.action.type === 'chooseTitle') {
+      setChosenItemId(command.action.itemId);
+      setQuery('');
+      return;
+    }
+    onClose();
+    onRun(command.action);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (matches.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(prev => (prev + step + matches.length) % matches.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (matches[activeIndex]) run(matches[activeIndex]);
+    } else if (e.key === 'Backspace' && query === '' && chosenItem) {
+      e.preventDefault();
+      setChosenItemId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-start justify-center p-4 pt-[15vh]" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 rounded-2xl shadow-xl w-full max-w-xl border border-gray-700 overflow-hidden"
+      >
+        <div className="flex items-center gap-2 p-4 border-b border-gray-700">
+          {chosenItem ? (
+            <button
+              type="button"
+              onClick={() => setChosenItemId(null)}
+              className="flex items-center text-sm text-cyan-300 hover:text-white transition max-w-[40%] flex-shrink-0"
+              title="Back to all commands"
+            >
+              <ChevronLeft size={16} className="flex-shrink-0" /> <span className="truncate">{chosenItem.title}</span>
+            </button>
+          ) : (
+            <CommandIcon size={18} className="text-gray-400 flex-shrink-0" />
+          )}
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={chosenItem ? 'What do you want to do?' : 'Jump to a title or run a command…'}
+            aria-label="Command"
+            aria-controls="command-palette-list"
+            aria-activedescendant={matches[activeIndex] ? `command-${activeIndex}` : undefined}
+            className="flex-grow bg-transparent text-white placeholder-gray-400 focus:outline-none"
+            autoFocus
+          />
+        </div>
+
+        {matches.length === 0 ? (
+          <p className="p-6 text-center text-gray-400">No matching commands.</p>
+        ) : (
+          <ul id="command-palette-list" ref={listRef} role="listbox" className="max-h-[50vh] overflow-y-auto py-2">
+            {matches.map((command, index) => (
+              <li
+                key={command.id}
+                id={`command-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => run(command)}
+                className={`flex items-center justify-between gap-4 px-4 py-2 cursor-pointer ${
+                  index === activeIndex ? 'bg-cyan-700 text-white' : 'text-gray-300'
+                }`}
+              >
+                <span className="truncate">{command.label}</span>
+                {command.hint && <span className="text-xs text-gray-400 flex-shrink-0">{command.hint}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <p className="px-4 py-2 border-t border-gray-700 text-xs text-gray-500">
+          ↑↓ to move · Enter to run · Esc to close
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
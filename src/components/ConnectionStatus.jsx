@@ -0,0 +1,37 @@
+import React from 'react';
+import { Wifi, WifiOff, CloudUpload } from 'lucide-react';
+
+/**
+ * Global online/offline indicator with the number of changes waiting to sync
+ */
+const ConnectionStatus = ({ isOnline, pendingCount }) => {
+  if (!isOnline) {
+    return (
+      <span
+        className="flex items-center px-3 py-2 bg-yellow-900/50 border border-yellow-700 rounded-xl text-sm text-yellow-300"
+        title="Changes are saved on this device and will sync when you're back online"
+      >
+        <WifiOff size={18} className="mr-2" />
+        Offline{pendingCount > 0 && ` · ${pendingCount} pending`}
+      </span>
+    );
+  }
+
+  if (pendingCount > 0) {
+    return (
+      <span className="flex items-center px-3 py-2 bg-gray-800 border border-gray-700 rounded-xl text-sm text-cyan-300">
+        <CloudUpload size={18} className="mr-2 animate-pulse" />
+        Syncing {pendingCount}...
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center px-3 py-2 bg-gray-800 border border-gray-700 rounded-xl text-sm text-green-400" title="All changes synced">
+      <Wifi size={18} className="mr-2" />
+      Online
+    </span>
+  );
+};
+
+export default ConnectionStatus;
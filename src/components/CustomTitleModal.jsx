@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { X, Plus, Upload, Loader, Image as ImageIcon } from 'lucide-react';
+import { CUSTOM_TITLE_TYPES, createCustomItem, isHttpUrl, readCoverFile } from '../utils/customTitles';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+const inputClassName = 'w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * A modal for adding a title by hand, for series that aren't on MyAnimeList
+ */
+const CustomTitleModal = ({ onClose, onCreate }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [formData, setFormData] = useState({
+    title: '',
+    type: CUSTOM_TITLE_TYPES[0],
+    totalChapters: '',
+    totalVolumes: '',
+    imageUrl: '',
+    sourceUrl: '',
+  });
+  const [coverMode, setCoverMode] = useState('url'); // 'url' | 'upload'
+  const [isReadingCover, setIsReadingCover] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCoverFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setIsReadingCover(true);
+    setError(null);
+    try {
+      const imageUrl = await readCoverFile(file);
+      setFormData(prev => ({ ...prev, imageUrl }));
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsReadingCover(false);
+  };
+
+  const switchCoverMode = (mode) => {
+    setCoverMode(mode);
+    setFormData(prev => ({ ...prev, imageUrl: '' }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!formData.title.trim()) {
+      setError('Please enter a title.');
+      return;
+    }
+    if (coverMode === 'url' && formData.imageUrl && !isHttpUrl(formData.imageUrl)) {
+      setError('The cover image URL must start with http:// or https://.');
+      return;
+    }
+    if (formData.sourceUrl && !isHttpUrl(formData.sourceUrl.trim())) {
+      setError('The source link must start with http:// or https://.');
+      return;
+    }
+
+    onCreate(createCustomItem(formData));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-2">Create Custom Title</h2>
+        <p className="text-sm text-gray-400 mb-6">For series that aren't on MyAnimeList. Custom titles aren't checked for new chapters.</p>
+
+        <form onSubmit={handleSubmit} className="flex flex-col flex-grow overflow-hidden space-y-4">
+          <div className="flex-grow overflow-y-auto pr-2 -mr-2 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Title</label>
+              <input
+                type="text"
+                name="title"
+                value={formData.title}
+                onChange={handleChange}
+                className={inputClassName}
+                autoFocus
+                required
+              />
+            </div>
+
+            <div className="flex gap-4">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Type</label>
+                <select name="type" value={formData.type} onChange={handleChange} className={inputClassName}>
+                  {CUSTOM_TITLE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Total Chapters</label>
+                <input
+                  type="number"
+                  name="totalChapters"
+                  min="0"
+                  placeholder="0 (or blank)"
+                  value={formData.totalChapters}
+                  onChange={handleChange}
+                  className={inputClassName}
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Total Volumes</label>
+                <input
+                  type="number"
+                  name="totalVolumes"
+                  min="0"
+                  placeholder="0 (or blank)"
+                  value={formData.totalVolumes}
+                  onChange={handleChange}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+
+            {/* Cover Image */}
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-300">Cover Image</label>
+                <div className="flex gap-1 text-xs">
+                  {['url', 'upload'].map(mode => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => switchCoverMode(mode)}
+                      className={`px-2 py-1 rounded-md transition ${coverMode === mode ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    >
+                      {mode === 'url' ? 'URL' : 'Upload'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="flex gap-4 items-start">
+                <div className="w-20 h-28 bg-gray-700 rounded-md flex-shrink-0 flex items-center justify-center overflow-hidden">
+                  {isReadingCover ? (
+                    <Loader className="animate-spin text-gray-400" size={20} />
+                  ) : formData.imageUrl ? (
+                    <img
+                      src={formData.imageUrl}
+                      alt="Cover preview"
+                      className="w-full h-full object-cover"
+                      onError={(e) => e.target.style.display = 'none'}
+                    />
+                  ) : (
+                    <ImageIcon className="text-gray-500" size={24} />
+                  )}
+                </div>
+                {coverMode === 'url' ? (
+                  <input
+                    type="url"
+                    name="imageUrl"
+                    placeholder="https://..."
+                    value={formData.imageUrl}
+                    onChange={handleChange}
+                    className={inputClassName}
+                  />
+                ) : (
+                  <label className="flex-grow flex items-center justify-center gap-2 p-3 bg-gray-700 hover:bg-gray-600 rounded-lg text-gray-300 cursor-pointer transition">
+                    <Upload size={18} /> Choose image
+                    <input type="file" accept="image/*" onChange={handleCoverFile} className="hidden" />
+                  </label>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Source Link</label>
+              <input
+                type="url"
+                name="sourceUrl"
+                placeholder="Where you read it, e.g. https://..."
+                value={formData.sourceUrl}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+
+            {error && <p className="text-sm text-red-400">{error}</p>}
+          </div>
+
+          <div className="pt-4 flex justify-end flex-shrink-0">
+            <button
+              type="submit"
+              disabled={isReadingCover}
+              className="px-6 py-3 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg flex items-center justify-center shadow-md disabled:bg-gray-500"
+            >
+              <Plus size={20} className="mr-2" /> Add Title
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CustomTitleModal;
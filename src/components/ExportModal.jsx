@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { X, Download, Upload, Loader, AlertTriangle, CheckCircle } from 'lucide-react';
+import { buildJsonBackup, buildCsv, buildMalXml, parseJsonBackup } from '../utils/exporters';
+import { isTrashed } from '../utils/trash';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+/**
+ * Triggers a browser download for generated file content
+ */
+const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * A modal for exporting the library and restoring a JSON backup.
+ * The backup also carries the reading history, the trash, the custom statuses
+ * and the goals; CSV and MAL XML don't.
+ */
+const ExportModal = ({ items, history, customStatuses, goals, onClose, onRestore }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [backup, setBackup] = useState(null); // { exportedAt, items, history }
+  const [error, setError] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoredCount, setRestoredCount] = useState(null);
+
+  const dateStamp = new Date().toISOString().slice(0, 10);
+  const libraryItems = items.filter(item => !isTrashed(item));
+  const existingIds = new Set(items.map(item => item.id));
+  const overwriteCount = backup ? backup.items.filter(item => existingIds.has(item.id)).length : 0;
+
+  const exportOptions = [
+    { label: 'JSON Backup', description: 'Everything incl. history and trash, restorable', onClick: () => downloadFile(buildJsonBackup(items, history, { customStatuses, goals }), `manga-tracker-${dateStamp}.json`, 'application/json') },
+    { label: 'CSV', description: 'For spreadsheets', onClick: () => downloadFile(buildCsv(libraryItems), `manga-tracker-${dateStamp}.csv`, 'text/csv') },
+    { label: 'MAL XML', description: 'Import into MyAnimeList', onClick: () => downloadFile(buildMalXml(libraryItems), `manga-tracker-${dateStamp}.xml`, 'application/xml') },
+  ];
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    setBackup(null);
+    setRestoredCount(null);
+
+    try {
+      setBackup(parseJsonBackup(await file.text()));
+    } catch (err) {
+      console.error("Backup parsing failed:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!backup) return;
+    setIsRestoring(true);
+    setError(null);
+
+    try {
+      setRestoredCount(await onRestore(backup));
+      setBackup(null);
+    } catch (err) {
+      console.error("Restore failed:", err);
+      setError(err.message);
+    }
+    setIsRestoring(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-6">Export & Backup</h2>
+
+        <div className="flex-grow overflow-y-auto pr-2 -mr-2 space-y-6">
+          {/* Export */}
+          <div>
+            <h3 className="text-sm font-bold text-gray-300 mb-2">Export {libraryItems.length} titles</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {exportOptions.map(({ label, description, onClick }) => (
+                <button
+                  key={label}
+                  onClick={onClick}
+                  disabled={items.length === 0}
+                  className="p-3 bg-gray-700 hover:bg-gray-600 transition duration-200 rounded-lg text-left disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <span className="flex items-center text-white font-semibold">
+                    <Download size={16} className="mr-2 text-cyan-300" /> {label}
+                  </span>
+                  <span className="text-xs text-gray-400">{description}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Restore */}
+          <div>
+            <h3 className="text-sm font-bold text-gray-300 mb-2">Restore from JSON backup</h3>
+            <label className="flex items-center justify-center gap-3 p-4 bg-gray-700 hover:bg-gray-600 transition rounded-lg border border-dashed border-gray-500 cursor-pointer">
+              <Upload size={20} className="text-cyan-300" />
+              <span className="text-white font-semibold">Choose backup file...</span>
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </label>
+
+            {error && <p className="mt-3 text-center text-red-400">{error}</p>}
+
+            {restoredCount !== null && (
+              <p className="mt-3 flex items-center justify-center text-green-400">
+                <CheckCircle size={18} className="mr-2" /> Restored {restoredCount} titles.
+              </p>
+            )}
+
+            {backup && (
+              <div className="mt-3 p-3 bg-gray-700 rounded-lg text-sm text-gray-300 space-y-2">
+                <p>
+                  Backup from <strong className="text-white">{backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'unknown date'}</strong> with{' '}
+                  <strong className="text-white">{backup.items.length}</strong> titles and{' '}
+                  <strong className="text-white">{backup.history.length}</strong> history entries.
+                </p>
+                {overwriteCount > 0 && (
+                  <p className="flex items-center text-yellow-400">
+                    <AlertTriangle size={16} className="mr-2 flex-shrink-0" />
+                    {overwriteCount} titles already in your library will be overwritten with the backup version.
+                  </p>
+                )}
+                <button
+                  onClick={handleRestore}
+                  disabled={isRestoring}
+                  className="px-5 py-2 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg shadow-md flex items-center disabled:bg-gray-500"
+                >
+                  {isRestoring && <Loader className="animate-spin mr-2" size={18} />}
+                  Restore Backup
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,137 @@
+import React, { useState, useMemo } from 'react';
+import { Target, Flame, Plus, X, Loader, CheckCircle } from 'lucide-react';
+import { GOAL_TYPES, GOAL_PERIODS, MAX_GOALS, createGoal, computeGoalProgress, computeReadingStreak } from '../utils/goals';
+
+const inputClassName = 'p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-cyan-500';
+
+/**
+ * One goal with its progress bar for the current period
+ */
+const GoalRow = ({ goal, history, onRemove }) => {
+  const progress = computeGoalProgress(goal, history);
+  return (
+    <li className="min-w-0">
+      <div className="flex justify-between items-center text-sm mb-1 gap-2">
+        <span className="text-gray-200 truncate" title={progress.label}>
+          {progress.isMet && <CheckCircle size={14} className="inline mr-1 text-green-400" />}
+          {progress.label}
+        </span>
+        <span className="flex items-center gap-2 flex-shrink-0">
+          <span className="text-gray-400 font-mono">{progress.current}/{progress.target}</span>
+          <button onClick={() => onRemove(goal.id)} className="text-gray-500 hover:text-red-400 transition" title="Remove goal">
+            <X size={14} />
+          </button>
+        </span>
+      </div>
+      <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${progress.isMet ? 'bg-green-500' : 'bg-cyan-500'}`}
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Reading goals and the daily streak, worked out from the reading history
+ */
+const GoalsPanel = ({ goals, history, isHistoryLoading, onSaveGoals }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [draft, setDraft] = useState({ type: 'completeSeries', target: '', period: 'year' });
+  const [error, setError] = useState(null);
+
+  const streak = useMemo(() => computeReadingStreak(history), [history]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      onSaveGoals([...goals, createGoal(draft)]);
+      setDraft(prev => ({ ...prev, target: '' }));
+      setError(null);
+      setIsAdding(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800 border border-gray-700 rounded-2xl space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="flex items-center text-lg font-bold text-white">
+          <Target size={20} className="mr-2 text-cyan-400" /> Goals
+        </h2>
+        <span
+          className={`flex items-center text-sm font-semibold px-3 py-1 rounded-full ${streak.current > 0 ? 'bg-orange-500/20 text-orange-300' : 'bg-gray-700 text-gray-400'}`}
+          title={`Longest streak: ${streak.longest} ${streak.longest === 1 ? 'day' : 'days'}`}
+        >
+          <Flame size={16} className="mr-1" />
+          {streak.current} {streak.current === 1 ? 'day' : 'days'} streak
+        </span>
+        {streak.current > 0 && !streak.readToday && (
+          <span className="text-xs text-gray-400">Read today to keep it going</span>
+        )}
+        {isHistoryLoading && <Loader size={16} className="animate-spin text-gray-400" />}
+        {!isAdding && goals.length < MAX_GOALS && (
+          <button
+            onClick={() => setIsAdding(true)}
+            className="ml-auto flex items-center text-sm text-cyan-300 hover:text-white transition"
+          >
+            <Plus size={16} className="mr-1" /> Add goal
+          </button>
+        )}
+      </div>
+
+      {goals.length > 0 && (
+        <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+          {goals.map(goal => (
+            <GoalRow
+              key={goal.id}
+              goal={goal}
+              history={history}
+              onRemove={(id) => onSaveGoals(goals.filter(other => other.id !== id))}
+            />
+          ))}
+        </ul>
+      )}
+      {goals.length === 0 && !isAdding && (
+        <p className="text-sm text-gray-400">Set a goal like "complete 50 series per year" or "read 20 chapters per week".</p>
+      )}
+
+      {isAdding && (
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+          <select name="type" value={draft.type} onChange={handleChange} className={inputClassName}>
+            {Object.entries(GOAL_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          <input
+            type="number"
+            name="target"
+            min="1"
+            value={draft.target}
+            onChange={handleChange}
+            placeholder={GOAL_TYPES[draft.type].unit}
+            className={`${inputClassName} w-28`}
+            required
+          />
+          <select name="period" value={draft.period} onChange={handleChange} className={inputClassName}>
+            {Object.entries(GOAL_PERIODS).map(([period, label]) => <option key={period} value={period}>{label}</option>)}
+          </select>
+          <button type="submit" className="px-3 py-2 bg-cyan-600 hover:bg-cyan-700 transition text-white font-semibold rounded-lg text-sm">
+            Add
+          </button>
+          <button type="button" onClick={() => { setIsAdding(false); setError(null); }} className="px-3 py-2 text-sm text-gray-400 hover:text-white transition">
+            Cancel
+          </button>
+          {error && <p className="w-full text-sm text-red-400">{error}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GoalsPanel;
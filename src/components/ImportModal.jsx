@@ -0,0 +1,187 @@
+import React, { useState, useMemo } from 'react';
+import { X, Upload, Loader, AlertTriangle, CheckCircle } from 'lucide-react';
+import { parseImportFile, buildImportPreview } from '../utils/importers';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+
+const FORMAT_LABELS = {
+  mal: 'MyAnimeList XML',
+  anilist: 'AniList JSON',
+};
+
+/**
+ * A modal for importing a MyAnimeList / AniList export.
+ * Shows a preview and conflict report before anything is written.
+ */
+const ImportModal = ({ existingItems, onClose, onImport }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [parsed, setParsed] = useState(null); // { format, entries, skipped }
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importedCount, setImportedCount] = useState(null);
+  const isOnline = useOnlineStatus();
+
+  const preview = useMemo(
+    () => (parsed ? buildImportPreview(parsed.entries, existingItems) : null),
+    [parsed, existingItems]
+  );
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setError(null);
+    setParsed(null);
+    setImportedCount(null);
+
+    try {
+      const text = await file.text();
+      setParsed(parseImportFile(file.name, text));
+    } catch (err) {
+      console.error("Import parsing failed:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!preview || preview.newItems.length === 0) return;
+    setIsImporting(true);
+    setError(null);
+
+    try {
+      const count = await onImport(preview.newItems);
+      setImportedCount(count);
+      setParsed(null);
+    } catch (err) {
+      console.error("Import failed:", err);
+      setError(err.message);
+    }
+    setIsImporting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-2xl border border-gray-700 relative flex flex-col max-h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-2">Import List</h2>
+        <p className="text-sm text-gray-400 mb-6">
+          Upload your MyAnimeList manga export (.xml) or AniList export (.json).
+        </p>
+
+        {/* File Picker */}
+        <label className="flex items-center justify-center gap-3 p-4 mb-4 bg-gray-700 hover:bg-gray-600 transition rounded-lg border border-dashed border-gray-500 cursor-pointer">
+          <Upload size={20} className="text-cyan-300" />
+          <span className="text-white font-semibold truncate">{fileName || 'Choose export file...'}</span>
+          <input
+            type="file"
+            accept=".xml,.json,application/xml,application/json,text/xml"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </label>
+
+        {/* Preview Area */}
+        <div className="flex-grow overflow-y-auto pr-2 -mr-2 space-y-4">
+          {error && <p className="text-center text-red-400">{error}</p>}
+
+          {importedCount !== null && (
+            <p className="flex items-center justify-center text-green-400">
+              <CheckCircle size={18} className="mr-2" /> Imported {importedCount} titles.
+              {!isOnline && ' They will sync when you are back online.'}
+            </p>
+          )}
+
+          {preview && (
+            <>
+              <p className="text-gray-300">
+                Detected <strong className="text-cyan-300">{FORMAT_LABELS[parsed.format]}</strong>:{' '}
+                <strong className="text-green-400">{preview.newItems.length}</strong> new,{' '}
+                <strong className="text-yellow-400">{preview.conflicts.length}</strong> conflicts,{' '}
+                <strong className="text-red-400">{parsed.skipped.length}</strong> skipped.
+              </p>
+
+              {preview.newItems.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-bold text-gray-300 mb-2">Will be added</h3>
+                  <ul className="bg-gray-700 rounded-lg divide-y divide-gray-600 text-sm">
+                    {preview.newItems.map(entry => (
+                      <li key={entry.apiId} className="flex justify-between gap-4 px-3 py-2">
+                        <span className="text-white truncate" title={entry.title}>{entry.title}</span>
+                        <span className="text-gray-400 flex-shrink-0">
+                          {entry.status} · Ch. {entry.currentChapter}{entry.totalChapters > 0 && ` / ${entry.totalChapters}`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {preview.conflicts.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-bold text-yellow-400 mb-2 flex items-center">
+                    <AlertTriangle size={16} className="mr-2" /> Conflicts (not imported)
+                  </h3>
+                  <ul className="bg-gray-700 rounded-lg divide-y divide-gray-600 text-sm">
+                    {preview.conflicts.map(({ entry, existing, reason }, index) => (
+                      <li key={`${entry.apiId}-${index}`} className="px-3 py-2">
+                        <div className="flex justify-between gap-4">
+                          <span className="text-white truncate" title={entry.title}>{entry.title}</span>
+                          <span className="text-yellow-400 flex-shrink-0">{reason}</span>
+                        </div>
+                        {existing && (
+                          <p className="text-xs text-gray-400">
+                            Yours: {existing.status}, Ch. {existing.currentChapter} — File: {entry.status}, Ch. {entry.currentChapter}
+                          </p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {parsed.skipped.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-bold text-red-400 mb-2">Skipped</h3>
+                  <ul className="bg-gray-700 rounded-lg divide-y divide-gray-600 text-sm">
+                    {parsed.skipped.map(({ title, reason }, index) => (
+                      <li key={`${title}-${index}`} className="flex justify-between gap-4 px-3 py-2">
+                        <span className="text-white truncate" title={title}>{title}</span>
+                        <span className="text-gray-400 flex-shrink-0">{reason}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="pt-4 flex justify-end gap-4 flex-shrink-0">
+          <button
+            onClick={onClose}
+            className="px-5 py-2 bg-gray-600 hover:bg-gray-500 transition duration-200 text-white font-semibold rounded-lg"
+          >
+            {importedCount !== null ? 'Done' : 'Cancel'}
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!preview || preview.newItems.length === 0 || isImporting}
+            className="px-5 py-2 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg shadow-md flex items-center disabled:bg-gray-500 disabled:cursor-not-allowed"
+          >
+            {isImporting && <Loader className="animate-spin mr-2" size={18} />}
+            Import {preview ? preview.newItems.length : ''} Titles
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Plus, Edit, Trash2, CheckCircle, CloudUpload, BellRing, Star, Image as ImageIcon } from 'lucide-react';
+import useVirtualRows from '../hooks/useVirtualRows';
+import { formatProgressLabel, getProgressFields, getProgressPercent } from '../utils/progress';
+import { getUnreadCount, isReleaseCheckable } from '../utils/releaseChecker';
+import { handleItemKeyDown, moveGridFocus } from '../utils/keyboard';
+import { titlePath } from '../utils/routes';
+
+// Every row has the same height, so only the visible ones need rendering
+const ROW_HEIGHT = 72;
+
+/**
+ * One compact row: a small cover, the title and its progress, and the quick actions
+ */
+const ListRow = ({ item, isPending, isSelecting, isSelected, getStatusColor, actions }) => {
+  const [imgError, setImgError] = useState(false);
+  const { onToggleSelect, onUpdateChapter, onEditClick, onDeleteItem } = actions;
+  const unit = getProgressFields(item);
+  const unreadCount = isReleaseCheckable(item) ? getUnreadCount(item) : 0;
+
+  return (
+    <div
+      tabIndex={0}
+      data-grid-cell
+      onKeyDown={(e) => handleItemKeyDown(e, item, { isSelecting, ...actions })}
+      aria-label={`${item.title}, ${item.status}, ${formatProgressLabel(item)}`}
+      style={{ height: ROW_HEIGHT }}
+      className={`flex items-center gap-3 px-3 border-b border-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-cyan-300 ${
+        isSelected ? 'bg-cyan-900/40' : 'hover:bg-gray-700/40'
+      }`}
+    >
+      {isSelecting && (
+        <button
+          onClick={() => onToggleSelect(item.id)}
+          className={`w-6 h-6 rounded-md border-2 flex-shrink-0 flex items-center justify-center transition ${
+            isSelected ? 'bg-cyan-500 border-cyan-300' : 'border-gray-400 hover:border-white'
+          }`}
+          title={isSelected ? 'Deselect' : 'Select'}
+        >
+          {isSelected && <CheckCircle size={14} className="text-white" />}
+        </button>
+      )}
+      <a href={titlePath(item.id)} tabIndex={-1} className="w-10 h-14 bg-gray-700 rounded-md flex-shrink-0 flex items-center justify-center overflow-hidden">
+        {!imgError && item.imageUrl ? (
+          <img src={item.imageUrl} alt="" loading="lazy" className="w-full h-full object-cover" onError={() => setImgError(true)} />
+        ) : (
+          <ImageIcon className="text-gray-500" size={18} />
+        )}
+      </a>
+
+      <div className="flex-grow min-w-0">
+        <a href={titlePath(item.id)} className="block font-semibold text-white truncate hover:text-cyan-300 transition" title={item.title}>
+          {item.title}
+        </a>
+        <div className="flex items-center gap-2 text-xs text-gray-400">
+          <span className={`font-bold px-2 py-0.5 rounded-full ${getStatusColor(item.status)} text-white`}>{item.status}</span>
+          <span className="font-mono text-gray-300">{formatProgressLabel(item)}</span>
+          {unreadCount > 0 && (
+            <span className="inline-flex items-center text-orange-400" title={`${unreadCount} released ${unit.label.toLowerCase()} you haven't read`}>
+              <BellRing size={12} className="mr-1" /> {unreadCount}
+            </span>
+          )}
+          {item.rating > 0 && (
+            <span className="hidden sm:inline-flex items-center">
+              <Star size={12} className="text-yellow-400 fill-yellow-400 mr-1" /> {item.rating}
+            </span>
+          )}
+          {isPending && <CloudUpload size={12} className="text-yellow-500" title="Saved on this device, waiting to sync" />}
+        </div>
+        {/* Thin progress bar (only when the total is known) */}
+        {item[unit.total] > 0 && (
+          <div className="mt-1 h-1 bg-gray-700 rounded-full overflow-hidden max-w-xs">
+            <div className="h-full bg-blue-500" style={{ width: `${getProgressPercent(item)}%` }} />
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <button
+          onClick={() => onUpdateChapter(item, -1)}
+          disabled={item[unit.current] <= 0}
+          className="hidden sm:block py-1 px-2 bg-gray-700 hover:bg-gray-600 transition duration-200 text-white text-sm font-semibold rounded-lg disabled:opacity-50"
+          title={`Previous ${unit.singular}`}
+        >
+          -1
+        </button>
+        <button
+          onClick={() => onUpdateChapter(item, 1)}
+          className="py-1 px-2 bg-green-600 hover:bg-green-700 transition duration-200 text-white text-sm font-semibold rounded-lg flex items-center"
+          title={`Next ${unit.singular}`}
+        >
+          <Plus size={14} className="mr-0.5" /> 1
+        </button>
+        <button
+          onClick={() => onEditClick(item)}
+          className="p-1.5 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white rounded-lg"
+          title="Edit"
+        >
+          <Edit size={16} />
+        </button>
+        <button
+          onClick={() => onDeleteItem(item)}
+          className="hidden sm:block p-1.5 bg-red-600 hover:bg-red-700 transition duration-200 text-white rounded-lg"
+          title="Move to trash"
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The compact list layout of the library, rendering only the rows near the viewport
+ */
+const LibraryListView = ({ items, pendingItemIds, isSelecting, selectedIds, getStatusColor, ...actions }) => {
+  const { containerRef, start, end, offsetTop, totalHeight } = useVirtualRows(items.length, ROW_HEIGHT);
+
+  return (
+    <div className="bg-gray-800 rounded-2xl border border-gray-700 overflow-hidden">
+      <div ref={containerRef} role="list" onKeyDown={moveGridFocus} style={{ height: totalHeight }} className="relative">
+        <div style={{ transform: `translateY(${offsetTop}px)` }}>
+          {items.slice(start, end).map(item => (
+            <div key={item.id} role="listitem">
+              <ListRow
+                item={item}
+                isPending={pendingItemIds.has(item.id)}
+                isSelecting={isSelecting}
+                isSelected={selectedIds.has(item.id)}
+                getStatusColor={getStatusColor}
+                actions={actions}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibraryListView;
@@ -0,0 +1,169 @@
+import React from 'react';
+import { Plus, Edit, CheckCircle, CloudUpload, BellRing, Star, ChevronUp, ChevronDown } from 'lucide-react';
+import useVirtualRows from '../hooks/useVirtualRows';
+import { formatProgressLabel, getProgressFields } from '../utils/progress';
+import { getUnreadCount, isReleaseCheckable } from '../utils/releaseChecker';
+import { handleItemKeyDown, moveGridFocus } from '../utils/keyboard';
+import { getDefaultSortDir } from '../utils/librarySort';
+import { titlePath } from '../utils/routes';
+
+const ROW_HEIGHT = 48;
+
+// Type, rating and last updated drop out on small screens
+const COLUMNS = [
+  { field: 'title', label: 'Title' },
+  { field: 'type', label: 'Type', className: 'hidden md:flex' },
+  { field: 'status', label: 'Status' },
+  { field: 'progress', label: 'Progress' },
+  { field: 'rating', label: 'Rating', className: 'hidden md:flex' },
+  { field: 'lastUpdated', label: 'Updated', className: 'hidden lg:flex' },
+];
+
+// The column widths, with and without the selection checkbox in front
+const GRID_CLASS_NAME = 'grid-cols-[minmax(0,1fr)_7rem_7rem_5rem] md:grid-cols-[minmax(0,1fr)_7rem_7rem_7rem_4.5rem_5rem] lg:grid-cols-[minmax(0,1fr)_7rem_7rem_7rem_4.5rem_6.5rem_5rem]';
+const SELECTING_GRID_CLASS_NAME = 'grid-cols-[2rem_minmax(0,1fr)_7rem_7rem_5rem] md:grid-cols-[2rem_minmax(0,1fr)_7rem_7rem_7rem_4.5rem_5rem] lg:grid-cols-[2rem_minmax(0,1fr)_7rem_7rem_7rem_4.5rem_6.5rem_5rem]';
+
+/**
+ * A column header that sorts by its field; clicking it again flips the direction
+ */
+const HeaderCell = ({ column, sortField, sortDirection, onSort }) => {
+  const isActive = sortField === column.field;
+  const SortIcon = sortDirection === 'asc' ? ChevronUp : ChevronDown;
+
+  return (
+    <div
+      role="columnheader"
+      aria-sort={isActive ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
+      className={`${column.className || 'flex'} items-center`}
+    >
+      <button
+        onClick={() => onSort(column.field, isActive ? (sortDirection === 'asc' ? 'desc' : 'asc') : getDefaultSortDir(column.field))}
+        className={`flex items-center font-semibold transition ${isActive ? 'text-cyan-300' : 'text-gray-400 hover:text-white'}`}
+      >
+        {column.label}
+        {isActive && <SortIcon size={14} className="ml-1" />}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * One table row; the whole row takes the card shortcuts when focused
+ */
+const TableRow = ({ item, isPending, isSelecting, isSelected, getStatusColor, actions }) => {
+  const { onToggleSelect, onUpdateChapter, onEditClick } = actions;
+  const unit = getProgressFields(item);
+  const unreadCount = isReleaseCheckable(item) ? getUnreadCount(item) : 0;
+
+  return (
+    <div
+      role="row"
+      tabIndex={0}
+      data-grid-cell
+      onKeyDown={(e) => handleItemKeyDown(e, item, { isSelecting, ...actions })}
+      aria-label={`${item.title}, ${item.status}, ${formatProgressLabel(item)}`}
+      style={{ height: ROW_HEIGHT }}
+      className={`grid ${isSelecting ? SELECTING_GRID_CLASS_NAME : GRID_CLASS_NAME} gap-3 items-center px-4 border-b border-gray-700 text-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-cyan-300 ${
+        isSelected ? 'bg-cyan-900/40' : 'hover:bg-gray-700/40'
+      }`}
+    >
+      {isSelecting && (
+        <div role="cell">
+          <button
+            onClick={() => onToggleSelect(item.id)}
+            className={`w-5 h-5 rounded border-2 flex items-center justify-center transition ${
+              isSelected ? 'bg-cyan-500 border-cyan-300' : 'border-gray-400 hover:border-white'
+            }`}
+            title={isSelected ? 'Deselect' : 'Select'}
+          >
+            {isSelected && <CheckCircle size={12} className="text-white" />}
+          </button>
+        </div>
+      )}
+      <div role="cell" className="flex items-center gap-2 min-w-0">
+        <a href={titlePath(item.id)} className="font-semibold text-white truncate hover:text-cyan-300 transition" title={item.title}>
+          {item.title}
+        </a>
+        {unreadCount > 0 && (
+          <span className="inline-flex items-center text-xs text-orange-400 flex-shrink-0" title={`${unreadCount} released ${unit.label.toLowerCase()} you haven't read`}>
+            <BellRing size={12} className="mr-1" /> {unreadCount}
+          </span>
+        )}
+        {isPending && <CloudUpload size={14} className="text-yellow-500 flex-shrink-0" title="Saved on this device, waiting to sync" />}
+      </div>
+      <div role="cell" className="hidden md:block text-cyan-300 truncate">{item.type}</div>
+      <div role="cell" className="min-w-0">
+        <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${getStatusColor(item.status)} text-white truncate inline-block max-w-full`}>
+          {item.status}
+        </span>
+      </div>
+      <div role="cell" className="font-mono text-gray-200 truncate">{formatProgressLabel(item)}</div>
+      <div role="cell" className="hidden md:flex items-center text-gray-200">
+        {item.rating > 0 ? (
+          <><Star size={12} className="text-yellow-400 fill-yellow-400 mr-1" /> {item.rating}</>
+        ) : (
+          <span className="text-gray-500">—</span>
+        )}
+      </div>
+      <div role="cell" className="hidden lg:block text-gray-400" title={new Date(item.lastUpdated).toLocaleString()}>
+        {new Date(item.lastUpdated).toLocaleDateString()}
+      </div>
+      <div role="cell" className="flex items-center justify-end gap-1">
+        <button
+          onClick={() => onUpdateChapter(item, 1)}
+          className="p-1.5 bg-green-600 hover:bg-green-700 transition duration-200 text-white rounded-md"
+          title={`Next ${unit.singular}`}
+        >
+          <Plus size={14} />
+        </button>
+        <button
+          onClick={() => onEditClick(item)}
+          className="p-1.5 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white rounded-md"
+          title="Edit"
+        >
+          <Edit size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The dense table layout of the library, with sortable columns. Only the rows
+ * near the viewport are rendered; the header sticks to the top while scrolling.
+ */
+const LibraryTableView = ({ items, pendingItemIds, isSelecting, selectedIds, getStatusColor, sortField, sortDirection, onSort, ...actions }) => {
+  const { containerRef, start, end, offsetTop, totalHeight } = useVirtualRows(items.length, ROW_HEIGHT);
+
+  return (
+    <div role="table" aria-rowcount={items.length + 1} className="bg-gray-800 rounded-2xl border border-gray-700">
+      <div
+        role="row"
+        className={`grid ${isSelecting ? SELECTING_GRID_CLASS_NAME : GRID_CLASS_NAME} gap-3 items-center px-4 py-3 border-b border-gray-700 text-sm sticky top-0 z-10 bg-gray-800 rounded-t-2xl`}
+      >
+        {isSelecting && <div role="columnheader" aria-label="Selected" />}
+        {COLUMNS.map(column => (
+          <HeaderCell key={column.field} column={column} sortField={sortField} sortDirection={sortDirection} onSort={onSort} />
+        ))}
+        <div role="columnheader" aria-label="Actions" />
+      </div>
+      <div ref={containerRef} role="rowgroup" onKeyDown={moveGridFocus} style={{ height: totalHeight }} className="relative">
+        <div style={{ transform: `translateY(${offsetTop}px)` }}>
+          {items.slice(start, end).map(item => (
+            <TableRow
+              key={item.id}
+              item={item}
+              isPending={pendingItemIds.has(item.id)}
+              isSelecting={isSelecting}
+              isSelected={selectedIds.has(item.id)}
+              getStatusColor={getStatusColor}
+              actions={actions}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibraryTableView;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { X, Loader, Globe, Copy, Check, EyeOff, AlertTriangle } from 'lucide-react';
+import {
+  DEFAULT_PUBLIC_STATUSES,
+  normalizeSlug,
+  isValidSlug,
+  getProfileUrl,
+  selectPublicItems,
+  loadProfileSettings,
+  publishProfile,
+  unpublishProfile,
+} from '../utils/publicProfile';
+import { profilePath } from '../utils/routes';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+const inputClassName = 'w-full p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * A modal for publishing a read-only snapshot of the library under a shareable link
+ */
+const PublicProfileModal = ({ db, userId, items, statusNames, isOnline, onClose }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [settings, setSettings] = useState(null); // What's saved
+  const [displayName, setDisplayName] = useState('');
+  const [slug, setSlug] = useState('');
+  const [statuses, setStatuses] = useState(DEFAULT_PUBLIC_STATUSES);
+  const [showRatings, setShowRatings] = useState(true);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    loadProfileSettings(db, userId)
+      .then(saved => {
+        if (saved) {
+          setSettings(saved);
+          setDisplayName(saved.displayName || '');
+          setSlug(saved.slug || '');
+          setStatuses(saved.statuses || DEFAULT_PUBLIC_STATUSES);
+          setShowRatings(saved.showRatings ?? true);
+        }
+      })
+      .catch(err => console.error("Loading profile settings failed:", err))
+      .finally(() => setIsLoading(false));
+  }, [db, userId]);
+
+  const toggleStatus = (status) => {
+    setStatuses(prev => (prev.includes(status) ? prev.filter(s => s !== status) : [...prev, status]));
+  };
+
+  const runAction = async (action) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      setSettings(await action());
+    } catch (err) {
+      console.error("Profile action failed:", err);
+      setError(err.message);
+    }
+    setIsWorking(false);
+  };
+
+  const handlePublish = (e) => {
+    e.preventDefault();
+    const cleanSlug = normalizeSlug(slug);
+    setSlug(cleanSlug);
+
+    if (!isValidSlug(cleanSlug)) {
+      setError('The link name needs 3–30 letters, numbers or dashes.');
+      return;
+    }
+    if (statuses.length === 0) {
+      setError('Pick at least one status to share.');
+      return;
+    }
+
+    runAction(() => publishProfile(
+      db,
+      userId,
+      items,
+      { slug: cleanSlug, displayName: displayName.trim() || cleanSlug, statuses, showRatings },
+      settings?.enabled ? settings.slug : null
+    ));
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(getProfileUrl(settings.slug));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const sharedCount = selectPublicItems(items, statuses).length;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-2">Public Profile</h2>
+        <p className="text-sm text-gray-400 mb-6">
+          Share a read-only snapshot of what you're reading. Notes and tags are never shared.
+        </p>
+
+        {isLoading ? (
+          <Loader className="animate-spin mx-auto text-cyan-400" size={32} />
+        ) : (
+          <form onSubmit={handlePublish} className="flex flex-col flex-grow overflow-hidden space-y-4">
+            <div className="flex-grow overflow-y-auto pr-2 -mr-2 space-y-4">
+              {/* Published Link */}
+              {settings?.enabled && (
+                <div className="p-3 bg-green-900/40 border border-green-700 rounded-lg space-y-2">
+                  <p className="flex items-center text-sm text-green-300">
+                    <Globe size={16} className="mr-2" /> Published {new Date(settings.publishedAt).toLocaleString()}
+                  </p>
+                  <div className="flex gap-2">
+                    <a
+                      href={profilePath(settings.slug)}
+                      onClick={onClose}
+                      className="flex-grow p-2 bg-gray-900 rounded-md text-sm text-cyan-300 hover:text-white truncate"
+                    >
+                      {getProfileUrl(settings.slug)}
+                    </a>
+                    <button
+                      type="button"
+                      onClick={handleCopy}
+                      className="p-2 bg-gray-700 hover:bg-gray-600 rounded-md transition"
+                      title="Copy link"
+                    >
+                      {copied ? <Check size={18} className="text-green-400" /> : <Copy size={18} />}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Display Name</label>
+                <input
+                  type="text"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  placeholder="Shown at the top of your profile"
+                  className={inputClassName}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Link Name</label>
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-400 text-sm">#/u/</span>
+                  <input
+                    type="text"
+                    value={slug}
+                    onChange={(e) => setSlug(e.target.value)}
+                    onBlur={() => setSlug(normalizeSlug(slug))}
+                    placeholder="your-name"
+                    className={inputClassName}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">Statuses to Share</label>
+                <div className="flex flex-wrap gap-2">
+                  {statusNames.map(status => (
+                    <button
+                      key={status}
+                      type="button"
+                      onClick={() => toggleStatus(status)}
+                      className={`text-sm px-3 py-1 rounded-full transition ${
+                        statuses.includes(status) ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                      }`}
+                    >
+                      {status}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showRatings}
+                  onChange={(e) => setShowRatings(e.target.checked)}
+                  className="accent-cyan-500"
+                />
+                Show my ratings
+              </label>
+
+              <p className="text-sm text-gray-400">{sharedCount} titles will be shared.</p>
+
+              {!isOnline && (
+                <p className="flex items-center text-sm text-yellow-300">
+                  <AlertTriangle size={16} className="mr-2" /> You need to be online to publish.
+                </p>
+              )}
+              {error && <p className="text-sm text-red-400">{error}</p>}
+            </div>
+
+            <div className="pt-4 flex justify-between gap-3 flex-shrink-0">
+              {settings?.enabled ? (
+                <button
+                  type="button"
+                  onClick={() => runAction(() => unpublishProfile(db, userId, settings))}
+                  disabled={isWorking || !isOnline}
+                  className="px-4 py-3 bg-gray-700 hover:bg-gray-600 transition duration-200 text-white font-semibold rounded-lg flex items-center disabled:opacity-50"
+                >
+                  <EyeOff size={18} className="mr-2" /> Unpublish
+                </button>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={isWorking || !isOnline}
+                className="px-6 py-3 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg flex items-center justify-center shadow-md disabled:bg-gray-500"
+              >
+                {isWorking ? <Loader className="animate-spin mr-2" size={20} /> : <Globe size={20} className="mr-2" />}
+                {settings?.enabled ? 'Update Snapshot' : 'Publish'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PublicProfileModal;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Loader, Star, Globe, UserX, Image as ImageIcon } from 'lucide-react';
+import { loadPublicProfile } from '../utils/publicProfile';
+import { formatProgressLabel } from '../utils/progress';
+
+/**
+ * One title on a public profile
+ */
+const PublicItemRow = ({ item, showRatings }) => (
+  <li className="flex gap-3 p-3 bg-gray-700/50 rounded-lg">
+    <div className="w-12 h-16 bg-gray-700 rounded-md flex-shrink-0 flex items-center justify-center overflow-hidden">
+      {item.imageUrl ? (
+        <img src={item.imageUrl} alt={item.title} className="w-full h-full object-cover" onError={(e) => e.target.style.display = 'none'} />
+      ) : (
+        <ImageIcon className="text-gray-500" size={20} />
+      )}
+    </div>
+    <div className="min-w-0 flex-grow">
+      <p className="font-semibold text-white truncate" title={item.title}>{item.title}</p>
+      <p className="text-sm text-cyan-300">{item.type}</p>
+      <p className="text-sm text-gray-300 font-mono">
+        {formatProgressLabel(item)}
+      </p>
+    </div>
+    {showRatings && item.rating > 0 && (
+      <span className="flex items-center text-white font-bold self-center">
+        <Star size={16} className="text-yellow-400 fill-yellow-400 mr-1" /> {item.rating}
+      </span>
+    )}
+  </li>
+);
+
+/**
+ * Someone's published profile (#/u/:slug), read-only
+ */
+const PublicProfileView = ({ db, slug, getStatusColor, onBack }) => {
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    setIsLoading(true);
+    setError(null);
+    loadPublicProfile(db, slug)
+      .then(result => {
+        if (isCurrent) setData(result);
+      })
+      .catch(err => {
+        console.error("Loading public profile failed:", err);
+        if (isCurrent) setError(err.message);
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [db, slug]);
+
+  if (isLoading) {
+    return <Loader className="animate-spin mx-auto text-cyan-400 mt-12" size={36} />;
+  }
+
+  if (error || !data) {
+    return (
+      <div className="text-center py-12 bg-gray-800 rounded-2xl border border-gray-700">
+        <UserX className="mx-auto text-gray-500" size={48} />
+        <p className="mt-4 text-xl font-semibold text-gray-300">
+          {error ? "This profile couldn't be loaded." : 'No public profile with that link.'}
+        </p>
+        <button onClick={onBack} className="text-cyan-300 hover:text-white transition">Back to my library</button>
+      </div>
+    );
+  }
+
+  const { profile, items } = data;
+  const sections = profile.statuses
+    .map(status => ({ status, items: items.filter(item => item.status === status).sort((a, b) => a.title.localeCompare(b.title)) }))
+    .filter(section => section.items.length > 0);
+
+  return (
+    <div className="space-y-6">
+      <button
+        onClick={onBack}
+        className="flex items-center text-sm text-gray-300 hover:text-white transition"
+      >
+        <ArrowLeft size={18} className="mr-1" /> Back to my library
+      </button>
+
+      <div className="bg-gray-800 rounded-2xl shadow-lg border border-gray-700 p-6">
+        <h2 className="flex items-center text-3xl font-extrabold text-white">
+          <Globe size={28} className="mr-3 text-cyan-300" /> {profile.displayName}
+        </h2>
+        <p className="text-sm text-gray-400 mt-1">
+          {profile.itemCount} titles · Updated {new Date(profile.updatedAt).toLocaleDateString()}
+        </p>
+      </div>
+
+      {sections.length === 0 && (
+        <p className="text-center text-gray-400">Nothing shared yet.</p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {sections.map(section => (
+          <section key={section.status} className="bg-gray-800 rounded-2xl shadow-lg border border-gray-700 p-6">
+            <h3 className="mb-4">
+              <span className={`text-sm font-bold px-3 py-1 rounded-full ${getStatusColor(section.status)} text-white`}>
+                {section.status} · {section.items.length}
+              </span>
+            </h3>
+            <ul className="space-y-2">
+              {section.items.map(item => (
+                <PublicItemRow key={item.id} item={item} showRatings={profile.showRatings} />
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PublicProfileView;
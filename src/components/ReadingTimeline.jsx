@@ -0,0 +1,37 @@
+import React from 'react';
+import { History, Loader } from 'lucide-react';
+import { describeHistoryEntry } from '../utils/history';
+
+/**
+ * A vertical timeline of an item's progress changes, newest first
+ */
+const ReadingTimeline = ({ history, isLoading }) => (
+  <div>
+    <label className="flex items-center text-sm font-medium text-gray-300 mb-2">
+      <History size={16} className="mr-2" /> Reading History
+    </label>
+
+    {isLoading && <Loader className="animate-spin text-cyan-400" size={20} />}
+
+    {!isLoading && history.length === 0 && (
+      <p className="text-sm text-gray-400">No progress recorded yet.</p>
+    )}
+
+    {!isLoading && history.length > 0 && (
+      <ol className="relative border-l border-gray-600 ml-2 space-y-3">
+        {history.map(entry => (
+          <li key={entry.id} className="ml-4">
+            <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-cyan-400 border border-gray-800" />
+            <p className="text-sm text-white">{describeHistoryEntry(entry)}</p>
+            <p className="text-xs text-gray-400">
+              {new Date(entry.timestamp).toLocaleString()}
+              {entry.fromChapter !== null && entry.fromChapter !== entry.toChapter && ` · Ch. ${entry.fromChapter} → ${entry.toChapter}`}
+            </p>
+          </li>
+        ))}
+      </ol>
+    )}
+  </div>
+);
+
+export default ReadingTimeline;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Loader, Plus, RefreshCw, Sparkles, Star, AlertTriangle, Image as ImageIcon } from 'lucide-react';
+import { MIN_FAVOURITE_RATING, fetchRecommendations, getTrackedMalIds, selectFavourites } from '../utils/recommendations';
+
+/**
+ * One recommended title, with why it was picked
+ */
+const RecommendationCard = ({ recommendation, onTrack }) => {
+  const { title, recommendedBy, sharedGenres } = recommendation;
+  const [imgError, setImgError] = useState(false);
+
+  return (
+    <div className="bg-gray-800 rounded-2xl border border-gray-700 overflow-hidden flex flex-col">
+      <div className="h-48 bg-gray-700 flex items-center justify-center">
+        {!imgError && title.imageUrl ? (
+          <img src={title.imageUrl} alt={title.title} className="w-full h-full object-cover" onError={() => setImgError(true)} />
+        ) : (
+          <ImageIcon className="text-gray-500" size={48} />
+        )}
+      </div>
+      <div className="p-4 flex-grow space-y-2">
+        <h3 className="text-lg font-bold text-white truncate" title={title.title}>{title.title}</h3>
+        <p className="text-sm text-cyan-300">
+          {title.type}
+          {title.score > 0 && (
+            <span className="text-gray-400"> · <Star size={12} className="inline text-yellow-400 fill-yellow-400" /> {title.score}</span>
+          )}
+        </p>
+        <p className="text-sm text-gray-300">
+          Because you liked <span className="text-white font-semibold">{recommendedBy.slice(0, 2).join(', ')}</span>
+          {recommendedBy.length > 2 && ` and ${recommendedBy.length - 2} more`}
+        </p>
+        {sharedGenres.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {sharedGenres.slice(0, 4).map(genre => (
+              <span key={genre} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-gray-700 text-gray-300">{genre}</span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="p-4 border-t border-gray-700">
+        <button
+          onClick={() => onTrack(title)}
+          className="w-full py-2 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg text-sm flex items-center justify-center"
+        >
+          <Plus size={16} className="mr-1" /> Plan to Read
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The "For You" view: titles recommended alongside the user's highest-rated ones
+ */
+const RecommendationsView = ({ items, trackedItems, onTrackItem }) => {
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total } while loading
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const favourites = useMemo(() => selectFavourites(items), [items]);
+  // Only a change to the favourites is worth fetching again
+  const favouritesKey = favourites.map(item => `${item.apiId}:${item.rating}`).join(',');
+  // Titles added from here drop out straight away
+  const trackedIds = useMemo(() => getTrackedMalIds(trackedItems), [trackedItems]);
+  const recommendations = (result?.recommendations || []).filter(({ title }) => !trackedIds.has(title.malId));
+
+  const load = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+    try {
+      const next = await fetchRecommendations(items, {
+        trackedItems,
+        signal: controller.signal,
+        onProgress: (done, total) => {
+          if (!controller.signal.aborted) setProgress({ done, total });
+        },
+      });
+      if (controller.signal.aborted) return;
+      setResult(next);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error("Loading recommendations failed:", err);
+      setError(err.message);
+    }
+    setProgress(null);
+  };
+
+  // load reads the latest items; only the favourites decide when to refetch
+  const loadRef = useRef(load);
+  useEffect(() => {
+    loadRef.current = load;
+  });
+  useEffect(() => {
+    if (favouritesKey) loadRef.current();
+    return () => controllerRef.current?.abort();
+  }, [favouritesKey]);
+
+  if (favourites.length === 0) {
+    return (
+      <div className="text-center py-12 bg-gray-800 rounded-2xl border border-gray-700">
+        <Sparkles className="mx-auto text-gray-500" size={48} />
+        <p className="mt-4 text-xl font-semibold text-gray-300">No favourites yet.</p>
+        <p className="text-gray-400">Rate a few MyAnimeList titles {MIN_FAVOURITE_RATING} or higher and recommendations will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-gray-400">
+          Based on {favourites.length} of your highest-rated titles, from MyAnimeList recommendations and shared genres.
+        </p>
+        <button
+          onClick={load}
+          disabled={Boolean(progress)}
+          className="flex items-center px-3 py-2 bg-gray-800 border border-gray-700 rounded-xl hover:bg-gray-700 transition text-sm font-semibold disabled:opacity-50"
+        >
+          <RefreshCw size={16} className={`mr-2 ${progress ? 'animate-spin' : ''}`} /> Refresh
+        </button>
+      </div>
+
+      {progress && (
+        <div className="text-center py-8">
+          <Loader className="animate-spin mx-auto text-cyan-400" size={36} />
+          <p className="mt-4 text-gray-400">
+            Finding recommendations…{progress.total > 0 && ` ${progress.done}/${progress.total}`}
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="flex items-center p-3 bg-red-900/50 border border-red-700 rounded-xl text-red-300">
+          <AlertTriangle size={18} className="mr-2 flex-shrink-0" /> Couldn't load recommendations: {error}
+        </p>
+      )}
+
+      {!progress && result?.failed > 0 && (
+        <p className="flex items-center text-sm text-yellow-300">
+          <AlertTriangle size={16} className="mr-2" /> {result.failed} lookups failed, so some titles may be missing.
+        </p>
+      )}
+
+      {!progress && result && recommendations.length === 0 && (
+        <p className="text-center py-8 text-gray-400">Nothing new to recommend — you're already tracking all of it.</p>
+      )}
+
+      {!progress && recommendations.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+          {recommendations.map(recommendation => (
+            <RecommendationCard key={recommendation.title.malId} recommendation={recommendation} onTrack={onTrackItem} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendationsView;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { X, Loader, Search, SlidersHorizontal, ArrowUpNarrowWide, ArrowDownWideNarrow } from 'lucide-react';
+import { jikan } from '../utils/jikanClient';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useFocusTrap from '../hooks/useFocusTrap';
+import { providers as defaultProviders, DEFAULT_PROVIDER_ID, getSourceKey, getTitleKeys } from '../providers';
+import {
+  MIN_QUERY_LENGTH,
+  SEARCH_TYPE_OPTIONS,
+  SEARCH_STATUS_OPTIONS,
+  SEARCH_ORDER_OPTIONS,
+  DEFAULT_SEARCH_FILTERS,
+  hasActiveFilters,
+  canSearch,
+} from '../utils/searchFilters';
+
+const PAGE_SIZE = 15;
+const DEBOUNCE_MS = 400;
+
+// Remember the last provider used
+const PROVIDER_STORAGE_KEY = 'search-provider';
+
+const loadProviderId = (providers) => {
+  const saved = localStorage.getItem(PROVIDER_STORAGE_KEY);
+  return saved && providers.has(saved) ? saved : DEFAULT_PROVIDER_ID;
+};
+
+const selectClassName = 'w-full p-2 bg-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer';
+
+/**
+ * A modal for searching a metadata provider (Jikan by default) and adding new items.
+ * Searches as you type (debounced), supports filters and loads more results on scroll.
+ */
+const SearchModal = ({ trackedSourceKeys, onClose, onTrackItem, onCreateCustom, providers = defaultProviders }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [providerId, setProviderId] = useState(() => loadProviderId(providers));
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_SEARCH_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [genres, setGenres] = useState([]);
+  const [results, setResults] = useState([]);
+  const [pageInfo, setPageInfo] = useState(null); // { page, hasNextPage } of the last page loaded
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [trackedKeys, setTrackedKeys] = useState(new Set()); // To disable buttons for items added in this session
+
+  const provider = providers.get(providerId);
+
+  const debouncedQuery = useDebouncedValue(query, DEBOUNCE_MS);
+  const debouncedFilters = useDebouncedValue(filters, DEBOUNCE_MS);
+  // Providers without filter support only search by text
+  const activeFilters = provider.supportsFilters ? debouncedFilters : DEFAULT_SEARCH_FILTERS;
+  const requestRef = useRef(null); // { controller } of the latest search, aborted when superseded
+  const sentinelRef = useRef(null);
+
+  // Load genres once for the genre filter
+  useEffect(() => {
+    const controller = new AbortController();
+    jikan.getGenres({ signal: controller.signal })
+      .then(list => setGenres([...list].sort((a, b) => a.name.localeCompare(b.name))))
+      .catch(err => {
+        if (err.name !== 'AbortError') console.error("Loading genres failed:", err);
+      });
+    return () => controller.abort();
+  }, []);
+
+  /**
+   * Fetches one page; page 1 replaces the results, later pages are appended
+   */
+  const fetchPage = useCallback(async (page) => {
+    requestRef.current?.controller.abort();
+    const controller = new AbortController();
+    requestRef.current = { controller };
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const trimmed = debouncedQuery.trim();
+      const { results: pageResults, hasNextPage } = await provider.search(
+        trimmed.length >= MIN_QUERY_LENGTH ? trimmed : '',
+        { page, limit: PAGE_SIZE, signal: controller.signal, filters: provider.supportsFilters ? activeFilters : undefined }
+      );
+      if (controller.signal.aborted) return;
+      setResults(prev => (page === 1 ? pageResults : [...prev, ...pageResults]));
+      setPageInfo({ page, hasNextPage });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error("API search failed:", err);
+      setError(err.message);
+    }
+    if (!controller.signal.aborted) setIsLoading(false);
+  }, [provider, debouncedQuery, activeFilters]);
+
+  // Search as you type: restart from page 1 whenever the debounced input changes
+  useEffect(() => {
+    if (!canSearch(debouncedQuery, activeFilters)) {
+      requestRef.current?.controller.abort();
+      setResults([]);
+      setPageInfo(null);
+      setIsLoading(false);
+      return;
+    }
+    fetchPage(1);
+  }, [fetchPage, debouncedQuery, activeFilters]);
+
+  const loadNextPage = () => {
+    if (isLoading || !pageInfo?.hasNextPage) return;
+    fetchPage(pageInfo.page + 1);
+  };
+
+  // Infinite scroll: load the next page when the sentinel below the results comes into view
+  const loadNextPageRef = useRef(loadNextPage);
+  useEffect(() => {
+    loadNextPageRef.current = loadNextPage;
+  });
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadNextPageRef.current();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault(); // Searching happens as you type
+    if (!canSearch(query, provider.supportsFilters ? filters : DEFAULT_SEARCH_FILTERS)) {
+      setError(provider.supportsFilters
+        ? `Please enter at least ${MIN_QUERY_LENGTH} characters or choose a filter.`
+        : `Please enter at least ${MIN_QUERY_LENGTH} characters.`);
+    }
+  };
+
+  const handleProviderChange = (e) => {
+    setProviderId(e.target.value);
+    localStorage.setItem(PROVIDER_STORAGE_KEY, e.target.value);
+    setResults([]);
+    setPageInfo(null);
+    setError(null);
+  };
+
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+  const handleTrack = (result) => {
+    onTrackItem(result);
+    setTrackedKeys(prev => new Set([...prev, ...getTitleKeys(result)])); // Visually disable button
+  };
+
+  const isTracked = (result) => getTitleKeys(result).some(key => trackedKeys.has(key) || trackedSourceKeys.has(key));
+  const filtersActive = hasActiveFilters(filters);
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-2xl border border-gray-700 relative flex flex-col h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-6">Search and Add Title</h2>
+
+        {/* Search Form */}
+        <form onSubmit={handleSubmit} className="flex gap-4 mb-4">
+          <select
+            value={providerId}
+            onChange={handleProviderChange}
+            className="p-3 bg-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer"
+            title="Search source"
+          >
+            {providers.list().map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <div className="relative flex-grow">
+            <input
+              type="text"
+              placeholder="Search for Manga, Manhwa..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full p-3 pr-10 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+            />
+            <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400">
+              {isLoading ? <Loader className="animate-spin" size={20} /> : <Search size={20} />}
+            </span>
+          </div>
+          {provider.supportsFilters && (
+            <button
+              type="button"
+              onClick={() => setShowFilters(show => !show)}
+              className={`px-4 py-3 transition duration-200 text-white font-semibold rounded-lg flex items-center justify-center shadow-md ${
+                showFilters || filtersActive ? 'bg-cyan-600 hover:bg-cyan-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              title="Filters"
+            >
+              <SlidersHorizontal size={20} />
+            </button>
+          )}
+        </form>
+
+        {/* Filters (Jikan only) */}
+        {showFilters && provider.supportsFilters && (
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-4 p-3 bg-gray-900/50 rounded-lg">
+            <select className={selectClassName} value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+              {SEARCH_TYPE_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <select className={selectClassName} value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+              {SEARCH_STATUS_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <select className={selectClassName} value={filters.genre} onChange={(e) => updateFilter('genre', e.target.value)}>
+              <option value="">Any Genre</option>
+              {genres.map(genre => <option key={genre.mal_id} value={genre.mal_id}>{genre.name}</option>)}
+            </select>
+            <div className="flex items-center gap-2 col-span-2 sm:col-span-1">
+              <input
+                type="number"
+                min="0"
+                max="10"
+                step="0.5"
+                placeholder="Min score"
+                value={filters.minScore}
+                onChange={(e) => updateFilter('minScore', e.target.value)}
+                className="w-full p-2 bg-gray-700 rounded-lg text-white text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="number"
+                min="0"
+                max="10"
+                step="0.5"
+                placeholder="Max"
+                value={filters.maxScore}
+                onChange={(e) => updateFilter('maxScore', e.target.value)}
+                className="w-full p-2 bg-gray-700 rounded-lg text-white text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <select className={selectClassName} value={filters.orderBy} onChange={(e) => updateFilter('orderBy', e.target.value)}>
+                {SEARCH_ORDER_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <button
+                type="button"
+                onClick={() => updateFilter('sort', filters.sort === 'asc' ? 'desc' : 'asc')}
+                disabled={!filters.orderBy}
+                className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition disabled:opacity-50"
+                title={`Sort ${filters.sort === 'asc' ? 'Ascending' : 'Descending'}`}
+              >
+                {filters.sort === 'asc' ? <ArrowUpNarrowWide size={18} /> : <ArrowDownWideNarrow size={18} />}
+              </button>
+            </div>
+            {filtersActive && (
+              <button
+                type="button"
+                onClick={() => setFilters(DEFAULT_SEARCH_FILTERS)}
+                className="text-sm text-gray-400 hover:text-white transition"
+              >
+                Reset filters
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Results Area */}
+        <div className="flex-grow overflow-y-auto pr-2 -mr-2">
+          {error && <p className="text-center text-red-400">{error}</p>}
+          {!isLoading && results.length === 0 && !error && (
+            <p className="text-center text-gray-400 pt-8">
+              {canSearch(debouncedQuery, activeFilters) ? 'No results found.' : 'Search results will appear here.'}
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {results.map((result, index) => (
+              <div key={`${getSourceKey(result)}-${index}`} className="bg-gray-700 rounded-lg p-3 flex gap-3">
+                <img
+                  src={result.imageUrl}
+                  alt={result.title}
+                  className="w-20 h-28 object-cover rounded-md flex-shrink-0"
+                  onError={(e) => e.target.src = 'https://placehold.co/80x112/374151/9ca3af?text=No+Img'}
+                />
+                <div className="flex flex-col justify-between overflow-hidden">
+                  <div>
+                    <h3 className="text-base font-bold text-white truncate" title={result.title}>
+                      {result.title}
+                    </h3>
+                    <p className="text-sm text-cyan-300">{result.type} {result.publishingStatus ? `(${result.publishingStatus})` : ''}</p>
+                    <p className="text-xs text-gray-300">
+                      {result.chapters ? `${result.chapters} Chapters` : 'N/A Chapters'}
+                      {result.score ? ` · ★ ${result.score}` : ''}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleTrack(result)}
+                    disabled={isTracked(result)}
+                    className="self-start mt-2 px-3 py-1 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-md text-sm disabled:bg-gray-500 disabled:cursor-not-allowed"
+                  >
+                    {isTracked(result) ? 'Added' : 'Track'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Infinite Scroll Sentinel */}
+          <div ref={sentinelRef} className="py-4 text-center">
+            {isLoading && results.length > 0 && <Loader className="animate-spin mx-auto text-cyan-400" size={24} />}
+            {!isLoading && pageInfo?.hasNextPage && (
+              <button onClick={loadNextPage} className="text-sm text-cyan-300 hover:text-white transition">
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Manual Entry */}
+        <p className="pt-4 text-sm text-center text-gray-400 flex-shrink-0">
+          Can't find it?{' '}
+          <button onClick={onCreateCustom} className="text-cyan-300 hover:text-white font-semibold transition">
+            Create a custom title
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SearchModal;
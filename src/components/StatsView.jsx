@@ -0,0 +1,118 @@
+import React, { useState, useMemo } from 'react';
+import { Loader, Star, BookOpen, CheckCircle, Library } from 'lucide-react';
+import { computeLibraryStats, computeChapterActivity } from '../utils/stats';
+
+/**
+ * A simple stat tile for the summary row
+ */
+const StatTile = ({ icon, label, value }) => {
+  const Icon = icon;
+  return (
+    <div className="bg-gray-800 rounded-2xl border border-gray-700 p-4 flex items-center gap-4">
+      <Icon className="text-cyan-400 flex-shrink-0" size={28} />
+      <div>
+        <p className="text-2xl font-extrabold text-white">{value}</p>
+        <p className="text-sm text-gray-400">{label}</p>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Horizontal bars, one row per label (rendered with plain divs)
+ */
+const BarList = ({ title, data, getColor }) => {
+  const max = Math.max(1, ...data.map(({ count }) => count));
+  return (
+    <div className="bg-gray-800 rounded-2xl border border-gray-700 p-4">
+      <h3 className="text-lg font-bold text-white mb-4">{title}</h3>
+      <div className="space-y-3">
+        {data.map(({ label, count }) => (
+          <div key={label}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="text-gray-300">{label}</span>
+              <span className="text-gray-400 font-mono">{count}</span>
+            </div>
+            <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${getColor ? getColor(label) : 'bg-cyan-500'}`}
+                style={{ width: `${(count / max) * 100}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Vertical columns with labels underneath (rendered with plain divs)
+ */
+const ColumnChart = ({ data, color = 'bg-blue-500' }) => {
+  const max = Math.max(1, ...data.map(({ count }) => count));
+  return (
+    <div className="flex items-end gap-1 h-40">
+      {data.map(({ label, count }) => (
+        <div key={label} className="flex-1 flex flex-col items-center justify-end h-full" title={`${label}: ${count}`}>
+          <span className="text-xs text-gray-400 font-mono mb-1">{count > 0 ? count : ''}</span>
+          <div className={`w-full rounded-t ${color}`} style={{ height: `${(count / max) * 100}%`, minHeight: count > 0 ? '2px' : 0 }} />
+          <span className="text-[10px] text-gray-500 mt-1 truncate w-full text-center">{label}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * The reading statistics dashboard, computed from the loaded library
+ */
+const StatsView = ({ items, history, isHistoryLoading, statusNames, getStatusColor }) => {
+  const [activityPeriod, setActivityPeriod] = useState('week'); // 'week', 'month'
+
+  const stats = useMemo(() => computeLibraryStats(items, statusNames), [items, statusNames]);
+  const activity = useMemo(() => computeChapterActivity(history, activityPeriod), [history, activityPeriod]);
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatTile icon={Library} label="Titles tracked" value={stats.total} />
+        <StatTile icon={BookOpen} label={stats.volumesRead > 0 ? `Chapters read (+ ${stats.volumesRead} volumes)` : 'Chapters read'} value={stats.chaptersRead} />
+        <StatTile icon={Star} label={`Average rating (${stats.ratedCount} rated)`} value={stats.ratedCount > 0 ? stats.averageRating.toFixed(1) : '-'} />
+        <StatTile icon={CheckCircle} label="Completion rate (started titles)" value={`${Math.round(stats.completionRate * 100)}%`} />
+      </div>
+
+      {/* Chapter Activity */}
+      <div className="bg-gray-800 rounded-2xl border border-gray-700 p-4">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold text-white">Chapters Read</h3>
+          <select
+            className="p-1 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 cursor-pointer"
+            value={activityPeriod}
+            onChange={(e) => setActivityPeriod(e.target.value)}
+          >
+            <option value="week">Per Week</option>
+            <option value="month">Per Month</option>
+          </select>
+        </div>
+        {isHistoryLoading ? (
+          <Loader className="animate-spin mx-auto text-cyan-400" size={28} />
+        ) : (
+          <ColumnChart data={activity} />
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <BarList title="By Status" data={stats.byStatus} getColor={getStatusColor} />
+        <BarList title="By Type" data={stats.byType} />
+        <div className="bg-gray-800 rounded-2xl border border-gray-700 p-4">
+          <h3 className="text-lg font-bold text-white mb-4">Rating Distribution</h3>
+          <ColumnChart data={stats.ratingDistribution} color="bg-yellow-400" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsView;
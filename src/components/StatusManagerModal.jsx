@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Lock } from 'lucide-react';
+import { STATUS_COLOR_OPTIONS } from '../utils/statuses';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+/**
+ * A modal for adding and removing custom statuses and picking their colours
+ */
+const StatusManagerModal = ({ statusDefinitions, items, onClose, onSave }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [customStatuses, setCustomStatuses] = useState(
+    statusDefinitions.filter(({ builtIn }) => !builtIn).map(({ name, color }) => ({ name, color }))
+  );
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(STATUS_COLOR_OPTIONS[0]);
+  const [error, setError] = useState(null);
+
+  const builtIns = statusDefinitions.filter(({ builtIn }) => builtIn);
+  const countUsing = (name) => items.filter(item => item.status === name).length;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    const allNames = [...builtIns, ...customStatuses].map(status => status.name.toLowerCase());
+
+    if (!name) return;
+    if (allNames.includes(name.toLowerCase())) {
+      setError(`"${name}" already exists.`);
+      return;
+    }
+
+    setCustomStatuses(prev => [...prev, { name, color: newColor }]);
+    setNewName('');
+    setError(null);
+  };
+
+  const updateColor = (name, color) => {
+    setCustomStatuses(prev => prev.map(status => (status.name === name ? { ...status, color } : status)));
+  };
+
+  const removeStatus = (name) => {
+    setCustomStatuses(prev => prev.filter(status => status.name !== name));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-6">Manage Statuses</h2>
+
+        <div className="flex-grow overflow-y-auto pr-2 -mr-2 space-y-4">
+          {/* Built-in Statuses */}
+          <ul className="space-y-2">
+            {builtIns.map(({ name, color }) => (
+              <li key={name} className="flex items-center justify-between px-3 py-2 bg-gray-700 rounded-lg">
+                <span className={`text-xs font-bold px-3 py-1 rounded-full ${color} text-white`}>{name}</span>
+                <Lock size={16} className="text-gray-500" title="Built-in status" />
+              </li>
+            ))}
+          </ul>
+
+          {/* Custom Statuses */}
+          {customStatuses.length > 0 && (
+            <ul className="space-y-2">
+              {customStatuses.map(({ name, color }) => {
+                const inUse = countUsing(name);
+                return (
+                  <li key={name} className="px-3 py-2 bg-gray-700 rounded-lg space-y-2">
+                    <div className="flex items-center justify-between">
+                      <span className={`text-xs font-bold px-3 py-1 rounded-full ${color} text-white`}>{name}</span>
+                      <button
+                        type="button"
+                        onClick={() => removeStatus(name)}
+                        disabled={inUse > 0}
+                        className="p-1 text-gray-400 hover:text-red-400 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                        title={inUse > 0 ? `Used by ${inUse} titles — change them first` : 'Remove status'}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {STATUS_COLOR_OPTIONS.map(option => (
+                        <button
+                          key={option}
+                          type="button"
+                          onClick={() => updateColor(name, option)}
+                          className={`w-5 h-5 rounded-full ${option} ${option === color ? 'ring-2 ring-white' : ''}`}
+                          title={option}
+                        />
+                      ))}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {/* Add Custom Status */}
+          <form onSubmit={handleAdd} className="space-y-2">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder="New status, e.g. Waiting for Translation"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                maxLength={40}
+                className="flex-grow p-3 bg-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                className="px-4 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white font-semibold rounded-lg flex items-center"
+              >
+                <Plus size={18} />
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {STATUS_COLOR_OPTIONS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setNewColor(option)}
+                  className={`w-5 h-5 rounded-full ${option} ${option === newColor ? 'ring-2 ring-white' : ''}`}
+                  title={option}
+                />
+              ))}
+            </div>
+            {error && <p className="text-sm text-red-400">{error}</p>}
+          </form>
+        </div>
+
+        <div className="pt-4 flex justify-end gap-4 flex-shrink-0">
+          <button
+            onClick={onClose}
+            className="px-5 py-2 bg-gray-600 hover:bg-gray-500 transition duration-200 text-white font-semibold rounded-lg"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(customStatuses)}
+            className="px-5 py-2 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg shadow-md"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatusManagerModal;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Tags, X } from 'lucide-react';
+
+/**
+ * Toggleable tag chips for filtering the library, with an AND/OR switch
+ */
+const TagFilterBar = ({ allTags, selectedTags, setSelectedTags, matchMode, setMatchMode }) => {
+  // Keep selected tags visible even if no title uses them anymore, so they can be cleared
+  const visibleTags = [...new Set([...allTags, ...selectedTags])];
+  if (visibleTags.length === 0) return null;
+
+  const toggleTag = (tag) => {
+    setSelectedTags(selectedTags.includes(tag)
+      ? selectedTags.filter(t => t !== tag)
+      : [...selectedTags, tag]);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6">
+      <Tags size={18} className="text-gray-400 mr-1" />
+      {visibleTags.map(tag => (
+        <button
+          key={tag}
+          onClick={() => toggleTag(tag)}
+          className={`text-xs font-semibold px-3 py-1 rounded-full border transition duration-150 ${
+            selectedTags.includes(tag)
+              ? 'bg-cyan-600 border-cyan-500 text-white'
+              : 'bg-gray-800 border-gray-700 text-gray-300 hover:bg-gray-700'
+          }`}
+        >
+          {tag}
+        </button>
+      ))}
+
+      {selectedTags.length > 1 && (
+        <button
+          onClick={() => setMatchMode(matchMode === 'all' ? 'any' : 'all')}
+          className="text-xs font-bold px-3 py-1 rounded-full bg-gray-700 text-cyan-300 hover:bg-gray-600 transition duration-150"
+          title={matchMode === 'all' ? 'Showing titles with every selected tag' : 'Showing titles with any selected tag'}
+        >
+          Match: {matchMode === 'all' ? 'ALL (AND)' : 'ANY (OR)'}
+        </button>
+      )}
+
+      {selectedTags.length > 0 && (
+        <button
+          onClick={() => setSelectedTags([])}
+          className="text-xs px-2 py-1 text-gray-400 hover:text-white flex items-center transition"
+        >
+          <X size={12} className="mr-1" /> Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TagFilterBar;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { X, Tag } from 'lucide-react';
+import { normalizeTag } from '../utils/tags';
+
+/**
+ * Chip-style tag editor. Enter or comma adds a tag, Backspace on an empty input removes the last one.
+ */
+const TagInput = ({ tags, setTags, suggestions = [] }) => {
+  const [draft, setDraft] = useState('');
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag)) {
+      setTags([...tags, tag]);
+    }
+    setDraft('');
+  };
+
+  const removeTag = (tag) => setTags(tags.filter(t => t !== tag));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault(); // Don't submit the form
+      addTag(draft);
+    } else if (e.key === 'Backspace' && draft === '' && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div>
+      <label className="flex items-center text-sm font-medium text-gray-300 mb-1">
+        <Tag size={16} className="mr-2" /> Tags
+      </label>
+      <div className="flex flex-wrap items-center gap-2 p-2 bg-gray-700 rounded-lg focus-within:ring-2 focus-within:ring-blue-500">
+        {tags.map(tag => (
+          <span key={tag} className="flex items-center text-xs font-semibold px-2 py-1 rounded-full bg-cyan-800 text-cyan-100">
+            {tag}
+            <button type="button" onClick={() => removeTag(tag)} className="ml-1 text-cyan-300 hover:text-white">
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          list="tag-suggestions"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft && addTag(draft)}
+          placeholder={tags.length === 0 ? 'e.g. isekai, weekly, reread later' : ''}
+          className="flex-grow min-w-[8rem] p-1 bg-transparent text-white placeholder-gray-400 focus:outline-none"
+        />
+        <datalist id="tag-suggestions">
+          {suggestions.filter(tag => !tags.includes(tag)).map(tag => (
+            <option key={tag} value={tag} />
+          ))}
+        </datalist>
+      </div>
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Edit, Plus, Star, ExternalLink, Loader, Image as ImageIcon, Notebook, BookOpen } from 'lucide-react';
+import { jikan } from '../utils/jikanClient';
+import { isHttpUrl } from '../utils/customTitles';
+import ReadingTimeline from './ReadingTimeline';
+import { getProgressFields, getProgressPercent, formatProgress } from '../utils/progress';
+
+/**
+ * Loads the full MAL record for an item, when it has a MAL id
+ */
+const useJikanDetails = (malId) => {
+  const [details, setDetails] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDetails(null);
+    setError(null);
+    if (!malId) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    jikan.getFullById(malId, { signal: controller.signal })
+      .then(setDetails)
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error("Loading title details failed:", err);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [malId]);
+
+  return { details, isLoading, error };
+};
+
+/**
+ * A label / value row in the facts list
+ */
+const Fact = ({ label, children }) => (
+  <div className="flex gap-3 text-sm">
+    <dt className="w-28 flex-shrink-0 text-gray-400">{label}</dt>
+    <dd className="text-gray-200">{children}</dd>
+  </div>
+);
+
+/**
+ * A dedicated page for one tracked title: our progress, notes and history,
+ * plus synopsis, authors, genres, dates and score from MyAnimeList.
+ */
+const TitleDetailView = ({ item, history, isHistoryLoading, getStatusColor, onBack, onEdit, onUpdateChapter }) => {
+  const { details, isLoading, error } = useJikanDetails(item.apiId);
+  const [imgError, setImgError] = useState(false);
+
+  const unit = getProgressFields(item);
+  const total = item[unit.total];
+  const progress = total > 0 ? Math.round(getProgressPercent(item)) : null;
+  const names = (entries = []) => entries.map(entry => entry.name).join(', ');
+  const genres = details ? [...(details.genres || []), ...(details.themes || []), ...(details.demographics || [])] : [];
+  const imageUrl = item.imageUrl || details?.images?.jpg?.image_url;
+
+  return (
+    <div className="space-y-6">
+      <button
+        onClick={onBack}
+        className="flex items-center text-sm text-gray-300 hover:text-white transition"
+      >
+        <ArrowLeft size={18} className="mr-1" /> Back to library
+      </button>
+
+      {/* Header: cover, title, progress */}
+      <div className="bg-gray-800 rounded-2xl shadow-lg border border-gray-700 p-6 flex flex-col sm:flex-row gap-6">
+        <div className="w-40 h-60 bg-gray-700 rounded-lg flex-shrink-0 flex items-center justify-center overflow-hidden self-center sm:self-start">
+          {!imgError && imageUrl ? (
+            <img src={imageUrl} alt={item.title} className="w-full h-full object-cover" onError={() => setImgError(true)} />
+          ) : (
+            <ImageIcon className="text-gray-500" size={48} />
+          )}
+        </div>
+
+        <div className="flex-grow space-y-4 min-w-0">
+          <div>
+            <span className={`text-xs font-bold px-3 py-1 rounded-full ${getStatusColor(item.status)} text-white inline-block mb-2`}>
+              {item.status}
+            </span>
+            <h2 className="text-3xl font-extrabold text-white">{item.title}</h2>
+            {details?.title_english && details.title_english !== item.title && (
+              <p className="text-gray-300">{details.title_english}</p>
+            )}
+            {details?.title_japanese && <p className="text-sm text-gray-400">{details.title_japanese}</p>}
+            <p className="text-sm text-cyan-300 mt-1">
+              {item.type}
+              {(details?.status || item.publishingStatus) && ` · ${details?.status || item.publishingStatus}`}
+            </p>
+          </div>
+
+          {/* Progress */}
+          <div>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="text-gray-200 font-mono">
+                {unit.name} <span className="font-extrabold text-blue-400">{formatProgress(item[unit.current])}</span>
+                {total > 0 && <span className="text-gray-400"> / {formatProgress(total)}</span>}
+              </span>
+              {progress !== null && <span className="text-gray-400">{progress}%</span>}
+            </div>
+            <div className="w-full h-3 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-500 transition-all duration-300"
+                style={{ width: `${progress ?? 0}%` }}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={() => onUpdateChapter(item, 1)}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 transition duration-200 text-white font-semibold rounded-lg text-sm flex items-center"
+            >
+              <Plus size={16} className="mr-1" /> Next {unit.name}
+            </button>
+            <button
+              onClick={() => onEdit(item)}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 transition duration-200 text-white font-semibold rounded-lg text-sm flex items-center"
+            >
+              <Edit size={16} className="mr-1" /> Edit
+            </button>
+            {item.rating > 0 && (
+              <span className="flex items-center text-white font-bold">
+                <Star size={18} className="text-yellow-400 fill-yellow-400 mr-1.5" />
+                {item.rating} <span className="text-sm text-gray-400 font-normal ml-1">/ 10</span>
+              </span>
+            )}
+          </div>
+
+          {item.tags.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {item.tags.map(tag => (
+                <span key={tag} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-cyan-900 text-cyan-200">{tag}</span>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* About (from MyAnimeList) */}
+        <section className="lg:col-span-2 bg-gray-800 rounded-2xl shadow-lg border border-gray-700 p-6 space-y-4">
+          <h3 className="flex items-center text-lg font-bold text-cyan-300">
+            <BookOpen size={18} className="mr-2" /> About
+          </h3>
+
+          {!item.apiId && (
+            <p className="text-sm text-gray-400">
+              This title isn't linked to MyAnimeList, so there are no extra details to show.
+              {isHttpUrl(item.sourceUrl) && (
+                <> <a href={item.sourceUrl} target="_blank" rel="noopener noreferrer" className="text-cyan-300 hover:text-white">Open source</a></>
+              )}
+            </p>
+          )}
+          {isLoading && <Loader className="animate-spin text-cyan-400" size={24} />}
+          {error && <p className="text-sm text-red-400">Couldn't load details from MyAnimeList: {error}</p>}
+
+          {details && (
+            <>
+              <p className="text-gray-200 whitespace-pre-line leading-relaxed">
+                {details.synopsis || 'No synopsis available.'}
+              </p>
+
+              <dl className="space-y-2">
+                {details.authors?.length > 0 && <Fact label="Authors">{names(details.authors)}</Fact>}
+                {genres.length > 0 && <Fact label="Genres">{names(genres)}</Fact>}
+                {details.published?.string && <Fact label="Published">{details.published.string}</Fact>}
+                {details.serializations?.length > 0 && <Fact label="Serialization">{names(details.serializations)}</Fact>}
+                {details.score && (
+                  <Fact label="MAL Score">
+                    <span className="font-bold text-white">{details.score}</span>
+                    {details.scored_by && <span className="text-gray-400"> ({details.scored_by.toLocaleString()} votes)</span>}
+                    {details.rank && <span className="text-gray-400"> · Ranked #{details.rank}</span>}
+                  </Fact>
+                )}
+              </dl>
+
+              {details.url && (
+                <a
+                  href={details.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center text-sm text-cyan-300 hover:text-white transition"
+                >
+                  View on MyAnimeList <ExternalLink size={14} className="ml-1" />
+                </a>
+              )}
+            </>
+          )}
+        </section>
+
+        {/* Our notes and history */}
+        <section className="bg-gray-800 rounded-2xl shadow-lg border border-gray-700 p-6 space-y-6">
+          <div>
+            <label className="flex items-center text-sm font-medium text-gray-300 mb-2">
+              <Notebook size={16} className="mr-2" /> Personal Notes
+            </label>
+            <p className="text-sm text-gray-200 whitespace-pre-line">
+              {item.notes || <span className="text-gray-400">No notes yet.</span>}
+            </p>
+          </div>
+          <ReadingTimeline history={history} isLoading={isHistoryLoading} />
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default TitleDetailView;
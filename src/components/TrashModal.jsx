@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { X, Trash2, RotateCcw, Image as ImageIcon } from 'lucide-react';
+import { TRASH_RETENTION_DAYS, getDaysUntilPurge } from '../utils/trash';
+import { formatProgressLabel } from '../utils/progress';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+/**
+ * A modal listing deleted titles, which can be restored or deleted for good
+ */
+const TrashModal = ({ items, onRestore, onDelete, onClose }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [isConfirmingEmpty, setIsConfirmingEmpty] = useState(false);
+  const sortedItems = [...items].sort((a, b) => b.deletedAt - a.deletedAt);
+
+  const handleEmpty = () => {
+    items.forEach(onDelete);
+    setIsConfirmingEmpty(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-30 flex items-center justify-center p-4">
+      <div ref={dialogRef} role="dialog" aria-modal="true" tabIndex={-1} className="bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-lg border border-gray-700 relative flex flex-col max-h-[90vh]">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
+        >
+          <X size={24} />
+        </button>
+        <h2 className="text-2xl font-bold text-cyan-300 mb-2">Trash</h2>
+        <p className="text-sm text-gray-400 mb-6">
+          Deleted titles stay here for {TRASH_RETENTION_DAYS} days, then they're removed for good.
+        </p>
+
+        {sortedItems.length === 0 ? (
+          <p className="text-center text-gray-400 py-8">The trash is empty.</p>
+        ) : (
+          <ul className="flex-grow overflow-y-auto pr-2 -mr-2 space-y-2">
+            {sortedItems.map(item => (
+              <li key={item.id} className="flex items-center gap-3 p-3 bg-gray-700/50 rounded-lg">
+                <div className="w-10 h-14 bg-gray-700 rounded-md flex-shrink-0 flex items-center justify-center overflow-hidden">
+                  {item.imageUrl ? (
+                    <img src={item.imageUrl} alt={item.title} className="w-full h-full object-cover" onError={(e) => e.target.style.display = 'none'} />
+                  ) : (
+                    <ImageIcon className="text-gray-500" size={18} />
+                  )}
+                </div>
+                <div className="min-w-0 flex-grow">
+                  <p className="font-semibold text-white truncate" title={item.title}>{item.title}</p>
+                  <p className="text-xs text-gray-400">
+                    {item.status} · {formatProgressLabel(item)} · {getDaysUntilPurge(item)} days left
+                  </p>
+                </div>
+                <button
+                  onClick={() => onRestore(item)}
+                  className="p-2 bg-gray-600 hover:bg-gray-500 rounded-md transition text-cyan-300"
+                  title="Restore"
+                >
+                  <RotateCcw size={18} />
+                </button>
+                <button
+                  onClick={() => onDelete(item)}
+                  className="p-2 bg-gray-600 hover:bg-red-700 rounded-md transition text-red-300"
+                  title="Delete forever"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {sortedItems.length > 0 && (
+          <div className="pt-4 flex justify-end gap-3 flex-shrink-0">
+            {isConfirmingEmpty ? (
+              <>
+                <span className="self-center text-sm text-gray-300">Delete {sortedItems.length} titles forever?</span>
+                <button
+                  onClick={() => setIsConfirmingEmpty(false)}
+                  className="px-4 py-2 bg-gray-600 hover:bg-gray-500 transition duration-200 text-white font-semibold rounded-lg"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleEmpty}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-700 transition duration-200 text-white font-semibold rounded-lg"
+                >
+                  Empty Trash
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => setIsConfirmingEmpty(true)}
+                className="px-4 py-2 bg-gray-700 hover:bg-red-700 transition duration-200 text-white font-semibold rounded-lg flex items-center"
+              >
+                <Trash2 size={18} className="mr-2" /> Empty Trash
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashModal;
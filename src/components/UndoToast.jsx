@@ -0,0 +1,33 @@
+import React, { useEffect } from 'react';
+import { RotateCcw, X } from 'lucide-react';
+
+const TOAST_DURATION_MS = 8000;
+
+/**
+ * Shows the latest undoable change with an Undo button. Hides itself after a
+ * few seconds; the change can still be undone from the next toast.
+ */
+const UndoToast = ({ action, remainingCount, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [action.id, onDismiss]);
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 bg-gray-800 border border-gray-600 rounded-xl shadow-xl max-w-[90vw]">
+      <span className="text-sm text-gray-200 truncate">{action.label}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center text-sm font-semibold text-cyan-300 hover:text-white transition flex-shrink-0"
+        title={remainingCount > 0 ? `${remainingCount} more can be undone after this` : undefined}
+      >
+        <RotateCcw size={16} className="mr-1" /> Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white transition flex-shrink-0">
+        <X size={18} />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,27 @@
+// Shared constants used by App and the feature modules
+
+// Global Variables for GitHub project:
+export const appId = 'my-github-app'; // This can be any string
+
+export const JIKAN_API_URL = 'https://api.jikan.moe/v4';
+export const ANILIST_API_URL = 'https://graphql.anilist.co';
+export const MANGADEX_API_URL = 'https://api.mangadex.org';
+export const MANGADEX_COVER_URL = 'https://uploads.mangadex.org/covers';
+// A JSON array of titles served with the app (see public/catalog.json)
+export const LOCAL_CATALOG_URL = import.meta.env?.VITE_LOCAL_CATALOG_URL || '/catalog.json';
+export const getUserCollectionPath = (userId) => `/artifacts/${appId}/users/${userId}/tracking_items`;
+export const getHistoryCollectionPath = (userId, itemId) => `${getUserCollectionPath(userId)}/${itemId}/history`;
+export const getSettingsDocPath = (userId, settingsId) => `/artifacts/${appId}/users/${userId}/settings/${settingsId}`;
+// Public profiles live outside the user's tree so anyone can read them (see firestore.rules)
+export const getPublicProfileDocPath = (slug) => `/artifacts/${appId}/public_profiles/${slug}`;
+export const getPublicProfileItemsPath = (slug) => `${getPublicProfileDocPath(slug)}/items`;
+
+// Built-in status options for tracking (users can add their own, see utils/statuses)
+export const Status = {
+  READING: 'Reading',
+  PLAN_TO_READ: 'Plan to Read',
+  ON_HOLD: 'On Hold',
+  REREADING: 'Re-reading',
+  COMPLETED: 'Completed',
+  DROPPED: 'Dropped',
+};
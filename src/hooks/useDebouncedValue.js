@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Returns `value` once it has stopped changing for `delayMs`
+ */
+const useDebouncedValue = (value, delayMs) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timeout);
+  }, [value, delayMs]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,73 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+const getFocusable = (node) => [...node.querySelectorAll(FOCUSABLE_SELECTOR)]
+  .filter(element => element.offsetParent !== null || element === document.activeElement);
+
+/**
+ * Keeps keyboard focus inside a modal while it's open: focus moves into it,
+ * Tab and Shift+Tab wrap around, Escape calls `onEscape`, and focus goes back
+ * to where it was when the modal closes. Put the returned ref on the modal's
+ * panel (with tabIndex={-1}, so it can take focus when nothing else can).
+ */
+const useFocusTrap = (onEscape) => {
+  const ref = useRef(null);
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node) return undefined;
+
+    const previouslyFocused = document.activeElement;
+    // Leave an autoFocus field alone
+    if (!node.contains(document.activeElement)) {
+      (getFocusable(node)[0] || node).focus();
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        e.stopPropagation();
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const focusable = getFocusable(node);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === node)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    node.addEventListener('keydown', handleKeyDown);
+    return () => {
+      node.removeEventListener('keydown', handleKeyDown);
+      if (previouslyFocused && document.contains(previouslyFocused)) previouslyFocused.focus();
+    };
+  }, []);
+
+  return ref;
+};
+
+export default useFocusTrap;
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseRoute } from '../utils/routes';
+
+/**
+ * Follows the location hash and returns the current route.
+ * `navigate(path)` pushes a history entry so back/forward work; pass
+ * `{ replace: true }` for changes that shouldn't each get one (typing a search).
+ * `goBack(fallback)` steps back when the previous entry is ours (closing a
+ * modal opened in the app), otherwise replaces the URL with `fallback`.
+ */
+const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const handleChange = () => setRoute(parseRoute(window.location.hash));
+    // popstate covers back/forward, hashchange covers links and edits to the URL
+    window.addEventListener('popstate', handleChange);
+    window.addEventListener('hashchange', handleChange);
+    return () => {
+      window.removeEventListener('popstate', handleChange);
+      window.removeEventListener('hashchange', handleChange);
+    };
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path === window.location.hash) return;
+    if (replace) window.history.replaceState(window.history.state, '', path);
+    else window.history.pushState({ fromApp: true }, '', path);
+    setRoute(parseRoute(path));
+  }, []);
+
+  const goBack = useCallback((fallback) => {
+    if (window.history.state?.fromApp) window.history.back();
+    else navigate(fallback, { replace: true });
+  }, [navigate]);
+
+  return { route, navigate, goBack };
+};
+
+export default useHashRoute;
@@ -0,0 +1,29 @@
+import { useState, useCallback } from 'react';
+
+export const LIBRARY_LAYOUTS = ['grid', 'list', 'table'];
+
+// Remembered per signed-in user on this device
+const LAYOUT_STORAGE_KEY = 'library-layout';
+
+const loadLayout = (userId) => {
+  const saved = userId ? localStorage.getItem(`${LAYOUT_STORAGE_KEY}:${userId}`) : null;
+  return LIBRARY_LAYOUTS.includes(saved) ? saved : 'grid';
+};
+
+/**
+ * The library's layout (card grid, compact list or table) and a setter that remembers it
+ */
+const useLibraryLayout = (userId) => {
+  const [saved, setSaved] = useState(() => ({ userId, layout: loadLayout(userId) }));
+  // Switching accounts picks up that account's choice
+  const layout = saved.userId === userId ? saved.layout : loadLayout(userId);
+
+  const setLayout = useCallback((next) => {
+    if (userId) localStorage.setItem(`${LAYOUT_STORAGE_KEY}:${userId}`, next);
+    setSaved({ userId, layout: next });
+  }, [userId]);
+
+  return [layout, setLayout];
+};
+
+export default useLibraryLayout;
@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { checkForReleases } from '../utils/releaseChecker';
+
+// How often we look for due titles while the app is open
+const CHECK_TICK_MS = 15 * 60 * 1000;
+// Give the first snapshot time to settle before the first check
+const INITIAL_DELAY_MS = 5000;
+
+/**
+ * Periodically runs the release checker in the background while `enabled`.
+ * Reads the latest items through a ref so snapshot updates don't restart it.
+ */
+const useReleaseChecker = (items, onUpdate, enabled) => {
+  const [isChecking, setIsChecking] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const itemsRef = useRef(items);
+  const onUpdateRef = useRef(onUpdate);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    itemsRef.current = items;
+    onUpdateRef.current = onUpdate;
+  });
+
+  const runCheck = useCallback(async ({ force = false } = {}) => {
+    if (controllerRef.current) return; // Already running
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsChecking(true);
+
+    try {
+      const result = await checkForReleases(itemsRef.current, {
+        onUpdate: (item, changes) => onUpdateRef.current(item, changes),
+        signal: controller.signal,
+        force,
+      });
+      if (!controller.signal.aborted) setLastResult({ ...result, finishedAt: Date.now() });
+    } finally {
+      controllerRef.current = null;
+      setIsChecking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const timeout = setTimeout(runCheck, INITIAL_DELAY_MS);
+    const interval = setInterval(runCheck, CHECK_TICK_MS);
+    return () => {
+      clearTimeout(timeout);
+      clearInterval(interval);
+      controllerRef.current?.abort();
+    };
+  }, [enabled, runCheck]);
+
+  return { isChecking, lastResult, runCheck };
+};
+
+export default useReleaseChecker;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { getVisibleRange } from '../utils/virtualRows';
+
+const OVERSCAN = 8;
+
+/**
+ * Windowed rendering for a list of fixed-height rows scrolled with the page.
+ * Put the returned ref on the element wrapping the rows, give it
+ * `height: totalHeight`, and render rows start..end offset by `offsetTop`.
+ */
+const useVirtualRows = (count, rowHeight) => {
+  const containerRef = useRef(null);
+  const [range, setRange] = useState(() => ({ start: 0, end: Math.min(count, 30) }));
+
+  const measureRef = useRef(null);
+
+  // Re-measure before paint when the rows change (filters, sort, layout)
+  useLayoutEffect(() => {
+    const measure = () => {
+      const node = containerRef.current;
+      if (!node) return;
+      const next = getVisibleRange({
+        scrollTop: -node.getBoundingClientRect().top,
+        viewportHeight: window.innerHeight,
+        rowHeight,
+        count,
+        overscan: OVERSCAN,
+      });
+      setRange(prev => (prev.start === next.start && prev.end === next.end ? prev : next));
+    };
+    measureRef.current = measure;
+    measure();
+  }, [count, rowHeight]);
+
+  useEffect(() => {
+    let frame = null;
+    const handleChange = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        measureRef.current?.();
+      });
+    };
+    window.addEventListener('scroll', handleChange, { passive: true });
+    window.addEventListener('resize', handleChange);
+    return () => {
+      window.removeEventListener('scroll', handleChange);
+      window.removeEventListener('resize', handleChange);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  return {
+    containerRef,
+    start: range.start,
+    end: range.end,
+    offsetTop: range.start * rowHeight,
+    totalHeight: count * rowHeight,
+  };
+};
+
+export default useVirtualRows;
@@ -0,0 +1,107 @@
+import { ANILIST_API_URL } from '../constants';
+import { createApiClient } from '../utils/apiClient';
+
+// --- ANILIST (GraphQL) PROVIDER ---
+
+// AniList allows 90 requests a minute, but runs at 30 while degraded
+const RATE_LIMITS = [{ windowMs: 60 * 1000, max: 30 }];
+
+const CACHE_TTL = {
+  search: 60 * 60 * 1000, // 1 hour
+  media: 24 * 60 * 60 * 1000, // 1 day
+};
+
+const MEDIA_FIELDS = `
+  id
+  idMal
+  title { romaji english }
+  format
+  status
+  chapters
+  volumes
+  countryOfOrigin
+  averageScore
+  coverImage { large }
+`;
+
+const SEARCH_QUERY = `
+  query ($search: String, $page: Int, $perPage: Int) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo { hasNextPage }
+      media(search: $search, type: MANGA, sort: SEARCH_MATCH) { ${MEDIA_FIELDS} }
+    }
+  }
+`;
+
+const MEDIA_QUERY = `
+  query ($id: Int) {
+    Media(id: $id, type: MANGA) { ${MEDIA_FIELDS} }
+  }
+`;
+
+const STATUS_NAMES = {
+  RELEASING: 'Publishing',
+  FINISHED: 'Finished',
+  HIATUS: 'On Hiatus',
+  CANCELLED: 'Discontinued',
+  NOT_YET_RELEASED: 'Not yet published',
+};
+
+// AniList has one MANGA format; the country tells manhwa and manhua apart
+const COUNTRY_TYPES = { KR: 'Manhwa', CN: 'Manhua', TW: 'Manhua' };
+
+const toType = (media) => {
+  if (media.format === 'NOVEL') return 'Novel';
+  if (media.format === 'ONE_SHOT') return 'One-shot';
+  return COUNTRY_TYPES[media.countryOfOrigin] || 'Manga';
+};
+
+/**
+ * Maps an AniList Media onto the shared ProviderTitle shape
+ * @returns {import('./index').ProviderTitle}
+ */
+const toProviderTitle = (media) => ({
+  provider: 'anilist',
+  providerId: String(media.id),
+  malId: media.idMal || null,
+  title: media.title?.english || media.title?.romaji || 'Untitled',
+  type: toType(media),
+  publishingStatus: STATUS_NAMES[media.status] || '',
+  chapters: Number(media.chapters) || 0,
+  volumes: Number(media.volumes) || 0,
+  imageUrl: media.coverImage?.large || '',
+  score: media.averageScore ? media.averageScore / 10 : null,
+});
+
+/**
+ * Creates the AniList provider, on its own client limited to 30 requests a minute
+ * @returns {import('./index').MetadataProvider}
+ */
+export const createAniListProvider = ({ fetchFn, cache, sleep, baseUrl = ANILIST_API_URL } = {}) => {
+  const { request } = createApiClient({ baseUrl, rateLimits: RATE_LIMITS, fetchFn, cache, sleep });
+
+  const query = async (text, variables, options) => {
+    const data = await request('', undefined, { ...options, body: { query: text, variables } });
+    if (data.errors?.length) throw new Error(`AniList: ${data.errors[0].message}`);
+    return data.data;
+  };
+
+  return {
+    id: 'anilist',
+    label: 'AniList',
+    supportsFilters: false,
+
+    async search(search, { page = 1, limit = 15, signal } = {}) {
+      const data = await query(SEARCH_QUERY, { search, page, perPage: limit }, { ttl: CACHE_TTL.search, signal });
+      return {
+        results: (data.Page?.media || []).map(toProviderTitle),
+        hasNextPage: Boolean(data.Page?.pageInfo?.hasNextPage),
+      };
+    },
+
+    async getById(providerId, { bypassCache, signal } = {}) {
+      const data = await query(MEDIA_QUERY, { id: Number(providerId) }, { ttl: CACHE_TTL.media, bypassCache, signal });
+      return toProviderTitle(data.Media);
+    },
+  };
+};
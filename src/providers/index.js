@@ -0,0 +1,129 @@
+import { Status } from '../constants';
+import { isCustomItem } from '../utils/customTitles';
+import { createJikanProvider } from './jikanProvider';
+import { createAniListProvider } from './anilistProvider';
+import { createMangaDexProvider } from './mangadexProvider';
+import { createLocalCatalogProvider } from './localCatalogProvider';
+
+// --- METADATA PROVIDERS ---
+//
+// Search and metadata can come from several sources. Each provider maps its
+// API onto the same ProviderTitle shape, and tracked items remember where they
+// came from as { provider, providerId }. Items added before providers existed
+// only have a MAL `apiId` and are read as Jikan items.
+
+/**
+ * @typedef {object} ProviderTitle
+ * @property {string} provider Provider id, e.g. "jikan"
+ * @property {string} providerId The title's id at that provider
+ * @property {number|null} malId MyAnimeList id when the provider knows it
+ * @property {string} title
+ * @property {string} type e.g. "Manga", "Manhwa"
+ * @property {string} publishingStatus e.g. "Publishing", "Finished"
+ * @property {number} chapters Released chapters, 0 when unknown
+ * @property {number} volumes Released volumes, 0 when unknown
+ * @property {string} imageUrl
+ * @property {number|null} score Out of 10
+ */
+
+/**
+ * @typedef {object} MetadataProvider
+ * @property {string} id
+ * @property {string} label Shown in the provider switcher
+ * @property {boolean} supportsFilters Whether search takes the Jikan-style filters
+ * @property {(query: string, options?: { page?: number, limit?: number, signal?: AbortSignal, filters?: object }) => Promise<{ results: ProviderTitle[], hasNextPage: boolean }>} search
+ * @property {(providerId: string, options?: { bypassCache?: boolean, signal?: AbortSignal }) => Promise<ProviderTitle>} getById
+ */
+
+export const DEFAULT_PROVIDER_ID = 'jikan';
+
+/**
+ * Creates a lookup of providers by id, in switcher order.
+ * Build one from mock providers to test code that takes a `providers` option.
+ */
+export const createProviderRegistry = (providerList) => {
+  const byId = new Map(providerList.map(provider => [provider.id, provider]));
+  return {
+    list: () => providerList,
+    has: (id) => byId.has(id),
+    get(id) {
+      const provider = byId.get(id);
+      if (!provider) throw new Error(`Unknown metadata provider "${id}".`);
+      return provider;
+    },
+  };
+};
+
+// Shared registry used across the app
+export const providers = createProviderRegistry([
+  createJikanProvider(),
+  createAniListProvider(),
+  createMangaDexProvider(),
+  createLocalCatalogProvider(),
+]);
+
+/**
+ * Where an item's metadata comes from, or null for custom titles
+ * @returns {{ provider: string, providerId: string } | null}
+ */
+export const getItemSource = (item) => {
+  if (isCustomItem(item)) return null;
+  if (item.provider && item.providerId) return { provider: item.provider, providerId: String(item.providerId) };
+  if (item.apiId) return { provider: 'jikan', providerId: String(item.apiId) };
+  return null;
+};
+
+/**
+ * A "provider:id" key for spotting titles that are already tracked
+ */
+export const getSourceKey = ({ provider, providerId }) => `${provider}:${providerId}`;
+
+const getMalKey = (malId) => (Number(malId) > 0 ? `mal:${Number(malId)}` : null);
+
+/**
+ * Every key a tracked item is known by: its source key, plus "mal:id" when its
+ * MAL id is known, so the same series added through another provider matches
+ */
+export const getItemKeys = (item) => {
+  const source = getItemSource(item);
+  if (!source) return [];
+  return [getSourceKey(source), getMalKey(item.apiId)].filter(Boolean);
+};
+
+/**
+ * Every key a search result is known by (see getItemKeys)
+ */
+export const getTitleKeys = (title) => [getSourceKey(title), getMalKey(title.malId)].filter(Boolean);
+
+/**
+ * Whether a tracked item is the same series as a search result, from any provider
+ */
+export const isSameTitle = (item, title) => {
+  const itemKeys = getItemKeys(item);
+  return getTitleKeys(title).some(key => itemKeys.includes(key));
+};
+
+/**
+ * Builds a new tracking item from a provider search result.
+ * `apiId` keeps the MAL id (when known) for MAL import/export.
+ */
+export const createItemFromTitle = (title) => ({
+  provider: title.provider,
+  providerId: title.providerId,
+  apiId: title.malId || null,
+  title: title.title,
+  type: title.type || 'Manga',
+  status: Status.PLAN_TO_READ,
+  currentChapter: 0,
+  totalChapters: title.chapters || 0,
+  currentVolume: 0,
+  totalVolumes: title.volumes || 0,
+  progressUnit: 'chapter',
+  imageUrl: title.imageUrl || '',
+  publishingStatus: title.publishingStatus || '',
+  rating: 0,
+  notes: '',
+  tags: [],
+  rereadCount: 0,
+  lastUpdated: Date.now(),
+});
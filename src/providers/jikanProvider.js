@@ -0,0 +1,42 @@
+import { jikan } from '../utils/jikanClient';
+import { buildSearchParams } from '../utils/searchFilters';
+
+// --- JIKAN (MyAnimeList) PROVIDER ---
+
+/**
+ * Maps a Jikan manga onto the shared ProviderTitle shape (also used for recommendations)
+ * @param {import('../utils/jikanClient').JikanManga} manga
+ * @returns {import('./index').ProviderTitle}
+ */
+export const toProviderTitle = (manga) => ({
+  provider: 'jikan',
+  providerId: String(manga.mal_id),
+  malId: manga.mal_id,
+  title: manga.title,
+  type: manga.type || 'Manga',
+  publishingStatus: manga.status || '',
+  chapters: Number(manga.chapters) || 0,
+  volumes: Number(manga.volumes) || 0,
+  imageUrl: manga.images?.jpg?.image_url || '',
+  score: manga.score ?? null,
+});
+
+/**
+ * Creates the Jikan provider. Pass a client made with createJikanClient({ fetchFn }) to test.
+ * @returns {import('./index').MetadataProvider}
+ */
+export const createJikanProvider = ({ client = jikan } = {}) => ({
+  id: 'jikan',
+  label: 'MyAnimeList',
+  supportsFilters: true,
+
+  async search(query, { page = 1, limit, signal, filters } = {}) {
+    const params = filters ? buildSearchParams(filters) : {};
+    const { results, pagination } = await client.search(query, { page, limit, signal, ...params });
+    return { results: results.map(toProviderTitle), hasNextPage: Boolean(pagination?.has_next_page) };
+  },
+
+  async getById(providerId, { bypassCache, signal } = {}) {
+    return toProviderTitle(await client.getById(providerId, { bypassCache, signal }));
+  },
+});
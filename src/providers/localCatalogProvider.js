@@ -0,0 +1,80 @@
+import { LOCAL_CATALOG_URL } from '../constants';
+
+// --- LOCAL JSON CATALOGUE PROVIDER ---
+//
+// Searches a JSON array of titles shipped with the app, for offline use or
+// series no online database has. Each entry looks like:
+//   { "id": "solo-01", "title": "...", "type": "Manhwa", "status": "Publishing",
+//     "chapters": 200, "volumes": 20, "imageUrl": "https://...", "malId": 121496 }
+// Only id and title are required.
+
+/**
+ * Maps a catalogue entry onto the shared ProviderTitle shape
+ * @returns {import('./index').ProviderTitle}
+ */
+const toProviderTitle = (entry) => ({
+  provider: 'local',
+  providerId: String(entry.id),
+  malId: Number(entry.malId) || null,
+  title: entry.title,
+  type: entry.type || 'Manga',
+  publishingStatus: entry.status || '',
+  chapters: Number(entry.chapters) || 0,
+  volumes: Number(entry.volumes) || 0,
+  imageUrl: entry.imageUrl || '',
+  score: entry.score ?? null,
+});
+
+/**
+ * Creates the local catalogue provider. Pass `catalog` (an array of entries)
+ * to skip loading the file, e.g. in tests.
+ * @returns {import('./index').MetadataProvider}
+ */
+export const createLocalCatalogProvider = ({
+  catalog,
+  url = LOCAL_CATALOG_URL,
+  fetchFn = (...args) => fetch(...args),
+} = {}) => {
+  let entriesPromise = null;
+
+  // Loaded once, on first use
+  const loadEntries = () => {
+    if (!entriesPromise) {
+      entriesPromise = catalog
+        ? Promise.resolve(catalog)
+        : fetchFn(url).then(response => {
+          if (!response.ok) throw new Error(`Catalogue Error: ${response.status} ${response.statusText}`);
+          return response.json();
+        });
+      entriesPromise = entriesPromise
+        .then(entries => (Array.isArray(entries) ? entries : []).filter(entry => entry?.id && entry.title))
+        .catch(error => {
+          entriesPromise = null; // Let the next call try again
+          throw error;
+        });
+    }
+    return entriesPromise;
+  };
+
+  return {
+    id: 'local',
+    label: 'Local Catalogue',
+    supportsFilters: false,
+
+    async search(query, { page = 1, limit = 15 } = {}) {
+      const needle = query.trim().toLowerCase();
+      const matches = (await loadEntries()).filter(entry => entry.title.toLowerCase().includes(needle));
+      const start = (page - 1) * limit;
+      return {
+        results: matches.slice(start, start + limit).map(toProviderTitle),
+        hasNextPage: start + limit < matches.length,
+      };
+    },
+
+    async getById(providerId) {
+      const entry = (await loadEntries()).find(candidate => String(candidate.id) === String(providerId));
+      if (!entry) throw new Error(`"${providerId}" is not in the local catalogue.`);
+      return toProviderTitle(entry);
+    },
+  };
+};
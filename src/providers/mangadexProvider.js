@@ -0,0 +1,91 @@
+import { MANGADEX_API_URL, MANGADEX_COVER_URL } from '../constants';
+import { createApiClient } from '../utils/apiClient';
+
+// --- MANGADEX PROVIDER ---
+
+// MangaDex allows about 5 requests a second per client
+const RATE_LIMITS = [{ windowMs: 1000, max: 5 }];
+
+const CACHE_TTL = {
+  search: 60 * 60 * 1000, // 1 hour
+  manga: 24 * 60 * 60 * 1000, // 1 day
+};
+
+const STATUS_NAMES = {
+  ongoing: 'Publishing',
+  completed: 'Finished',
+  hiatus: 'On Hiatus',
+  cancelled: 'Discontinued',
+};
+
+const LANGUAGE_TYPES = { ja: 'Manga', ko: 'Manhwa', zh: 'Manhua', 'zh-hk': 'Manhua' };
+
+/**
+ * Picks the English title, falling back to any title MangaDex has
+ */
+const pickTitle = ({ title = {}, altTitles = [] }) => (
+  title.en
+  || altTitles.find(alt => alt.en)?.en
+  || Object.values(title)[0]
+  || 'Untitled'
+);
+
+const toCoverUrl = (manga) => {
+  const fileName = manga.relationships?.find(rel => rel.type === 'cover_art')?.attributes?.fileName;
+  return fileName ? `${MANGADEX_COVER_URL}/${manga.id}/${fileName}.256.jpg` : '';
+};
+
+/**
+ * Maps a MangaDex manga onto the shared ProviderTitle shape
+ * @returns {import('./index').ProviderTitle}
+ */
+const toProviderTitle = (manga) => {
+  const { attributes = {} } = manga;
+  return {
+    provider: 'mangadex',
+    providerId: manga.id,
+    malId: Number(attributes.links?.mal) || null,
+    title: pickTitle(attributes),
+    type: LANGUAGE_TYPES[attributes.originalLanguage] || 'Manga',
+    publishingStatus: STATUS_NAMES[attributes.status] || '',
+    // lastChapter and lastVolume are only set once a series has ended
+    chapters: Math.floor(Number(attributes.lastChapter)) || 0,
+    volumes: Math.floor(Number(attributes.lastVolume)) || 0,
+    imageUrl: toCoverUrl(manga),
+    score: null,
+  };
+};
+
+/**
+ * Creates the MangaDex provider, on its own client limited to 5 requests a second
+ * @returns {import('./index').MetadataProvider}
+ */
+export const createMangaDexProvider = ({ fetchFn, cache, sleep, baseUrl = MANGADEX_API_URL } = {}) => {
+  const { request } = createApiClient({ baseUrl, rateLimits: RATE_LIMITS, fetchFn, cache, sleep });
+
+  return {
+    id: 'mangadex',
+    label: 'MangaDex',
+    supportsFilters: false,
+
+    async search(query, { page = 1, limit = 15, signal } = {}) {
+      const data = await request('/manga', {
+        title: query,
+        limit,
+        offset: (page - 1) * limit,
+        'includes[]': ['cover_art'],
+        'order[relevance]': 'desc',
+      }, { ttl: CACHE_TTL.search, signal });
+
+      return {
+        results: (data.data || []).map(toProviderTitle),
+        hasNextPage: (data.offset || 0) + (data.limit || limit) < (data.total || 0),
+      };
+    },
+
+    async getById(providerId, { bypassCache, signal } = {}) {
+      const data = await request(`/manga/${providerId}`, { 'includes[]': ['cover_art'] }, { ttl: CACHE_TTL.manga, bypassCache, signal });
+      return toProviderTitle(data.data);
+    },
+  };
+};
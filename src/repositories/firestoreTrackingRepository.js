@@ -0,0 +1,170 @@
+import { collection, collectionGroup, deleteField, doc, getDocs, onSnapshot, orderBy, query, where, writeBatch } from 'firebase/firestore';
+import { getUserCollectionPath, getHistoryCollectionPath } from '../constants';
+import { normalizeItem, buildProgressUpdate, buildProgressJump, buildEditedItem, buildHistoryEntry, buildRestoredHistoryEntry, buildRevert, toItemData } from './trackingRepository';
+import { BATCH_LIMIT, commitInChunks, queueInChunks } from '../utils/firestoreBatch';
+
+// Items per bulk batch (each may also add a history entry). Smaller than the
+// limit so progress moves and a rejected batch takes fewer items with it.
+const BULK_CHUNK_SIZE = 100;
+
+/**
+ * Stores one user's library in Firestore (see TrackingRepository).
+ *
+ * Writes resolve once the server has them. Firestore applies them to the local
+ * cache straight away (and queues them while offline), so callers that don't
+ * need to wait shouldn't: the subscription already shows the change.
+ */
+export const createFirestoreTrackingRepository = (db, userId) => {
+  const itemsRef = collection(db, getUserCollectionPath(userId));
+  const itemRef = (itemId) => doc(itemsRef, itemId);
+
+  const historyRef = (itemId, entryId) => (entryId
+    ? doc(db, getHistoryCollectionPath(userId, itemId), entryId)
+    : doc(collection(db, getHistoryCollectionPath(userId, itemId))));
+
+  /**
+   * Queues a history entry for a progress change onto a write batch.
+   * Returns the entry's id, or null if nothing changed.
+   */
+  const addHistoryToBatch = (batch, itemId, from, to) => {
+    const entry = buildHistoryEntry(userId, itemId, from, to);
+    if (!entry) return null;
+    const ref = historyRef(itemId);
+    batch.set(ref, entry);
+    return ref.id;
+  };
+
+  /**
+   * Saves a changed item with its history entry, returning the change without waiting
+   */
+  const saveChange = (before, after) => {
+    const batch = writeBatch(db);
+    batch.set(itemRef(before.id), toItemData(after), { merge: true });
+    const historyEntryId = addHistoryToBatch(batch, before.id, before, after);
+    return { before, after, historyEntryId, write: batch.commit() };
+  };
+
+  return {
+    subscribe(onChange, onError) {
+      // Metadata changes let us notice when queued writes reach the server
+      return onSnapshot(query(itemsRef), { includeMetadataChanges: true }, (snapshot) => {
+        onChange(
+          snapshot.docs.map(itemDoc => normalizeItem(itemDoc.id, itemDoc.data())),
+          new Set(snapshot.docs.filter(itemDoc => itemDoc.metadata.hasPendingWrites).map(itemDoc => itemDoc.id))
+        );
+      }, onError);
+    },
+
+    subscribeHistory(itemId, onChange, onError) {
+      const historyQuery = query(collection(db, getHistoryCollectionPath(userId, itemId)), orderBy('timestamp', 'desc'));
+      return onSnapshot(historyQuery, (snapshot) => {
+        onChange(snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })));
+      }, onError);
+    },
+
+    subscribeAllHistory(onChange, onError) {
+      // Needs the collection group index on history.userId (firestore.indexes.json)
+      const historyQuery = query(collectionGroup(db, 'history'), where('userId', '==', userId));
+      return onSnapshot(historyQuery, (snapshot) => {
+        onChange(snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })));
+      }, onError);
+    },
+
+    async addItem(newItem) {
+      const ref = doc(itemsRef);
+      const batch = writeBatch(db);
+      batch.set(ref, toItemData(newItem));
+      addHistoryToBatch(batch, ref.id, null, newItem);
+      await batch.commit();
+      return ref.id;
+    },
+
+    importItems(newItems) {
+      // Each item may come with its "Added" entry, so a batch holds half as many
+      const write = queueInChunks(db, newItems.map(newItem => (batch) => {
+        const ref = newItem.id ? itemRef(newItem.id) : doc(itemsRef);
+        batch.set(ref, toItemData(newItem));
+        if (!newItem.id) addHistoryToBatch(batch, ref.id, null, newItem);
+      }), BATCH_LIMIT / 2);
+      return { count: newItems.length, write };
+    },
+
+    async importHistory(entries) {
+      // Rewriting an entry would be an update, which the rules don't allow
+      const existingSnapshot = await getDocs(query(collectionGroup(db, 'history'), where('userId', '==', userId)));
+      const existingIds = new Set(existingSnapshot.docs.map(entryDoc => entryDoc.id));
+      const added = entries.filter(entry => !existingIds.has(entry.id));
+      await commitInChunks(db, added.map(entry => (batch) => {
+        batch.set(historyRef(entry.itemId, entry.id), buildRestoredHistoryEntry(userId, entry));
+      }));
+      return added.length;
+    },
+
+    updateProgress: (item, delta) => saveChange(item, buildProgressUpdate(item, delta)),
+
+    setProgress: (item, value) => saveChange(item, buildProgressJump(item, value)),
+
+    saveEdit: (item, formData) => saveChange(item, buildEditedItem(item, formData)),
+
+    async revertChange(change) {
+      const { restore, remove } = buildRevert(change);
+      remove.forEach((field) => {
+        restore[field] = deleteField();
+      });
+
+      const batch = writeBatch(db);
+      batch.set(itemRef(change.before.id), restore, { merge: true });
+      if (change.historyEntryId) batch.delete(historyRef(change.before.id, change.historyEntryId));
+      await batch.commit();
+    },
+
+    async updateFields(item, changes) {
+      const batch = writeBatch(db);
+      batch.set(itemRef(item.id), changes, { merge: true });
+      await batch.commit();
+    },
+
+    async bulkUpdate(updates, { onProgress } = {}) {
+      const result = { updated: 0, failed: [] };
+      for (let start = 0; start < updates.length; start += BULK_CHUNK_SIZE) {
+        const chunk = updates.slice(start, start + BULK_CHUNK_SIZE);
+        const batch = writeBatch(db);
+        chunk.forEach(({ before, after }) => {
+          batch.set(itemRef(before.id), toItemData(after), { merge: true });
+          addHistoryToBatch(batch, before.id, before, after);
+        });
+
+        try {
+          await batch.commit();
+          result.updated += chunk.length;
+        } catch (error) {
+          result.failed.push(...chunk.map(({ before }) => ({ item: before, error: error.message })));
+        }
+        onProgress?.(Math.min(start + BULK_CHUNK_SIZE, updates.length), updates.length);
+      }
+      return result;
+    },
+
+    async trashItem(item) {
+      const batch = writeBatch(db);
+      batch.set(itemRef(item.id), { deletedAt: Date.now() }, { merge: true });
+      await batch.commit();
+    },
+
+    async restoreItem(item) {
+      const batch = writeBatch(db);
+      batch.set(itemRef(item.id), { deletedAt: deleteField() }, { merge: true });
+      await batch.commit();
+    },
+
+    async deleteItem(item) {
+      // Subcollections aren't removed with their parent, so clear the history too
+      // (getDocs falls back to the local cache while offline)
+      const historySnapshot = await getDocs(collection(db, getHistoryCollectionPath(userId, item.id)));
+      await commitInChunks(db, [
+        ...historySnapshot.docs.map(entryDoc => (batch) => batch.delete(entryDoc.ref)),
+        (batch) => batch.delete(itemRef(item.id)),
+      ]);
+    },
+  };
+};
@@ -0,0 +1,159 @@
+import { normalizeItem, buildProgressUpdate, buildProgressJump, buildEditedItem, buildHistoryEntry, buildRestoredHistoryEntry, buildRevert, toItemData } from './trackingRepository';
+
+/**
+ * Keeps a library in memory (see TrackingRepository). Used by the tests, so the
+ * item logic can be exercised without Firebase or a network.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.items] Items to start with (each with an `id`)
+ * @param {string} [options.userId] Stored on history entries
+ * @param {() => number} [options.now] Clock for `lastUpdated` and history timestamps
+ */
+export const createMemoryTrackingRepository = ({ items = [], userId = 'local-user', now = Date.now } = {}) => {
+  const itemsById = new Map(items.map(({ id, ...data }) => [id, data]));
+  const historyByItemId = new Map();
+  const listeners = new Set();
+  let nextId = 1;
+
+  const generateId = (prefix) => {
+    let id;
+    do {
+      id = `${prefix}-${nextId++}`;
+    } while (itemsById.has(id));
+    return id;
+  };
+
+  const getItems = () => [...itemsById].map(([id, data]) => normalizeItem(id, data));
+  const getHistory = (itemId) => [...(historyByItemId.get(itemId) || [])].sort((a, b) => b.timestamp - a.timestamp);
+  const getAllHistory = () => [...historyByItemId.values()].flat();
+
+  // Listeners are called synchronously after every write
+  const notify = () => listeners.forEach(listener => listener());
+
+  const listen = (listener) => {
+    listeners.add(listener);
+    listener();
+    return () => listeners.delete(listener);
+  };
+
+  // Returns the new entry's id, or null if nothing changed
+  const addHistory = (itemId, from, to) => {
+    const entry = buildHistoryEntry(userId, itemId, from, to);
+    if (!entry) return null;
+    const id = generateId('entry');
+    historyByItemId.set(itemId, [...(historyByItemId.get(itemId) || []), { id, ...entry, timestamp: now() }]);
+    return id;
+  };
+
+  const requireItem = (itemId) => {
+    if (!itemsById.has(itemId)) throw new Error(`No tracked item with id "${itemId}".`);
+  };
+
+  const mergeItem = (itemId, fields) => {
+    itemsById.set(itemId, { ...itemsById.get(itemId), ...fields });
+  };
+
+  const saveChange = (before, after) => {
+    requireItem(before.id);
+    mergeItem(before.id, toItemData(after));
+    const historyEntryId = addHistory(before.id, before, after);
+    notify();
+    return { before, after, historyEntryId, write: Promise.resolve() };
+  };
+
+  return {
+    subscribe: (onChange) => listen(() => onChange(getItems(), new Set())),
+
+    subscribeHistory: (itemId, onChange) => listen(() => onChange(getHistory(itemId))),
+
+    subscribeAllHistory: (onChange) => listen(() => onChange(getAllHistory())),
+
+    async addItem(newItem) {
+      const id = generateId('item');
+      itemsById.set(id, toItemData(newItem));
+      addHistory(id, null, newItem);
+      notify();
+      return id;
+    },
+
+    importItems(newItems) {
+      newItems.forEach((newItem) => {
+        const id = newItem.id || generateId('item');
+        itemsById.set(id, toItemData(newItem));
+        if (!newItem.id) addHistory(id, null, newItem);
+      });
+      notify();
+      return { count: newItems.length, write: Promise.resolve() };
+    },
+
+    async importHistory(entries) {
+      const existingIds = new Set(getAllHistory().map(({ id }) => id));
+      const added = entries.filter(entry => !existingIds.has(entry.id));
+      added.forEach((entry) => {
+        historyByItemId.set(entry.itemId, [...(historyByItemId.get(entry.itemId) || []), { id: entry.id, ...buildRestoredHistoryEntry(userId, entry) }]);
+      });
+      notify();
+      return added.length;
+    },
+
+    updateProgress: (item, delta) => saveChange(item, buildProgressUpdate(item, delta, now())),
+
+    setProgress: (item, value) => saveChange(item, buildProgressJump(item, value, now())),
+
+    saveEdit: (item, formData) => saveChange(item, buildEditedItem(item, formData, now())),
+
+    async revertChange(change) {
+      const itemId = change.before.id;
+      requireItem(itemId);
+      const { restore, remove } = buildRevert(change);
+      const data = { ...itemsById.get(itemId), ...restore };
+      remove.forEach((field) => delete data[field]);
+      itemsById.set(itemId, data);
+      historyByItemId.set(itemId, (historyByItemId.get(itemId) || []).filter(entry => entry.id !== change.historyEntryId));
+      notify();
+    },
+
+    async updateFields(item, changes) {
+      requireItem(item.id);
+      mergeItem(item.id, changes);
+      notify();
+    },
+
+    async bulkUpdate(updates, { onProgress } = {}) {
+      const result = { updated: 0, failed: [] };
+      updates.forEach(({ before, after }, index) => {
+        if (itemsById.has(before.id)) {
+          mergeItem(before.id, toItemData(after));
+          addHistory(before.id, before, after);
+          result.updated++;
+        } else {
+          result.failed.push({ item: before, error: `No tracked item with id "${before.id}".` });
+        }
+        onProgress?.(index + 1, updates.length);
+      });
+      notify();
+      return result;
+    },
+
+    async trashItem(item) {
+      requireItem(item.id);
+      mergeItem(item.id, { deletedAt: now() });
+      notify();
+    },
+
+    async restoreItem(item) {
+      requireItem(item.id);
+      const data = { ...itemsById.get(item.id) };
+      delete data.deletedAt;
+      itemsById.set(item.id, data);
+      notify();
+    },
+
+    // Deletes for good, like purging the trash
+    async deleteItem(item) {
+      itemsById.delete(item.id);
+      historyByItemId.delete(item.id);
+      notify();
+    },
+  };
+};
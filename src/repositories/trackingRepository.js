@@ -0,0 +1,167 @@
+import { applyStatusTransition } from '../utils/statusMachine';
+import { createHistoryEntry } from '../utils/history';
+import { normalizeTags } from '../utils/tags';
+import { isHttpUrl } from '../utils/customTitles';
+import { getProgressFields, getProgressUnit, stepProgress, toProgressNumber } from '../utils/progress';
+
+// --- TRACKING REPOSITORY ---
+//
+// Everything that reads or writes tracked items goes through a repository, so
+// App doesn't talk to Firestore directly. firestoreTrackingRepository is the
+// real one; memoryTrackingRepository keeps everything in memory for tests.
+// Both build their writes with the helpers below, so the status transitions
+// and history entries are the same whichever one is used.
+//
+// Progress changes and edits hand back an ItemChange straight away, without
+// waiting for the server (Firestore may be offline), so they can be undone.
+
+/**
+ * @typedef {object} ItemChange
+ * @property {object} before The item as it was
+ * @property {object} after The item as saved
+ * @property {string|null} historyEntryId The history entry the change added, if any
+ * @property {Promise<void>} write Settles once the change is stored
+ */
+
+/**
+ * @typedef {object} ImportResult
+ * @property {number} count Items written
+ * @property {Promise<void>} write Settles once the server has them all
+ */
+
+/**
+ * @typedef {object} BulkResult
+ * @property {number} updated Items saved
+ * @property {{ item: object, error: string }[]} failed Items whose batch was rejected
+ */
+
+/**
+ * @typedef {object} TrackingRepository
+ * @property {(onChange: (items: object[], pendingIds: Set<string>) => void, onError?: (error: Error) => void) => () => void} subscribe
+ *   Calls `onChange` with the whole library whenever it changes. `pendingIds` are items with writes not yet synced.
+ * @property {(itemId: string, onChange: (entries: object[]) => void, onError?: (error: Error) => void) => () => void} subscribeHistory
+ *   One item's history, newest first
+ * @property {(onChange: (entries: object[]) => void, onError?: (error: Error) => void) => () => void} subscribeAllHistory
+ *   Every history entry in the library, for the stats view
+ * @property {(newItem: object) => Promise<string>} addItem Adds an item (and its "Added" entry), resolving to its id
+ * @property {(newItems: object[]) => ImportResult} importItems Adds many items without waiting for the server.
+ *   New ones get an "Added" entry; ones with an `id` (from a backup) keep it and bring their own history.
+ * @property {(entries: object[]) => Promise<number>} importHistory Restores history entries from a backup, keeping their ids.
+ *   Entries already stored are skipped (history is append-only); resolves to how many were added.
+ * @property {(item: object, delta: number) => ItemChange} updateProgress Moves the item's progress unit by `delta` whole chapters/volumes
+ * @property {(item: object, value: number) => ItemChange} setProgress Jumps the item's progress unit to `value` (fractions allowed)
+ * @property {(item: object, formData: object) => ItemChange} saveEdit Saves EditModal's changes
+ * @property {(change: ItemChange) => Promise<void>} revertChange Puts back the fields a change touched and drops its history entry
+ * @property {(item: object, changes: object) => Promise<void>} updateFields Merges fields without touching progress (e.g. release checks)
+ * @property {(updates: { before: object, after: object }[], options?: { onProgress?: (done: number, total: number) => void }) => Promise<BulkResult>} bulkUpdate
+ *   Saves many changed items (see utils/bulkActions) in batches, carrying on past a failed batch
+ * @property {(item: object) => Promise<void>} trashItem Moves an item to the trash (see utils/trash)
+ * @property {(item: object) => Promise<void>} restoreItem Takes an item back out of the trash
+ * @property {(item: object) => Promise<void>} deleteItem Deletes an item and its history for good
+ */
+
+/**
+ * Fills in the fields older documents may be missing
+ */
+export const normalizeItem = (id, data) => ({
+  id,
+  ...data,
+  currentChapter: toProgressNumber(data.currentChapter),
+  totalChapters: toProgressNumber(data.totalChapters),
+  currentVolume: toProgressNumber(data.currentVolume),
+  totalVolumes: toProgressNumber(data.totalVolumes),
+  progressUnit: getProgressUnit(data),
+  rating: Number(data.rating) || 0,
+  notes: data.notes || '',
+  tags: Array.isArray(data.tags) ? data.tags : [],
+  rereadCount: Number(data.rereadCount) || 0,
+  lastUpdated: data.lastUpdated || 0,
+});
+
+/**
+ * The item with its progress unit (see utils/progress) jumped to `value`
+ */
+export const buildProgressJump = (item, value, now = Date.now()) => ({
+  ...item,
+  ...applyStatusTransition(item, { [getProgressFields(item).current]: toProgressNumber(value) }, 'progress'),
+  lastUpdated: now,
+});
+
+/**
+ * The item after a "Next"/"-1" bump, which steps to the next whole chapter or volume
+ */
+export const buildProgressUpdate = (item, delta, now = Date.now()) => (
+  buildProgressJump(item, stepProgress(item[getProgressFields(item).current], delta), now)
+);
+
+/**
+ * The item after saving EditModal's form
+ */
+export const buildEditedItem = (item, formData, now = Date.now()) => {
+  const progress = {
+    currentChapter: toProgressNumber(formData.currentChapter ?? item.currentChapter),
+    totalChapters: toProgressNumber(formData.totalChapters ?? item.totalChapters),
+    currentVolume: toProgressNumber(formData.currentVolume ?? item.currentVolume),
+    totalVolumes: toProgressNumber(formData.totalVolumes ?? item.totalVolumes),
+    progressUnit: getProgressUnit(formData.progressUnit ? formData : item),
+  };
+  const transition = applyStatusTransition(item, { ...formData, ...progress }, 'edit');
+
+  return {
+    ...item,
+    ...formData,
+    ...progress,
+    ...transition, // status, the progress unit's current value & rereadCount
+    rating: Number(formData.rating) || 0,
+    tags: normalizeTags(formData.tags),
+    // Don't lose the cover if the form didn't have one
+    imageUrl: formData.imageUrl || item.imageUrl || '',
+    // Only http(s) links are kept: the card opens it as a link
+    ...(typeof formData.sourceUrl === 'string' && { sourceUrl: isHttpUrl(formData.sourceUrl.trim()) ? formData.sourceUrl.trim() : '' }),
+    lastUpdated: now,
+  };
+};
+
+// The fields createHistoryEntry writes, so restored entries can't carry anything else
+const HISTORY_FIELDS = ['fromChapter', 'toChapter', 'fromVolume', 'toVolume', 'fromStatus', 'toStatus', 'timestamp'];
+
+/**
+ * A history entry from a backup as it's stored for this user (without its id)
+ */
+export const buildRestoredHistoryEntry = (userId, entry) => ({
+  ...Object.fromEntries(HISTORY_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]])),
+  userId,
+  itemId: entry.itemId,
+});
+
+/**
+ * The history entry for a change, with the ids the stats query needs (or null if nothing changed)
+ */
+export const buildHistoryEntry = (userId, itemId, from, to) => {
+  const entry = createHistoryEntry(from, to);
+  return entry ? { ...entry, userId, itemId } : null;
+};
+
+/**
+ * What undoing a change writes back: the fields it changed, with their old
+ * values, and the fields it added (to remove again)
+ */
+export const buildRevert = ({ before, after }) => {
+  const restore = {};
+  const remove = [];
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    if (field === 'id' || JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+    if (field in before) restore[field] = before[field];
+    else remove.push(field);
+  });
+  return { restore, remove };
+};
+
+/**
+ * The document fields of an item (everything but its id)
+ */
+export const toItemData = (item) => {
+  const data = { ...item };
+  delete data.id;
+  return data;
+};
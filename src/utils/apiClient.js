@@ -0,0 +1,137 @@
+import { createIdbCache } from './responseCache';
+
+// --- RATE-LIMITED, CACHED HTTP CLIENT ---
+//
+// Shared by the Jikan client and the metadata providers. Requests run one at a
+// time through a queue that respects the API's rate limits, 429 and 5xx
+// responses are retried with exponential backoff, and successful responses are
+// cached (IndexedDB by default).
+
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+/**
+ * Waits `ms`, rejecting with an AbortError as soon as `signal` aborts
+ */
+const defaultSleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Builds a query string, leaving out empty params
+ */
+export const toQueryString = (params = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    // Array values repeat the key, e.g. includes[]=a&includes[]=b
+    if (Array.isArray(value)) value.forEach(entry => search.append(key, entry));
+    else search.set(key, value);
+  });
+  const text = search.toString();
+  return text ? `?${text}` : '';
+};
+
+/**
+ * Creates a client for one API. `rateLimits` is a list of { windowMs, max },
+ * shortest window first. fetch, the cache and sleep (called with the wait in
+ * ms and the request's AbortSignal) are injectable for tests.
+ */
+export const createApiClient = ({
+  baseUrl,
+  rateLimits,
+  fetchFn = (...args) => fetch(...args),
+  cache = createIdbCache(),
+  sleep = defaultSleep,
+}) => {
+  const recentRequests = []; // Timestamps of requests sent, for the rate limits
+  let queue = Promise.resolve();
+
+  /**
+   * Waits until sending one more request stays within every rate limit
+   */
+  const waitForSlot = async (signal) => {
+    for (;;) {
+      const now = Date.now();
+      const longestWindow = rateLimits[rateLimits.length - 1].windowMs;
+      while (recentRequests.length && now - recentRequests[0] >= longestWindow) recentRequests.shift();
+
+      const waits = rateLimits.map(({ windowMs, max }) => {
+        const inWindow = recentRequests.filter(time => now - time < windowMs);
+        return inWindow.length < max ? 0 : inWindow[0] + windowMs - now;
+      });
+      const wait = Math.max(...waits);
+      if (wait <= 0) return;
+      await sleep(wait, signal);
+    }
+  };
+
+  /**
+   * Sends one request, retrying 429 / 5xx with exponential backoff
+   */
+  const send = async (url, init) => {
+    for (let attempt = 0; ; attempt++) {
+      if (init.signal?.aborted) throw abortError();
+      await waitForSlot(init.signal);
+      recentRequests.push(Date.now());
+
+      const response = await fetchFn(url, init);
+      if (response.ok) return response.json();
+
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= MAX_RETRIES) {
+        const error = new Error(`API Error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+      const retryAfter = Number(response.headers?.get?.('Retry-After')) || 0;
+      await sleep(Math.max(retryAfter * 1000, BASE_BACKOFF_MS * 2 ** attempt), init.signal);
+    }
+  };
+
+  /**
+   * Cached, queued request. `bypassCache` skips the cache read but still refreshes it.
+   * A `body` is sent as a JSON POST (e.g. GraphQL) and becomes part of the cache key.
+   */
+  const request = async (path, params, { ttl, bypassCache = false, signal, body } = {}) => {
+    const url = `${baseUrl}${path}${toQueryString(params)}`;
+    const init = body === undefined
+      ? { signal }
+      : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+      };
+    const cacheKey = body === undefined ? url : `${url}#${init.body}`;
+
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached !== undefined) return cached;
+    }
+
+    // Chain onto the queue so only one request is in flight at a time
+    const result = queue.then(() => send(url, init));
+    queue = result.catch(() => {});
+    const data = await result;
+
+    await cache.set(cacheKey, data, ttl);
+    return data;
+  };
+
+  return { request };
+};
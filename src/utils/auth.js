@@ -0,0 +1,104 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  GithubAuthProvider,
+  linkWithCredential,
+  linkWithPopup,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signInWithPopup,
+  signInWithCredential,
+  signOut,
+} from 'firebase/auth';
+
+// --- ACCOUNT SIGN-IN & ANONYMOUS UPGRADE ---
+
+// OAuth providers offered in the account panel
+export const OAUTH_PROVIDERS = {
+  google: { label: 'Google', providerClass: GoogleAuthProvider },
+  github: { label: 'GitHub', providerClass: GithubAuthProvider },
+};
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/email-already-in-use': 'That email already has an account. Use "Sign In" instead.',
+  'auth/credential-already-in-use': 'That account already exists. Use "Sign In" instead.',
+  'auth/provider-already-linked': 'This account is already linked to that provider.',
+  'auth/invalid-email': 'Please enter a valid email address.',
+  'auth/weak-password': 'Password must be at least 6 characters.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/user-not-found': 'No account found for that email.',
+  'auth/popup-closed-by-user': 'The sign-in popup was closed before finishing.',
+  'auth/network-request-failed': 'Network error. Check your connection and try again.',
+};
+
+/**
+ * Maps a Firebase Auth error to a message we can show to the user
+ */
+export const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Something went wrong.';
+
+/**
+ * Creates an email/password account. A guest (anonymous) user is upgraded in
+ * place with linkWithCredential, so the uid — and the library — stay the same.
+ */
+export const createAccountWithEmail = async (auth, email, password) => {
+  if (auth.currentUser?.isAnonymous) {
+    const credential = EmailAuthProvider.credential(email, password);
+    return (await linkWithCredential(auth.currentUser, credential)).user;
+  }
+  return (await createUserWithEmailAndPassword(auth, email, password)).user;
+};
+
+/**
+ * Signs in to an existing email/password account (switches to that account's library)
+ */
+export const signInWithEmail = async (auth, email, password) => (
+  (await signInWithEmailAndPassword(auth, email, password)).user
+);
+
+/**
+ * Continues with an OAuth provider. A guest is upgraded by linking the
+ * provider; if that provider account already exists we sign in to it instead.
+ */
+export const continueWithProvider = async (auth, providerKey) => {
+  const { providerClass: ProviderClass } = OAUTH_PROVIDERS[providerKey];
+  const provider = new ProviderClass();
+
+  if (auth.currentUser?.isAnonymous) {
+    try {
+      return { user: (await linkWithPopup(auth.currentUser, provider)).user, switchedAccount: false };
+    } catch (error) {
+      const credential = ProviderClass.credentialFromError(error);
+      if (error.code !== 'auth/credential-already-in-use' || !credential) throw error;
+      // Reuse the credential from the failed link rather than opening a second popup
+      return { user: (await signInWithCredential(auth, credential)).user, switchedAccount: true };
+    }
+  }
+  return { user: (await signInWithPopup(auth, provider)).user, switchedAccount: true };
+};
+
+/**
+ * Signs out; App's auth listener then starts a fresh guest session
+ */
+export const signOutUser = (auth) => signOut(auth);
+
+/**
+ * Snapshot of the fields the UI needs. Firebase mutates the User object in place
+ * when linking, so App keeps this copy in state to re-render on upgrades.
+ */
+export const toAccountInfo = (user) => (user ? {
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  displayName: user.displayName,
+  providers: user.providerData.map(profile => profile.providerId),
+} : null);
+
+/**
+ * Describes how the current user is signed in, for the header & account panel
+ */
+export const getAccountLabel = (account) => {
+  if (!account) return '';
+  if (account.isAnonymous) return 'Guest';
+  return account.email || account.displayName || 'Signed in';
+};
@@ -0,0 +1,117 @@
+import { providers as defaultProviders, getItemSource } from '../providers';
+import { buildEditedItem } from '../repositories/trackingRepository';
+import { normalizeTags } from './tags';
+
+// --- BULK ACTIONS (multi-select on the card grid) ---
+//
+// A bulk action turns each selected item into an { before, after } update,
+// which TrackingRepository.bulkUpdate writes in batches. Items the action
+// wouldn't change are left out.
+
+/**
+ * @typedef {{ type: 'status', status: string }
+ *   | { type: 'addTags', tags: string[] }
+ *   | { type: 'removeTags', tags: string[] }
+ *   | { type: 'rating', rating: number }
+ *   | { type: 'trash' }} BulkAction
+ */
+
+/**
+ * A short label for the progress and result messages
+ */
+export const describeBulkAction = (action) => {
+  switch (action.type) {
+    case 'status':
+      return `Set status to ${action.status}`;
+    case 'addTags':
+      return `Added ${action.tags.map(tag => `#${tag}`).join(', ')}`;
+    case 'removeTags':
+      return `Removed ${action.tags.map(tag => `#${tag}`).join(', ')}`;
+    case 'rating':
+      return action.rating ? `Rated ${action.rating}/10` : 'Cleared rating';
+    case 'trash':
+      return 'Moved to trash';
+    default:
+      return 'Updated';
+  }
+};
+
+/**
+ * The item after a bulk action, or null if the action changes nothing.
+ * Status changes go through the same transitions as EditModal.
+ */
+export const buildBulkUpdate = (item, action, now = Date.now()) => {
+  switch (action.type) {
+    case 'status':
+      return item.status === action.status ? null : buildEditedItem(item, { ...item, status: action.status }, now);
+    case 'addTags': {
+      const tags = normalizeTags([...item.tags, ...action.tags]);
+      return tags.length === item.tags.length ? null : { ...item, tags, lastUpdated: now };
+    }
+    case 'removeTags': {
+      const tags = item.tags.filter(tag => !action.tags.includes(tag));
+      return tags.length === item.tags.length ? null : { ...item, tags, lastUpdated: now };
+    }
+    case 'rating':
+      return item.rating === action.rating ? null : { ...item, rating: action.rating, lastUpdated: now };
+    case 'trash':
+      return { ...item, deletedAt: now };
+    default:
+      throw new Error(`Unknown bulk action "${action.type}".`);
+  }
+};
+
+/**
+ * Turns the selected items into updates for TrackingRepository.bulkUpdate
+ */
+export const buildBulkUpdates = (items, action, now = Date.now()) => items
+  .map(item => ({ before: item, after: buildBulkUpdate(item, action, now) }))
+  .filter(update => update.after);
+
+/**
+ * The item with fresh metadata from its provider. Totals only ever go up, like
+ * the release checker, and the title is left alone in case it was edited.
+ */
+export const applyMetadata = (item, title, now = Date.now()) => ({
+  ...item,
+  imageUrl: title.imageUrl || item.imageUrl || '',
+  publishingStatus: title.publishingStatus || item.publishingStatus || '',
+  totalChapters: Math.max(Number(item.totalChapters) || 0, Number(title.chapters) || 0),
+  totalVolumes: Math.max(Number(item.totalVolumes) || 0, Number(title.volumes) || 0),
+  releaseCheckedAt: now,
+});
+
+/**
+ * Re-fetches each item from its metadata provider (custom titles are skipped).
+ * Requests go through the providers' rate-limited queues one at a time.
+ *
+ * @returns {Promise<{ updates: { before: object, after: object }[], failed: { item: object, error: string }[], skipped: number }>}
+ */
+export const fetchMetadataUpdates = async (items, {
+  providers = defaultProviders,
+  signal,
+  onProgress,
+  now = Date.now(),
+} = {}) => {
+  const result = { updates: [], failed: [], skipped: 0 };
+
+  for (const [index, item] of items.entries()) {
+    if (signal?.aborted) break;
+
+    const source = getItemSource(item);
+    if (!source) {
+      result.skipped++;
+    } else {
+      try {
+        const title = await providers.get(source.provider).getById(source.providerId, { bypassCache: true, signal });
+        result.updates.push({ before: item, after: applyMetadata(item, title, now) });
+      } catch (error) {
+        if (signal?.aborted) break;
+        result.failed.push({ item, error: error.message });
+      }
+    }
+    onProgress?.(index + 1, items.length);
+  }
+
+  return result;
+};
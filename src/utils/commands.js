@@ -0,0 +1,82 @@
+// --- COMMAND PALETTE ---
+//
+// Ctrl/Cmd+K opens a list of commands: the global ones (add a title, switch
+// view, open the trash) and one per tracked title. Picking a title lists what
+// can be done to it. App runs the chosen command's action.
+
+import { getProgressFields } from './progress';
+
+// How many commands the palette shows at once
+export const MAX_VISIBLE_COMMANDS = 50;
+
+/**
+ * @typedef {{ type: 'search' }
+ *   | { type: 'view', view: string }
+ *   | { type: 'trash' }
+ *   | { type: 'chooseTitle', itemId: string }
+ *   | { type: 'open', itemId: string }
+ *   | { type: 'progress', itemId: string, delta: number }
+ *   | { type: 'edit', itemId: string }
+ *   | { type: 'status', itemId: string, status: string }
+ *   | { type: 'delete', itemId: string }} CommandAction
+ *
+ * @typedef {{ id: string, label: string, hint?: string, action: CommandAction }} Command
+ */
+
+/**
+ * Commands available anywhere, followed by one per title
+ * @param {object[]} items Active (not trashed) items
+ * @param {{ view: string, label: string }[]} views The app's top-level views
+ * @returns {Command[]}
+ */
+export const buildGlobalCommands = (items, views) => [
+  { id: 'search', label: 'Add a title…', hint: 'Search', action: { type: 'search' } },
+  ...views.map(({ view, label }) => ({ id: `view:${view}`, label: `Go to ${label}`, hint: 'View', action: { type: 'view', view } })),
+  { id: 'trash', label: 'Open Trash', hint: 'Trash', action: { type: 'trash' } },
+  ...items.map(item => ({
+    id: `title:${item.id}`,
+    label: item.title,
+    hint: item.status,
+    action: { type: 'chooseTitle', itemId: item.id },
+  })),
+];
+
+/**
+ * What can be done to one title: its progress, status, edit form and the trash
+ * @param {object} item
+ * @param {string[]} statusNames
+ * @returns {Command[]}
+ */
+export const buildTitleCommands = (item, statusNames) => {
+  const unit = getProgressFields(item);
+  const itemId = item.id;
+  return [
+    { id: 'open', label: 'Open details', action: { type: 'open', itemId } },
+    { id: 'next', label: `Next ${unit.singular}`, hint: '+', action: { type: 'progress', itemId, delta: 1 } },
+    { id: 'previous', label: `Previous ${unit.singular}`, hint: '-', action: { type: 'progress', itemId, delta: -1 } },
+    { id: 'edit', label: 'Edit…', hint: 'E', action: { type: 'edit', itemId } },
+    ...statusNames
+      .filter(status => status !== item.status)
+      .map(status => ({ id: `status:${status}`, label: `Set status to ${status}`, hint: 'Status', action: { type: 'status', itemId, status } })),
+    { id: 'delete', label: 'Move to Trash', hint: 'Delete', action: { type: 'delete', itemId } },
+  ];
+};
+
+/**
+ * Commands whose label contains every word of the query, those starting with
+ * the query first (otherwise in their original order)
+ * @param {Command[]} commands
+ * @param {string} query
+ * @returns {Command[]}
+ */
+export const filterCommands = (commands, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return commands;
+  const words = needle.split(/\s+/);
+
+  return commands
+    .map(command => ({ command, label: command.label.toLowerCase() }))
+    .filter(({ label }) => words.every(word => label.includes(word)))
+    .sort((a, b) => Number(b.label.startsWith(needle)) - Number(a.label.startsWith(needle)))
+    .map(({ command }) => command);
+};
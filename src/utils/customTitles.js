@@ -0,0 +1,79 @@
+import { Status } from '../constants';
+
+// --- CUSTOM (NON-JIKAN) TITLES ---
+
+export const CUSTOM_TITLE_TYPES = ['Manga', 'Manhwa', 'Manhua', 'Novel', 'Web Novel', 'Webtoon', 'Comic'];
+
+// Uploaded covers are shrunk and stored inline, so keep them well under Firestore's 1 MB document limit
+const MAX_COVER_WIDTH = 240;
+const MAX_COVER_HEIGHT = 360;
+const COVER_QUALITY = 0.8;
+
+/**
+ * Whether a string is an http(s) URL
+ */
+export const isHttpUrl = (text) => {
+  try {
+    const url = new URL(text);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether an item was entered by hand rather than added from Jikan
+ */
+export const isCustomItem = (item) => Boolean(item.isCustom);
+
+/**
+ * Reads an uploaded image, scales it down to cover size and returns it as a
+ * JPEG data URL that can be stored on the item.
+ */
+export const readCoverFile = (file) => new Promise((resolve, reject) => {
+  if (!file.type.startsWith('image/')) {
+    reject(new Error('Please choose an image file.'));
+    return;
+  }
+
+  const objectUrl = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, MAX_COVER_WIDTH / image.width, MAX_COVER_HEIGHT / image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(objectUrl);
+    resolve(canvas.toDataURL('image/jpeg', COVER_QUALITY));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    reject(new Error('That image could not be read.'));
+  };
+  image.src = objectUrl;
+});
+
+/**
+ * Builds a new tracking item from the custom title form.
+ * `isCustom` marks it as non-Jikan so release checks and MAL export skip it.
+ */
+export const createCustomItem = ({ title, type, totalChapters, totalVolumes, imageUrl, sourceUrl }) => ({
+  apiId: null,
+  isCustom: true,
+  title: title.trim(),
+  type: type || 'Manga',
+  status: Status.PLAN_TO_READ,
+  currentChapter: 0,
+  totalChapters: Number(totalChapters) || 0,
+  currentVolume: 0,
+  totalVolumes: Number(totalVolumes) || 0,
+  progressUnit: 'chapter',
+  imageUrl: imageUrl || '',
+  sourceUrl: sourceUrl?.trim() || '',
+  rating: 0,
+  notes: '',
+  tags: [],
+  rereadCount: 0,
+  lastUpdated: Date.now(),
+});
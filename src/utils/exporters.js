@@ -0,0 +1,155 @@
+import { Status } from '../constants';
+
+// --- LIBRARY EXPORT & BACKUP ---
+
+// Bump when the backup layout changes; parseJsonBackup rejects newer versions.
+// v2 added the reading history, v3 the custom statuses and goals.
+export const BACKUP_VERSION = 3;
+const BACKUP_APP = 'comic-vibe-tracker';
+
+const CSV_COLUMNS = ['id', 'provider', 'providerId', 'apiId', 'title', 'type', 'status', 'currentChapter', 'totalChapters', 'currentVolume', 'totalVolumes', 'progressUnit', 'rating', 'rereadCount', 'notes', 'tags', 'imageUrl', 'isCustom', 'sourceUrl', 'lastUpdated'];
+
+// MAL has no Re-reading status (it's a flag on the entry), so re-reads export as Reading.
+// Custom statuses fall back to Plan to Read.
+const MAL_STATUS_NAMES = {
+  [Status.READING]: 'Reading',
+  [Status.REREADING]: 'Reading',
+  [Status.ON_HOLD]: 'On-Hold',
+  [Status.COMPLETED]: 'Completed',
+  [Status.DROPPED]: 'Dropped',
+  [Status.PLAN_TO_READ]: 'Plan to Read',
+};
+
+const withoutUserId = (entry) => {
+  const data = { ...entry };
+  delete data.userId;
+  return data;
+};
+
+/**
+ * Builds a versioned JSON backup. Every stored field is kept, along with the
+ * document ids, so a restore writes the exact same documents back. History
+ * entries leave out the user id, so a backup can be restored into another account.
+ * The settings carry what the items depend on: the custom statuses they use, and the goals.
+ */
+export const buildJsonBackup = (items, history = [], { customStatuses = [], goals = [] } = {}) => JSON.stringify({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  items,
+  history: history.map(withoutUserId),
+  settings: { customStatuses, goals },
+}, null, 2);
+
+/**
+ * Reads a JSON backup made by buildJsonBackup and returns its items, the
+ * history of those items (v1 backups have none) and its settings (null
+ * before v3, so a restore leaves the current ones alone)
+ */
+export const parseJsonBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (data?.app !== BACKUP_APP || !Array.isArray(data.items)) {
+    throw new Error('This is not a Comic Vibe Tracker backup.');
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version (v${data.version}). Please update the app.`);
+  }
+
+  const invalid = data.items.find(item => !item?.id || typeof item.title !== 'string');
+  if (invalid) {
+    throw new Error('The backup contains items without an id or title.');
+  }
+
+  const itemIds = new Set(data.items.map(({ id }) => id));
+  const history = (Array.isArray(data.history) ? data.history : [])
+    .filter(entry => entry?.id && itemIds.has(entry.itemId));
+
+  const settings = data.settings ? {
+    customStatuses: Array.isArray(data.settings.customStatuses) ? data.settings.customStatuses.filter(status => typeof status?.name === 'string') : [],
+    goals: Array.isArray(data.settings.goals) ? data.settings.goals.filter(goal => goal?.id) : [],
+  } : null;
+
+  return { exportedAt: data.exportedAt, items: data.items, history, settings };
+};
+
+/**
+ * Quotes a CSV cell when it contains separators, quotes or line breaks
+ */
+const toCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a spreadsheet-friendly CSV with one row per item
+ */
+export const buildCsv = (items) => {
+  const rows = items.map(item => CSV_COLUMNS.map(column => {
+    if (column === 'lastUpdated') {
+      return toCsvCell(item.lastUpdated ? new Date(item.lastUpdated).toISOString() : '');
+    }
+    if (column === 'tags') {
+      return toCsvCell((item.tags || []).join(', '));
+    }
+    return toCsvCell(item[column]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const toCdata = (text) => `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * Builds a MyAnimeList-importable XML file. Items without a MAL id are left out.
+ */
+export const buildMalXml = (items) => {
+  const malItems = items.filter(item => Number(item.apiId) > 0);
+  const countStatus = (malStatus) => malItems.filter(item => MAL_STATUS_NAMES[item.status] === malStatus).length;
+
+  const mangaEntries = malItems.map(item => `
+  <manga>
+    <manga_mangadb_id>${Number(item.apiId)}</manga_mangadb_id>
+    <manga_title>${toCdata(item.title)}</manga_title>
+    <manga_volumes>${Math.floor(Number(item.totalVolumes) || 0)}</manga_volumes>
+    <manga_chapters>${Math.floor(Number(item.totalChapters) || 0)}</manga_chapters>
+    <my_id>0</my_id>
+    <my_read_volumes>${Math.floor(Number(item.currentVolume) || 0)}</my_read_volumes>
+    <my_read_chapters>${Math.floor(Number(item.currentChapter) || 0)}</my_read_chapters>
+    <my_start_date>0000-00-00</my_start_date>
+    <my_finish_date>0000-00-00</my_finish_date>
+    <my_scanalation_group></my_scanalation_group>
+    <my_score>${Number(item.rating) || 0}</my_score>
+    <my_storage></my_storage>
+    <my_status>${escapeXml(MAL_STATUS_NAMES[item.status] || 'Plan to Read')}</my_status>
+    <my_comments>${toCdata(item.notes)}</my_comments>
+    <my_times_read>${Number(item.rereadCount) || 0}</my_times_read>
+    <my_tags>${toCdata((item.tags || []).join(', '))}</my_tags>
+    <my_reread_value></my_reread_value>
+    <update_on_import>1</update_on_import>
+  </manga>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+  <myinfo>
+    <user_export_type>2</user_export_type>
+    <user_total_manga>${malItems.length}</user_total_manga>
+    <user_total_reading>${countStatus('Reading')}</user_total_reading>
+    <user_total_completed>${countStatus('Completed')}</user_total_completed>
+    <user_total_onhold>${countStatus('On-Hold')}</user_total_onhold>
+    <user_total_dropped>${countStatus('Dropped')}</user_total_dropped>
+    <user_total_plantoread>${malItems.length - countStatus('Reading') - countStatus('Completed') - countStatus('On-Hold') - countStatus('Dropped')}</user_total_plantoread>
+  </myinfo>${mangaEntries}
+</myanimelist>
+`;
+};
@@ -0,0 +1,37 @@
+import { writeBatch } from 'firebase/firestore';
+
+export const BATCH_LIMIT = 500; // Firestore's max writes per batch
+
+/**
+ * Commits writes in chunks that fit in a batch. Each operation queues one write
+ * onto the batch it's given. Chunks are committed one after another, in order,
+ * so a failure stops the rest and earlier writes land before later ones.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {Array<(batch: import('firebase/firestore').WriteBatch) => void>} operations
+ */
+export const commitInChunks = async (db, operations) => {
+  for (let start = 0; start < operations.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(start, start + BATCH_LIMIT).forEach(operation => operation(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Commits every chunk straight away instead of one after another, so the
+ * writes reach the local cache (and the offline queue) without waiting for the
+ * server. The returned promise settles once the server has them all.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {Array<(batch: import('firebase/firestore').WriteBatch) => void>} operations
+ * @param {number} [chunkSize] Operations per batch; lower it for operations that write more than once
+ * @returns {Promise<void>}
+ */
+export const queueInChunks = (db, operations, chunkSize = BATCH_LIMIT) => {
+  const commits = [];
+  for (let start = 0; start < operations.length; start += chunkSize) {
+    const batch = writeBatch(db);
+    operations.slice(start, start + chunkSize).forEach(operation => operation(batch));
+    commits.push(batch.commit());
+  }
+  return Promise.all(commits).then(() => {});
+};
@@ -0,0 +1,147 @@
+import { Status } from '../constants';
+import { getChaptersRead, getPeriodStart } from './stats';
+
+// --- READING GOALS & STREAKS ---
+//
+// Goals live in the goals settings document ({ goals: [...] }) and repeat
+// every period: "complete 50 series per year" counts this year's completions,
+// then starts again on January 1st. Progress is worked out from the reading
+// history, so it also covers changes made before the goal was set.
+
+export const MAX_GOALS = 10;
+
+export const GOAL_TYPES = {
+  completeSeries: { label: 'Complete series', unit: 'series' },
+  readChapters: { label: 'Read chapters', unit: 'chapters' },
+};
+
+export const GOAL_PERIODS = {
+  week: 'per week',
+  month: 'per month',
+  year: 'per year',
+};
+
+/**
+ * @typedef {object} Goal
+ * @property {string} id
+ * @property {keyof GOAL_TYPES} type
+ * @property {number} target How many series or chapters
+ * @property {keyof GOAL_PERIODS} period
+ */
+
+/**
+ * Builds a goal from the add-goal form, or throws if it doesn't make sense
+ * @returns {Goal}
+ */
+export const createGoal = ({ type, target, period }) => {
+  if (!GOAL_TYPES[type]) throw new Error(`Unknown goal type "${type}".`);
+  if (!GOAL_PERIODS[period]) throw new Error(`Unknown goal period "${period}".`);
+  const count = Math.floor(Number(target));
+  if (!(count > 0)) throw new Error('Enter a target of at least 1.');
+
+  return { id: `goal-${Date.now().toString(36)}`, type, target: count, period };
+};
+
+/**
+ * Adds the goals from a backup that aren't set yet, up to MAX_GOALS
+ * @returns {Goal[]}
+ */
+export const mergeGoals = (current, restored) => {
+  const ids = new Set(current.map(({ id }) => id));
+  return [...current, ...restored.filter(({ id }) => !ids.has(id))].slice(0, MAX_GOALS);
+};
+
+/**
+ * The local-time [start, end) of the period containing `now`
+ */
+const getPeriodRange = (period, now) => {
+  const start = getPeriodStart(now, period);
+  const end = new Date(start);
+  if (period === 'year') end.setFullYear(end.getFullYear() + 1);
+  else if (period === 'month') end.setMonth(end.getMonth() + 1);
+  else end.setDate(end.getDate() + 7);
+  return { start: start.getTime(), end: end.getTime() };
+};
+
+/**
+ * "in 2026", "in October" or "this week", for labelling a goal's current period
+ */
+const formatPeriod = (period, start) => {
+  const date = new Date(start);
+  if (period === 'year') return `in ${date.getFullYear()}`;
+  if (period === 'month') return `in ${date.toLocaleDateString(undefined, { month: 'long' })}`;
+  return 'this week';
+};
+
+/**
+ * Whether an entry finished a series: reaching Completed from another status.
+ * Titles added or imported as Completed weren't finished then, so they don't count.
+ */
+const isCompletion = (entry) => entry.toStatus === Status.COMPLETED
+  && entry.fromStatus !== null && entry.fromStatus !== undefined
+  && entry.fromStatus !== Status.COMPLETED;
+
+/**
+ * How far a goal is in its current period
+ *
+ * @returns {{ current: number, target: number, percent: number, isMet: boolean, label: string }}
+ */
+export const computeGoalProgress = (goal, historyEntries, now = Date.now()) => {
+  const { start, end } = getPeriodRange(goal.period, now);
+  const inPeriod = historyEntries.filter(entry => entry.timestamp >= start && entry.timestamp < end);
+
+  const current = goal.type === 'completeSeries'
+    // A series finished twice (a re-read) still counts once
+    ? new Set(inPeriod.filter(isCompletion).map(entry => entry.itemId)).size
+    : Math.round(inPeriod.reduce((sum, entry) => sum + getChaptersRead(entry), 0) * 100) / 100;
+
+  return {
+    current,
+    target: goal.target,
+    percent: Math.min(100, (current / goal.target) * 100),
+    isMet: current >= goal.target,
+    label: `${GOAL_TYPES[goal.type].label}: ${goal.target} ${formatPeriod(goal.period, start)}`,
+  };
+};
+
+/**
+ * Whether an entry is reading: moving forward a chapter or a volume
+ */
+const isReadingActivity = (entry) => getChaptersRead(entry) > 0
+  || (entry.fromVolume !== null && entry.fromVolume !== undefined && entry.toVolume > entry.fromVolume);
+
+/**
+ * The day after `dayStart`, in local time (so DST days still line up)
+ */
+const nextDay = (dayStart) => {
+  const date = new Date(dayStart);
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+};
+
+/**
+ * Counts consecutive days with some reading. The current streak is still
+ * alive until the end of today if yesterday had reading.
+ *
+ * @returns {{ current: number, longest: number, readToday: boolean }}
+ */
+export const computeReadingStreak = (historyEntries, now = Date.now()) => {
+  const days = [...new Set(historyEntries
+    .filter(isReadingActivity)
+    .map(entry => getPeriodStart(entry.timestamp, 'day').getTime()))]
+    .sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && nextDay(days[index - 1]) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const today = getPeriodStart(now, 'day').getTime();
+  const readToday = days.includes(today);
+  const lastDay = days[days.length - 1];
+  const isAlive = readToday || (lastDay !== undefined && nextDay(lastDay) === today);
+
+  return { current: isAlive ? run : 0, longest, readToday };
+};
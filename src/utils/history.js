@@ -0,0 +1,82 @@
+import { Status } from '../constants';
+import { getProgressUnit, stepProgress, toProgressNumber } from './progress';
+
+// --- READING HISTORY ---
+
+/**
+ * Builds a history entry for a progress change, or null if nothing changed.
+ * `from` is null when the item is first added to the library. Items tracked
+ * by volume also record their volumes.
+ */
+export const createHistoryEntry = (from, to, timestamp = Date.now()) => {
+  const fromChapter = from ? toProgressNumber(from.currentChapter) : null;
+  const fromStatus = from ? from.status : null;
+  const toChapter = toProgressNumber(to.currentChapter);
+  const byVolume = getProgressUnit(to) === 'volume';
+  const fromVolume = from ? toProgressNumber(from.currentVolume) : null;
+  const toVolume = toProgressNumber(to.currentVolume);
+
+  if (from && fromChapter === toChapter && fromStatus === to.status && (!byVolume || fromVolume === toVolume)) {
+    return null;
+  }
+
+  return {
+    fromChapter,
+    toChapter,
+    ...(byVolume && { fromVolume, toVolume }),
+    fromStatus,
+    toStatus: to.status,
+    timestamp,
+  };
+};
+
+/**
+ * Describes moving from one chapter or volume to another ("Read chapter 11",
+ * "Read volumes 3–5", "Went back to chapter 10.5")
+ */
+const describeProgress = (unit, from, to) => {
+  if (to < from) return `Went back to ${unit} ${to}`;
+  const first = stepProgress(from, 1);
+  return to <= first ? `Read ${unit} ${to}` : `Read ${unit}s ${first}–${to}`;
+};
+
+/**
+ * Turns a history entry into a short human-readable label for the timeline
+ */
+export const describeHistoryEntry = (entry) => {
+  if (entry.fromStatus === null) {
+    return `Added as ${entry.toStatus}`;
+  }
+
+  if (entry.fromStatus !== entry.toStatus) {
+    switch (entry.toStatus) {
+      case Status.READING:
+        return entry.fromStatus === Status.PLAN_TO_READ ? 'Started reading' : 'Resumed reading';
+      case Status.REREADING:
+        return 'Started a re-read';
+      case Status.ON_HOLD:
+        return 'Paused (On Hold)';
+      case Status.COMPLETED:
+        return entry.fromStatus === Status.REREADING ? 'Finished a re-read' : 'Finished the series';
+      case Status.DROPPED:
+        return 'Dropped the series';
+      case Status.PLAN_TO_READ:
+        return 'Moved back to Plan to Read';
+      default:
+        return `Status changed to ${entry.toStatus}`;
+    }
+  }
+
+  if (entry.toVolume !== undefined && entry.toVolume !== entry.fromVolume) {
+    return describeProgress('volume', entry.fromVolume, entry.toVolume);
+  }
+  return describeProgress('chapter', entry.fromChapter, entry.toChapter);
+};
+
+/**
+ * A short label for an undoable change to an item, e.g. "Solo Leveling: Read chapter 5"
+ */
+export const describeChange = (before, after) => {
+  const entry = createHistoryEntry(before, after);
+  return entry ? `${after.title}: ${describeHistoryEntry(entry)}` : `Saved changes to ${after.title}`;
+};
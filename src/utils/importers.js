@@ -0,0 +1,229 @@
+import { Status } from '../constants';
+import { normalizeTags } from './tags';
+
+// --- LIST IMPORT (MyAnimeList XML & AniList JSON) ---
+
+// MAL exports the status as text, older exports use the numeric codes
+const MAL_STATUS_MAP = {
+  'reading': Status.READING,
+  'completed': Status.COMPLETED,
+  'on-hold': Status.ON_HOLD,
+  'dropped': Status.DROPPED,
+  'plan to read': Status.PLAN_TO_READ,
+  '1': Status.READING,
+  '2': Status.COMPLETED,
+  '3': Status.ON_HOLD,
+  '4': Status.DROPPED,
+  '6': Status.PLAN_TO_READ,
+};
+
+const ANILIST_STATUS_MAP = {
+  CURRENT: Status.READING,
+  REPEATING: Status.REREADING,
+  PAUSED: Status.ON_HOLD,
+  PLANNING: Status.PLAN_TO_READ,
+  COMPLETED: Status.COMPLETED,
+  DROPPED: Status.DROPPED,
+};
+
+const toNumber = (value) => Number(value) || 0;
+
+/**
+ * Builds a tracking item with the same shape handleAddItem writes.
+ * Both export formats are matched on MAL ids, so imports are Jikan items.
+ */
+const toTrackingItem = ({ apiId, title, type, status, currentChapter, totalChapters, currentVolume, totalVolumes, imageUrl, rating, notes, tags, rereadCount }) => ({
+  provider: 'jikan',
+  providerId: String(apiId),
+  apiId,
+  title: title || 'Untitled',
+  type: type || 'Manga',
+  status: status || Status.PLAN_TO_READ,
+  currentChapter: Math.max(0, toNumber(currentChapter)),
+  totalChapters: Math.max(0, toNumber(totalChapters)),
+  currentVolume: Math.max(0, toNumber(currentVolume)),
+  totalVolumes: Math.max(0, toNumber(totalVolumes)),
+  progressUnit: 'chapter',
+  imageUrl: imageUrl || '',
+  rating: Math.min(10, Math.max(0, Math.round(toNumber(rating)))),
+  notes: notes || '',
+  tags: normalizeTags(tags || []),
+  rereadCount: Math.max(0, toNumber(rereadCount)),
+  lastUpdated: Date.now(),
+});
+
+/**
+ * Guesses the export format from the file name and its content
+ */
+export const detectImportFormat = (fileName, text) => {
+  const trimmed = (text || '').trim();
+  if (fileName?.toLowerCase().endsWith('.xml') || trimmed.startsWith('<')) return 'mal';
+  if (fileName?.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) return 'anilist';
+  return null;
+};
+
+/**
+ * Parses a MyAnimeList manga list XML export
+ */
+export const parseMalXml = (text) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.querySelector('parsererror')) {
+    throw new Error('The file is not valid XML.');
+  }
+
+  const mangaNodes = [...xml.getElementsByTagName('manga')];
+  if (mangaNodes.length === 0 && !xml.querySelector('myanimelist')) {
+    throw new Error('This does not look like a MyAnimeList export.');
+  }
+
+  const entries = [];
+  const skipped = [];
+
+  mangaNodes.forEach((node) => {
+    const field = (tag) => node.getElementsByTagName(tag)[0]?.textContent.trim() || '';
+    const title = field('manga_title');
+    const apiId = Number(field('manga_mangadb_id'));
+
+    if (!apiId) {
+      skipped.push({ title: title || 'Untitled', reason: 'Missing MyAnimeList ID' });
+      return;
+    }
+
+    entries.push(toTrackingItem({
+      apiId,
+      title,
+      status: MAL_STATUS_MAP[field('my_status').toLowerCase()],
+      currentChapter: field('my_read_chapters'),
+      totalChapters: field('manga_chapters'),
+      currentVolume: field('my_read_volumes'),
+      totalVolumes: field('manga_volumes'),
+      rating: field('my_score'),
+      notes: field('my_comments'),
+      tags: field('my_tags'),
+      rereadCount: field('my_times_read'),
+    }));
+  });
+
+  return { entries, skipped };
+};
+
+/**
+ * Maps AniList's format + country of origin onto our type names
+ */
+const getAniListType = (media) => {
+  if (media.format === 'NOVEL') return 'Novel';
+  if (media.countryOfOrigin === 'KR') return 'Manhwa';
+  if (media.countryOfOrigin === 'CN' || media.countryOfOrigin === 'TW') return 'Manhua';
+  return 'Manga';
+};
+
+// What one point is worth out of 10 in each AniList score format
+const ANILIST_SCORE_SCALES = {
+  POINT_100: 0.1,
+  POINT_10_DECIMAL: 1,
+  POINT_10: 1,
+  POINT_5: 2,
+  POINT_3: 10 / 3,
+};
+
+/**
+ * AniList scores depend on the user's score format, so normalise to 0-10.
+ * Exports without the format fall back to guessing: anything above 10 must be out of 100.
+ */
+const getAniListRating = (score, scoreFormat) => {
+  const value = toNumber(score);
+  return value * (ANILIST_SCORE_SCALES[scoreFormat] ?? (value > 10 ? 0.1 : 1));
+};
+
+/**
+ * Parses an AniList JSON export. Accepts the raw MediaListCollection
+ * query response as well as a plain array of lists or entries. Scores are
+ * read in the format from `user.mediaListOptions.scoreFormat` when the export has it.
+ */
+export const parseAniListJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const collection = data?.data?.MediaListCollection || data?.MediaListCollection || data;
+  const lists = Array.isArray(collection) ? collection : collection?.lists;
+  const scoreFormat = collection?.user?.mediaListOptions?.scoreFormat || data?.user?.mediaListOptions?.scoreFormat;
+  if (!Array.isArray(lists)) {
+    throw new Error('This does not look like an AniList export.');
+  }
+
+  // Lists contain entries; a flat array of entries is also accepted
+  const rawEntries = lists.flatMap(list => (Array.isArray(list.entries) ? list.entries : [list]));
+
+  const entries = [];
+  const skipped = [];
+
+  rawEntries.forEach((entry) => {
+    const media = entry.media || {};
+    const title = media.title?.english || media.title?.romaji || media.title?.native || '';
+
+    if (media.type && media.type !== 'MANGA') {
+      skipped.push({ title: title || 'Untitled', reason: 'Not a manga entry' });
+      return;
+    }
+    if (!media.idMal) {
+      skipped.push({ title: title || 'Untitled', reason: 'No MyAnimeList ID on AniList' });
+      return;
+    }
+
+    entries.push(toTrackingItem({
+      apiId: Number(media.idMal),
+      title,
+      type: getAniListType(media),
+      status: ANILIST_STATUS_MAP[entry.status],
+      currentChapter: entry.progress,
+      totalChapters: media.chapters,
+      currentVolume: entry.progressVolumes,
+      totalVolumes: media.volumes,
+      imageUrl: media.coverImage?.large || media.coverImage?.medium,
+      rating: getAniListRating(entry.score, scoreFormat),
+      notes: entry.notes,
+      rereadCount: entry.repeat,
+    }));
+  });
+
+  return { entries, skipped };
+};
+
+/**
+ * Parses an export file into tracking items, whichever service it came from
+ */
+export const parseImportFile = (fileName, text) => {
+  const format = detectImportFormat(fileName, text);
+  if (format === 'mal') return { format, ...parseMalXml(text) };
+  if (format === 'anilist') return { format, ...parseAniListJson(text) };
+  throw new Error('Unsupported file. Please choose a MAL .xml or AniList .json export.');
+};
+
+/**
+ * Splits parsed entries into new items and conflicts with the current library.
+ * Conflicts are entries whose apiId is already tracked (or repeated in the file).
+ */
+export const buildImportPreview = (entries, existingItems) => {
+  const existingById = new Map(existingItems.map(item => [item.apiId, item]));
+  const seen = new Set();
+
+  const newItems = [];
+  const conflicts = [];
+
+  entries.forEach((entry) => {
+    if (existingById.has(entry.apiId)) {
+      conflicts.push({ entry, existing: existingById.get(entry.apiId), reason: 'Already tracked' });
+    } else if (seen.has(entry.apiId)) {
+      conflicts.push({ entry, existing: null, reason: 'Duplicate entry in file' });
+    } else {
+      seen.add(entry.apiId);
+      newItems.push(entry);
+    }
+  });
+
+  return { newItems, conflicts };
+};
@@ -0,0 +1,142 @@
+import { JIKAN_API_URL } from '../constants';
+import { createApiClient } from './apiClient';
+
+// --- JIKAN API CLIENT ---
+//
+// Every Jikan call in the app goes through this client. It's an apiClient
+// (queued, retried, cached in IndexedDB) set to Jikan's limits of 3 requests a
+// second and 60 a minute.
+
+/**
+ * @typedef {object} JikanManga
+ * @property {number} mal_id
+ * @property {string} title
+ * @property {string} [type] e.g. "Manga", "Manhwa", "Light Novel"
+ * @property {string} [status] Publishing status, e.g. "Publishing", "Finished"
+ * @property {number|null} chapters Null while a series is still publishing
+ * @property {number|null} volumes
+ * @property {{ jpg?: { image_url?: string } }} [images]
+ * @property {JikanNamedEntry[]} [genres]
+ * @property {JikanNamedEntry[]} [themes]
+ */
+
+/**
+ * @typedef {object} JikanNamedEntry
+ * @property {number} mal_id
+ * @property {string} name
+ * @property {string} [url]
+ */
+
+/**
+ * The full record from /manga/{id}/full, as shown on the detail page
+ * @typedef {JikanManga & {
+ *   url?: string,
+ *   title_english?: string|null,
+ *   title_japanese?: string|null,
+ *   synopsis?: string|null,
+ *   score?: number|null,
+ *   scored_by?: number|null,
+ *   rank?: number|null,
+ *   published?: { from?: string|null, to?: string|null, string?: string },
+ *   authors?: JikanNamedEntry[],
+ *   serializations?: JikanNamedEntry[],
+ *   demographics?: JikanNamedEntry[],
+ * }} JikanMangaFull
+ */
+
+/**
+ * @typedef {object} JikanPagination
+ * @property {number} last_visible_page
+ * @property {boolean} has_next_page
+ * @property {number} current_page
+ */
+
+/**
+ * @typedef {object} JikanRecommendation
+ * @property {{ mal_id: number, title: string, images?: object }} entry
+ * @property {number} votes
+ */
+
+/**
+ * @typedef {object} JikanGenre
+ * @property {number} mal_id
+ * @property {string} name
+ * @property {number} count
+ */
+
+const RATE_LIMITS = [
+  { windowMs: 1000, max: 3 },
+  { windowMs: 60 * 1000, max: 60 },
+];
+
+// Cache lifetimes per kind of request
+export const CACHE_TTL = {
+  search: 60 * 60 * 1000, // 1 hour
+  manga: 24 * 60 * 60 * 1000, // 1 day
+  recommendations: 7 * 24 * 60 * 60 * 1000, // 1 week
+  genres: 7 * 24 * 60 * 60 * 1000, // 1 week
+};
+
+/**
+ * Creates a Jikan client (fetchFn, cache and sleep as in createApiClient)
+ */
+export const createJikanClient = ({
+  fetchFn,
+  cache,
+  sleep,
+  baseUrl = JIKAN_API_URL,
+} = {}) => {
+  const { request } = createApiClient({ baseUrl, rateLimits: RATE_LIMITS, fetchFn, cache, sleep });
+
+  return {
+    request,
+
+    /**
+     * Searches manga. Extra params are passed to Jikan as-is (type, status, genres, order_by...).
+     * @returns {Promise<{ results: JikanManga[], pagination: JikanPagination | null }>}
+     */
+    async search(query, { page = 1, limit = 15, signal, ...params } = {}) {
+      const data = await request('/manga', { q: query, page, limit, ...params }, { ttl: CACHE_TTL.search, signal });
+      return { results: data.data || [], pagination: data.pagination || null };
+    },
+
+    /**
+     * Fetches one manga by its MAL id
+     * @returns {Promise<JikanManga>}
+     */
+    async getById(malId, { bypassCache = false, signal } = {}) {
+      const data = await request(`/manga/${malId}`, undefined, { ttl: CACHE_TTL.manga, bypassCache, signal });
+      return data.data;
+    },
+
+    /**
+     * Fetches one manga with synopsis, authors, genres and publication dates
+     * @returns {Promise<JikanMangaFull>}
+     */
+    async getFullById(malId, { signal } = {}) {
+      const data = await request(`/manga/${malId}/full`, undefined, { ttl: CACHE_TTL.manga, signal });
+      return data.data;
+    },
+
+    /**
+     * Fetches the titles MAL users recommend alongside a manga
+     * @returns {Promise<JikanRecommendation[]>}
+     */
+    async getRecommendations(malId, { signal } = {}) {
+      const data = await request(`/manga/${malId}/recommendations`, undefined, { ttl: CACHE_TTL.recommendations, signal });
+      return data.data || [];
+    },
+
+    /**
+     * Lists the manga genres (for search filters)
+     * @returns {Promise<JikanGenre[]>}
+     */
+    async getGenres({ signal } = {}) {
+      const data = await request('/genres/manga', undefined, { ttl: CACHE_TTL.genres, signal });
+      return data.data || [];
+    },
+  };
+};
+
+// Shared client used across the app
+export const jikan = createJikanClient();
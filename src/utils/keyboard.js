@@ -0,0 +1,124 @@
+// --- KEYBOARD SHORTCUTS ---
+//
+// Ctrl/Cmd+K opens the command palette. In the library the arrow keys (plus
+// Home/End) move between cards or rows, and the focused one takes:
+//   + or =     next chapter (or volume)
+//   -          previous chapter
+//   e          edit
+//   Delete     move to trash
+//   Enter      open the detail page
+//   Space      select / deselect, while selecting
+
+import { getProgressFields } from './progress';
+
+export const isCommandPaletteShortcut = (event) => (
+  (event.ctrlKey || event.metaKey) && !event.altKey && event.key?.toLowerCase() === 'k'
+);
+
+/**
+ * The card action a key press asks for, or null
+ * @param {{ key: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean }} event
+ * @param {{ isSelecting?: boolean }} [options]
+ * @returns {'next' | 'previous' | 'edit' | 'delete' | 'open' | 'select' | null}
+ */
+export const getCardShortcut = (event, { isSelecting = false } = {}) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+  switch (event.key) {
+    case '+':
+    case '=':
+      return 'next';
+    case '-':
+      return 'previous';
+    case 'e':
+    case 'E':
+      return 'edit';
+    case 'Delete':
+    case 'Backspace':
+      return 'delete';
+    case 'Enter':
+      return 'open';
+    case ' ':
+      return isSelecting ? 'select' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * onKeyDown for a focused card or row: runs its shortcut through the same
+ * callbacks as its buttons. Keys pressed in its own fields and buttons are left alone.
+ */
+export const handleItemKeyDown = (event, item, { isSelecting, onUpdateChapter, onEditClick, onDeleteItem, onOpen, onToggleSelect }) => {
+  if (event.target !== event.currentTarget) return;
+  const shortcut = getCardShortcut(event, { isSelecting });
+  if (!shortcut) return;
+  event.preventDefault();
+
+  switch (shortcut) {
+    case 'next':
+      onUpdateChapter(item, 1);
+      break;
+    case 'previous':
+      if (item[getProgressFields(item).current] > 0) onUpdateChapter(item, -1);
+      break;
+    case 'edit':
+      onEditClick(item);
+      break;
+    case 'delete':
+      onDeleteItem(item);
+      break;
+    case 'open':
+      onOpen(item);
+      break;
+    case 'select':
+      onToggleSelect(item.id);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * The index focus moves to in a grid, or null if the key doesn't move it.
+ * Up and down move a whole row; left and right stop at the ends.
+ * @param {string} key
+ * @param {number} index The focused cell
+ * @param {number} count How many cells there are
+ * @param {number} columns How many cells fit in a row
+ */
+export const getGridMoveTarget = (key, index, count, columns) => {
+  switch (key) {
+    case 'ArrowLeft':
+      return Math.max(0, index - 1);
+    case 'ArrowRight':
+      return Math.min(count - 1, index + 1);
+    case 'ArrowUp':
+      return index - columns >= 0 ? index - columns : index;
+    case 'ArrowDown':
+      return index + columns < count ? index + columns : index;
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Handles arrow keys on a grid of `[data-grid-cell]` elements (for onKeyDown on
+ * the grid). The column count is read from the layout, so it follows the breakpoints.
+ */
+export const moveGridFocus = (event) => {
+  const cells = [...event.currentTarget.querySelectorAll('[data-grid-cell]')];
+  const index = cells.indexOf(event.target);
+  if (index === -1) return;
+
+  const columns = cells.filter(cell => cell.offsetTop === cells[0].offsetTop).length || 1;
+  const target = getGridMoveTarget(event.key, index, cells.length, columns);
+  if (target === null) return;
+
+  event.preventDefault();
+  cells[target].focus();
+};
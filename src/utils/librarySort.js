@@ -0,0 +1,59 @@
+// --- LIBRARY SORTING ---
+//
+// The sort select and the table's column headers share these fields. Text
+// fields start A→Z, the rest start with the highest (or newest) first.
+
+import { getProgressFields, toProgressNumber } from './progress';
+
+export const SORT_FIELDS = [
+  { value: 'lastUpdated', label: 'Updated', defaultDir: 'desc' },
+  { value: 'title', label: 'Title', defaultDir: 'asc' },
+  { value: 'type', label: 'Type', defaultDir: 'asc' },
+  { value: 'status', label: 'Status', defaultDir: 'asc' },
+  { value: 'progress', label: 'Progress', defaultDir: 'desc' },
+  { value: 'rating', label: 'Rating', defaultDir: 'desc' },
+];
+
+/**
+ * The direction a field sorts in when it's first picked
+ */
+export const getDefaultSortDir = (field) => SORT_FIELDS.find(({ value }) => value === field)?.defaultDir || 'desc';
+
+/**
+ * The value an item sorts by: lower-cased text, the status's place in the
+ * status list, the progress unit's current value, or a number
+ */
+const getSortValue = (item, field, statusNames) => {
+  switch (field) {
+    case 'title':
+    case 'type':
+      return (item[field] || '').toLowerCase();
+    case 'status': {
+      const index = statusNames.indexOf(item.status);
+      return index === -1 ? statusNames.length : index;
+    }
+    case 'progress':
+      return toProgressNumber(item[getProgressFields(item).current]);
+    default:
+      return Number(item[field]) || 0;
+  }
+};
+
+/**
+ * A sorted copy of the items. Ties keep their order.
+ * @param {object[]} items
+ * @param {string} field One of SORT_FIELDS
+ * @param {'asc' | 'desc'} dir
+ * @param {string[]} [statusNames] Status order, for sorting by status
+ */
+export const sortItems = (items, field, dir, statusNames = []) => {
+  const direction = dir === 'asc' ? 1 : -1;
+  return items
+    .map(item => ({ item, value: getSortValue(item, field, statusNames) }))
+    .sort((a, b) => {
+      if (a.value < b.value) return -direction;
+      if (a.value > b.value) return direction;
+      return 0;
+    })
+    .map(({ item }) => item);
+};
@@ -0,0 +1,62 @@
+// --- PROGRESS UNITS ---
+//
+// Items track both chapters and volumes, and each one picks which of the two
+// drives its progress: the card's buttons, the progress bar and when it counts
+// as completed. Chapters can be fractional (extras like chapter 10.5).
+
+export const PROGRESS_UNITS = {
+  chapter: { current: 'currentChapter', total: 'totalChapters', name: 'Chapter', label: 'Chapters', singular: 'chapter', short: 'Ch.' },
+  volume: { current: 'currentVolume', total: 'totalVolumes', name: 'Volume', label: 'Volumes', singular: 'volume', short: 'Vol.' },
+};
+
+/**
+ * The unit driving an item's progress ('chapter' unless it picked volumes)
+ */
+export const getProgressUnit = (item) => (item?.progressUnit === 'volume' ? 'volume' : 'chapter');
+
+/**
+ * The field names and labels for an item's progress unit
+ */
+export const getProgressFields = (item) => PROGRESS_UNITS[getProgressUnit(item)];
+
+/**
+ * A progress value from a form, an import or an old document: a number >= 0,
+ * keeping fractions
+ */
+export const toProgressNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+/**
+ * Steps a progress value to the next (or previous) whole number, so "Next" on
+ * chapter 10.5 goes to 11 and "-1" goes to 10
+ */
+export const stepProgress = (value, delta) => {
+  const current = toProgressNumber(value);
+  const stepped = delta > 0 ? Math.floor(current) + delta : Math.ceil(current) + delta;
+  return Math.max(0, stepped);
+};
+
+/**
+ * Formats a progress value, trimming float noise from fractions (10.5, not 10.500000001)
+ */
+export const formatProgress = (value) => String(Math.round(toProgressNumber(value) * 100) / 100);
+
+/**
+ * How far through an item is, as a percentage of its progress unit (0 if there's no total)
+ */
+export const getProgressPercent = (item) => {
+  const { current, total } = getProgressFields(item);
+  const totalValue = toProgressNumber(item[total]);
+  return totalValue > 0 ? Math.min(100, (toProgressNumber(item[current]) / totalValue) * 100) : 0;
+};
+
+/**
+ * A compact progress label in the item's unit, e.g. "Ch. 10.5 / 120" or "Vol. 3"
+ */
+export const formatProgressLabel = (item) => {
+  const { current, total, short } = getProgressFields(item);
+  const totalValue = toProgressNumber(item[total]);
+  return `${short} ${formatProgress(item[current])}${totalValue > 0 ? ` / ${formatProgress(totalValue)}` : ''}`;
+};
@@ -0,0 +1,140 @@
+import { collection, doc, getDoc, getDocFromServer, getDocs, setDoc } from 'firebase/firestore';
+import { Status, getPublicProfileDocPath, getPublicProfileItemsPath, getSettingsDocPath } from '../constants';
+import { profilePath } from './routes';
+import { commitInChunks } from './firestoreBatch';
+
+// --- PUBLIC READ-ONLY PROFILE ---
+//
+// Publishing copies a snapshot of the chosen statuses to
+// /artifacts/{appId}/public_profiles/{slug}, with one document per title in
+// its `items` subcollection. Only the fields in PUBLIC_ITEM_FIELDS are copied
+// (never notes or tags), and firestore.rules rejects anything else.
+
+export const DEFAULT_PUBLIC_STATUSES = [Status.READING, Status.COMPLETED];
+
+// Keep in sync with publicItemFields() in firestore.rules (the rules tests check it)
+export const PUBLIC_ITEM_FIELDS = ['title', 'type', 'status', 'currentChapter', 'totalChapters', 'currentVolume', 'totalVolumes', 'progressUnit', 'imageUrl', 'rating', 'lastUpdated'];
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,28}[a-z0-9])$/;
+
+/**
+ * Lower-cases a slug and turns spaces and symbols into dashes
+ */
+export const normalizeSlug = (text) => text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * 3–30 letters, digits and dashes, not starting or ending with a dash
+ */
+export const isValidSlug = (slug) => SLUG_PATTERN.test(slug);
+
+/**
+ * The shareable link for a profile
+ */
+export const getProfileUrl = (slug) => `${window.location.origin}${window.location.pathname}${profilePath(slug)}`;
+
+/**
+ * Copies the public fields of an item. Ratings are only included when shared.
+ */
+export const toPublicItem = (item, { showRatings }) => {
+  const publicItem = {};
+  PUBLIC_ITEM_FIELDS.forEach(field => {
+    if (item[field] !== undefined) publicItem[field] = item[field];
+  });
+  publicItem.rating = showRatings ? Number(item.rating) || 0 : 0;
+  return publicItem;
+};
+
+/**
+ * Items whose status is one of the published statuses
+ */
+export const selectPublicItems = (items, statuses) => items.filter(item => statuses.includes(item.status));
+
+/**
+ * Reads the user's profile settings ({ enabled, slug, displayName, statuses, showRatings, publishedAt })
+ */
+export const loadProfileSettings = async (db, userId) => {
+  const snapshot = await getDoc(doc(db, getSettingsDocPath(userId, 'publicProfile')));
+  return snapshot.data() || null;
+};
+
+/**
+ * Deletes a published profile and its items. Items go first: the rules check
+ * ownership against the profile document.
+ */
+const deleteProfile = async (db, slug) => {
+  const itemDocs = await getDocs(collection(db, getPublicProfileItemsPath(slug)));
+  await commitInChunks(db, [
+    ...itemDocs.docs.map(itemDoc => (batch) => batch.delete(itemDoc.ref)),
+    (batch) => batch.delete(doc(db, getPublicProfileDocPath(slug))),
+  ]);
+};
+
+/**
+ * Publishes (or refreshes) the snapshot under `settings.slug`. Needs a
+ * connection: the slug check has to ask the server.
+ * @returns {Promise<object>} The saved settings
+ */
+export const publishProfile = async (db, userId, items, settings, previousSlug) => {
+  const { slug, displayName, statuses, showRatings } = settings;
+  const profileRef = doc(db, getPublicProfileDocPath(slug));
+
+  const existing = await getDocFromServer(profileRef);
+  if (existing.exists() && existing.data().ownerId !== userId) {
+    throw new Error(`"${slug}" is already taken. Please pick another link name.`);
+  }
+  if (previousSlug && previousSlug !== slug) {
+    await deleteProfile(db, previousSlug);
+  }
+
+  const publicItems = selectPublicItems(items, statuses);
+  const staleItems = existing.exists()
+    ? (await getDocs(collection(db, getPublicProfileItemsPath(slug)))).docs
+      .filter(itemDoc => !publicItems.some(item => item.id === itemDoc.id))
+    : [];
+
+  // The profile document goes first so the item rules can find its owner
+  await commitInChunks(db, [
+    (batch) => batch.set(profileRef, {
+      ownerId: userId,
+      displayName,
+      statuses,
+      showRatings,
+      itemCount: publicItems.length,
+      updatedAt: Date.now(),
+    }),
+    ...staleItems.map(itemDoc => (batch) => batch.delete(itemDoc.ref)),
+    ...publicItems.map(item => (batch) => batch.set(
+      doc(db, getPublicProfileItemsPath(slug), item.id),
+      toPublicItem(item, { showRatings })
+    )),
+  ]);
+
+  const savedSettings = { enabled: true, slug, displayName, statuses, showRatings, publishedAt: Date.now() };
+  await setDoc(doc(db, getSettingsDocPath(userId, 'publicProfile')), savedSettings);
+  return savedSettings;
+};
+
+/**
+ * Takes the profile down and remembers the settings for next time
+ */
+export const unpublishProfile = async (db, userId, settings) => {
+  await deleteProfile(db, settings.slug);
+  const savedSettings = { ...settings, enabled: false };
+  await setDoc(doc(db, getSettingsDocPath(userId, 'publicProfile')), savedSettings);
+  return savedSettings;
+};
+
+/**
+ * Loads a published profile and its items, for the read-only view
+ * @returns {Promise<{ profile: object, items: object[] } | null>} null when no such profile
+ */
+export const loadPublicProfile = async (db, slug) => {
+  const profileSnapshot = await getDoc(doc(db, getPublicProfileDocPath(slug)));
+  if (!profileSnapshot.exists()) return null;
+
+  const itemsSnapshot = await getDocs(collection(db, getPublicProfileItemsPath(slug)));
+  return {
+    profile: profileSnapshot.data(),
+    items: itemsSnapshot.docs.map(itemDoc => ({ id: itemDoc.id, ...itemDoc.data() })),
+  };
+};
@@ -0,0 +1,146 @@
+import { jikan } from './jikanClient';
+import { toProviderTitle } from '../providers/jikanProvider';
+
+// --- "FOR YOU" RECOMMENDATIONS ---
+//
+// Starts from the user's favourites (their highest-rated titles with a MAL
+// id), asks Jikan what MAL users recommend alongside each one, and ranks the
+// candidates by how many favourites recommend them (weighted by rating) plus
+// how many genres they share with the favourites. Titles already tracked,
+// trash included, are left out.
+
+// Ratings from this up count as favourites
+export const MIN_FAVOURITE_RATING = 7;
+// Favourites asked for recommendations (each costs two Jikan requests)
+export const MAX_FAVOURITES = 8;
+// Candidates whose genres are looked up (one request each) and shown
+export const MAX_RECOMMENDATIONS = 24;
+
+// A favourite recommending a title counts for more than a shared genre
+const RECOMMENDER_WEIGHT = 2;
+
+/**
+ * @typedef {object} Recommendation
+ * @property {import('../providers').ProviderTitle} title Ready for handleAddItem
+ * @property {number} score
+ * @property {string[]} recommendedBy Titles of the favourites recommending it
+ * @property {string[]} sharedGenres Genres it shares with the favourites, most shared first
+ */
+
+/**
+ * The MAL ids of every tracked title, for leaving them out
+ */
+export const getTrackedMalIds = (items) => new Set(items.map(item => Number(item.apiId)).filter(Boolean));
+
+/**
+ * The highest-rated titles with a MAL id, best first
+ */
+export const selectFavourites = (items, limit = MAX_FAVOURITES) => items
+  .filter(item => Number(item.apiId) > 0 && item.rating >= MIN_FAVOURITE_RATING)
+  .sort((a, b) => b.rating - a.rating || (b.lastUpdated || 0) - (a.lastUpdated || 0))
+  .slice(0, limit);
+
+const getGenreNames = (manga) => [...(manga?.genres || []), ...(manga?.themes || [])].map(({ name }) => name);
+
+/**
+ * Ranks recommendations. Works on data already fetched, so it can be tested on its own.
+ *
+ * @param {{ item: object, genres: string[], recommendations: import('./jikanClient').JikanRecommendation[] }[]} favourites
+ * @param {Map<number, import('./jikanClient').JikanManga>} detailsById Candidate details, for their genres
+ * @param {Set<number>} trackedIds
+ * @returns {Recommendation[]}
+ */
+export const rankRecommendations = (favourites, detailsById, trackedIds) => {
+  // Genre weights: the (rating-weighted) share of favourites with each genre
+  const totalWeight = favourites.reduce((sum, { item }) => sum + item.rating / 10, 0) || 1;
+  const genreWeights = new Map();
+  favourites.forEach(({ item, genres }) => {
+    genres.forEach(genre => genreWeights.set(genre, (genreWeights.get(genre) || 0) + item.rating / 10 / totalWeight));
+  });
+
+  const candidates = new Map();
+  favourites.forEach(({ item, recommendations }) => {
+    recommendations.forEach(({ entry }) => {
+      if (!entry?.mal_id || trackedIds.has(entry.mal_id)) return;
+      const candidate = candidates.get(entry.mal_id) || { entry, recommenderScore: 0, recommendedBy: [] };
+      if (candidate.recommendedBy.includes(item.title)) return;
+      candidate.recommenderScore += item.rating / 10;
+      candidate.recommendedBy.push(item.title);
+      candidates.set(entry.mal_id, candidate);
+    });
+  });
+
+  return [...candidates.values()]
+    .map(({ entry, recommenderScore, recommendedBy }) => {
+      const details = detailsById.get(entry.mal_id);
+      const sharedGenres = getGenreNames(details)
+        .filter(genre => genreWeights.has(genre))
+        .sort((a, b) => genreWeights.get(b) - genreWeights.get(a));
+      const genreScore = sharedGenres.reduce((sum, genre) => sum + genreWeights.get(genre), 0);
+
+      return {
+        title: toProviderTitle(details || entry),
+        score: RECOMMENDER_WEIGHT * recommenderScore + genreScore,
+        recommendedBy,
+        sharedGenres,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.title.title.localeCompare(b.title.title));
+};
+
+/**
+ * Fetches and ranks recommendations for the library. Requests go through the
+ * Jikan client's rate-limited queue and cache, so opening the view again is quick.
+ * A favourite or candidate whose request fails is skipped. `trackedItems`
+ * (default: `items`) are the titles to leave out.
+ *
+ * @returns {Promise<{ recommendations: Recommendation[], favourites: object[], failed: number }>}
+ */
+export const fetchRecommendations = async (items, { trackedItems = items, client = jikan, signal, onProgress } = {}) => {
+  const trackedIds = getTrackedMalIds(trackedItems);
+  const favourites = selectFavourites(items);
+  const fetched = [];
+  let failed = 0;
+  let done = 0;
+  let total = favourites.length * 2 + MAX_RECOMMENDATIONS;
+  const step = () => onProgress?.(++done, total);
+
+  for (const item of favourites) {
+    if (signal?.aborted) break;
+    try {
+      const details = await client.getById(item.apiId, { signal });
+      step();
+      const recommendations = await client.getRecommendations(item.apiId, { signal });
+      step();
+      fetched.push({ item, genres: getGenreNames(details), recommendations });
+    } catch (error) {
+      if (signal?.aborted) break;
+      console.error(`Couldn't load recommendations for "${item.title}":`, error);
+      failed++;
+    }
+  }
+
+  // Only the best candidates (before genres) are worth a request for their genres
+  const shortlist = rankRecommendations(fetched, new Map(), trackedIds).slice(0, MAX_RECOMMENDATIONS);
+  total = done + shortlist.length;
+  const detailsById = new Map();
+
+  for (const { title } of shortlist) {
+    if (signal?.aborted) break;
+    try {
+      detailsById.set(title.malId, await client.getById(title.malId, { signal }));
+    } catch (error) {
+      if (signal?.aborted) break;
+      console.error(`Couldn't load details for "${title.title}":`, error);
+      failed++;
+    }
+    step();
+  }
+
+  const shortlistIds = new Set(shortlist.map(({ title }) => title.malId));
+  return {
+    recommendations: rankRecommendations(fetched, detailsById, trackedIds).filter(({ title }) => shortlistIds.has(title.malId)),
+    favourites,
+    failed,
+  };
+};
@@ -0,0 +1,89 @@
+import { Status } from '../constants';
+import { providers as defaultProviders, getItemSource } from '../providers';
+import { getProgressFields, toProgressNumber } from './progress';
+
+// --- NEW-CHAPTER RELEASE CHECKER ---
+
+// How often a single title is re-checked
+export const RELEASE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Statuses whose series we keep checking for new chapters
+const ACTIVE_STATUSES = [Status.READING, Status.REREADING];
+
+/**
+ * Chapters (or volumes, for items tracked by volume) released but not read
+ * yet: 0 when caught up or the total is unknown
+ */
+export const getUnreadCount = (item) => {
+  const fields = getProgressFields(item);
+  const total = toProgressNumber(item[fields.total]);
+  const current = toProgressNumber(item[fields.current]);
+  return total > current ? Math.ceil(total - current) : 0;
+};
+
+/**
+ * Whether an item is checked at all: an active series that came from a
+ * metadata provider. Custom titles have nothing to check against.
+ */
+export const isReleaseCheckable = (item) => ACTIVE_STATUSES.includes(item.status) && Boolean(getItemSource(item));
+
+/**
+ * Whether an item should be re-checked now
+ */
+export const isDueForCheck = (item, now = Date.now()) => (
+  isReleaseCheckable(item) && now - (Number(item.releaseCheckedAt) || 0) >= RELEASE_CHECK_INTERVAL
+);
+
+/**
+ * Re-queries each due item's metadata provider. The providers' request queues
+ * keep this within their rate limits and retry 429s.
+ * `onUpdate(item, changes)` is called for each checked item with the fields to
+ * save: always `releaseCheckedAt` and `publishingStatus`, plus `totalChapters`
+ * or `totalVolumes` when the provider reports more than we have. `force` ignores the interval.
+ * Pass a registry made with createProviderRegistry([...]) to test with mocked providers.
+ *
+ * @returns {Promise<{ checked: number, updated: number, failed: number }>}
+ */
+export const checkForReleases = async (items, {
+  onUpdate,
+  providers = defaultProviders,
+  signal,
+  force = false,
+  now = Date.now(),
+} = {}) => {
+  const dueItems = items.filter(item => (force ? isReleaseCheckable(item) : isDueForCheck(item, now)));
+  const result = { checked: 0, updated: 0, failed: 0 };
+
+  for (const item of dueItems) {
+    if (signal?.aborted) break;
+
+    try {
+      // Always ask the API: a cached copy would hide new chapters
+      const { provider, providerId } = getItemSource(item);
+      const title = await providers.get(provider).getById(providerId, { bypassCache: true, signal });
+      const changes = {
+        releaseCheckedAt: Date.now(),
+        publishingStatus: title?.publishingStatus || item.publishingStatus || '',
+      };
+
+      const releasedChapters = Number(title?.chapters) || 0;
+      if (releasedChapters > (Number(item.totalChapters) || 0)) {
+        changes.totalChapters = releasedChapters;
+      }
+      const releasedVolumes = Number(title?.volumes) || 0;
+      if (releasedVolumes > (Number(item.totalVolumes) || 0)) {
+        changes.totalVolumes = releasedVolumes;
+      }
+      if (changes.totalChapters || changes.totalVolumes) result.updated++;
+
+      await onUpdate(item, changes);
+      result.checked++;
+    } catch (error) {
+      if (signal?.aborted) break;
+      console.error(`Release check failed for "${item.title}":`, error);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,84 @@
+// --- API RESPONSE CACHE (IndexedDB with TTL) ---
+
+const DB_NAME = 'manga-tracker-cache';
+const STORE_NAME = 'responses';
+
+// How long an entry lives when `set` isn't given a TTL
+export const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * In-memory cache with the same interface, used when IndexedDB isn't available
+ * (private browsing, tests).
+ */
+export const createMemoryCache = () => {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs = DEFAULT_TTL_MS) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+  };
+};
+
+/**
+ * Wraps an IndexedDB request in a promise
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB-backed cache of JSON responses keyed by URL. Entries expire after
+ * their TTL. Cache failures never break a request: they just count as a miss.
+ */
+export const createIdbCache = () => {
+  if (typeof indexedDB === 'undefined') return createMemoryCache();
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, action) => {
+    const db = await openDb();
+    return promisify(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    async get(key) {
+      try {
+        const entry = await withStore('readonly', store => store.get(key));
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+          withStore('readwrite', store => store.delete(key)).catch(() => {});
+          return undefined;
+        }
+        return entry.value;
+      } catch (error) {
+        console.error("Cache read failed:", error);
+        return undefined;
+      }
+    },
+    async set(key, value, ttlMs = DEFAULT_TTL_MS) {
+      try {
+        await withStore('readwrite', store => store.put({ value, expiresAt: Date.now() + ttlMs }, key));
+      } catch (error) {
+        console.error("Cache write failed:", error);
+      }
+    },
+  };
+};
@@ -0,0 +1,149 @@
+// --- ROUTES (hash based, so any static host can serve the app without rewrites) ---
+//
+//   #/                     the library
+//   #/stats                the stats dashboard
+//   #/for-you              recommendations based on your ratings
+//   #/add                  the search modal, over the library
+//   #/add/custom           the custom title form, over the library
+//   #/edit/:itemId         the edit modal, over the library
+//   #/title/:itemId        the detail page of one tracked title
+//   #/title/:itemId/edit   the edit modal, over the detail page
+//   #/u/:slug              someone's public profile (read-only)
+//
+// Library filters and sort live in the query string, e.g.
+//   #/?status=Reading&q=solo&sort=title&dir=asc&tags=isekai,weekly&match=all
+
+const ROUTE_PATTERNS = [
+  { name: 'stats', segments: ['stats'] },
+  { name: 'forYou', segments: ['for-you'] },
+  { name: 'add', segments: ['add'] },
+  { name: 'addCustom', segments: ['add', 'custom'] },
+  { name: 'edit', segments: ['edit', ':itemId'] },
+  { name: 'title', segments: ['title', ':itemId'] },
+  { name: 'titleEdit', segments: ['title', ':itemId', 'edit'] },
+  { name: 'profile', segments: ['u', ':slug'] },
+];
+
+// Filter and sort state when the query string says nothing
+export const LIBRARY_DEFAULTS = {
+  status: 'All',
+  q: '',
+  sort: 'lastUpdated', // 'lastUpdated', 'title', 'type', 'status', 'progress', 'rating'
+  dir: 'desc', // 'asc', 'desc'
+  progress: 'All', // 'All', 'behind', 'caughtUp'
+  tags: [],
+  match: 'any', // 'any' (OR), 'all' (AND)
+};
+
+const ALLOWED_VALUES = {
+  sort: ['lastUpdated', 'title', 'type', 'status', 'progress', 'rating'],
+  dir: ['asc', 'desc'],
+  progress: ['All', 'behind', 'caughtUp'],
+  match: ['any', 'all'],
+};
+
+/**
+ * Matches path segments against one pattern, returning its params or null
+ */
+const matchSegments = (pattern, segments) => {
+  if (pattern.length !== segments.length) return null;
+  const params = {};
+  for (let index = 0; index < pattern.length; index++) {
+    if (pattern[index].startsWith(':')) params[pattern[index].slice(1)] = segments[index];
+    else if (pattern[index] !== segments[index]) return null;
+  }
+  return params;
+};
+
+/**
+ * Decodes path segments, or returns null if one is malformed (e.g. a stray `%E0`)
+ */
+const decodeSegments = (path) => {
+  try {
+    return path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads a location hash into a route: { name, params, query }.
+ * A path that can't be decoded opens the library.
+ */
+export const parseRoute = (hash) => {
+  const [path, search = ''] = hash.replace(/^#/, '').split('?');
+  const segments = decodeSegments(path || '/');
+  const query = Object.fromEntries(new URLSearchParams(search));
+  if (!segments) return { name: 'library', params: {}, query };
+
+  for (const { name, segments: pattern } of ROUTE_PATTERNS) {
+    const params = matchSegments(pattern, segments);
+    if (params) return { name, params, query };
+  }
+  return { name: 'library', params: {}, query };
+};
+
+/**
+ * Builds a hash from a path and query, leaving out empty values
+ */
+const toHash = (path, query = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.set(key, value);
+  });
+  const text = search.toString();
+  return `#${path}${text ? `?${text}` : ''}`;
+};
+
+/**
+ * Reads library filters and sort from a route's query, falling back to the defaults
+ */
+export const readLibraryQuery = (query) => {
+  const pick = (key) => {
+    const value = query[key];
+    if (!value) return LIBRARY_DEFAULTS[key];
+    return !ALLOWED_VALUES[key] || ALLOWED_VALUES[key].includes(value) ? value : LIBRARY_DEFAULTS[key];
+  };
+  return {
+    status: pick('status'),
+    q: query.q || '',
+    sort: pick('sort'),
+    dir: pick('dir'),
+    progress: pick('progress'),
+    tags: query.tags ? query.tags.split(',').filter(Boolean) : [],
+    match: pick('match'),
+  };
+};
+
+/**
+ * Turns library state back into query params, dropping anything at its default
+ */
+export const toLibraryQuery = (state) => {
+  const query = {};
+  Object.entries(state).forEach(([key, value]) => {
+    if (key === 'tags') {
+      if (value.length) query.tags = value.join(',');
+    } else if (value !== LIBRARY_DEFAULTS[key]) {
+      query[key] = value;
+    }
+  });
+  return query;
+};
+
+export const libraryPath = (query) => toHash('/', query);
+
+export const statsPath = (query) => toHash('/stats', query);
+
+export const forYouPath = (query) => toHash('/for-you', query);
+
+export const addPath = (query) => toHash('/add', query);
+
+export const addCustomPath = (query) => toHash('/add/custom', query);
+
+export const editPath = (itemId, query) => toHash(`/edit/${encodeURIComponent(itemId)}`, query);
+
+export const titlePath = (itemId) => toHash(`/title/${encodeURIComponent(itemId)}`);
+
+export const titleEditPath = (itemId) => toHash(`/title/${encodeURIComponent(itemId)}/edit`);
+
+export const profilePath = (slug) => toHash(`/u/${encodeURIComponent(slug)}`);
@@ -0,0 +1,70 @@
+// --- SEARCH FILTERS (mapped to Jikan /manga query parameters) ---
+
+// Jikan needs at least 3 characters for a text query
+export const MIN_QUERY_LENGTH = 3;
+
+export const SEARCH_TYPE_OPTIONS = [
+  { value: '', label: 'Any Type' },
+  { value: 'manga', label: 'Manga' },
+  { value: 'manhwa', label: 'Manhwa' },
+  { value: 'manhua', label: 'Manhua' },
+  { value: 'novel', label: 'Novel' },
+  { value: 'lightnovel', label: 'Light Novel' },
+  { value: 'oneshot', label: 'One-shot' },
+  { value: 'doujin', label: 'Doujinshi' },
+];
+
+export const SEARCH_STATUS_OPTIONS = [
+  { value: '', label: 'Any Status' },
+  { value: 'publishing', label: 'Publishing' },
+  { value: 'complete', label: 'Finished' },
+  { value: 'hiatus', label: 'On Hiatus' },
+  { value: 'discontinued', label: 'Discontinued' },
+  { value: 'upcoming', label: 'Upcoming' },
+];
+
+export const SEARCH_ORDER_OPTIONS = [
+  { value: '', label: 'Best Match' },
+  { value: 'score', label: 'Score' },
+  { value: 'popularity', label: 'Popularity' },
+  { value: 'members', label: 'Members' },
+  { value: 'start_date', label: 'Start Date' },
+  { value: 'chapters', label: 'Chapters' },
+  { value: 'title', label: 'Title' },
+];
+
+export const DEFAULT_SEARCH_FILTERS = {
+  type: '',
+  status: '',
+  genre: '',
+  minScore: '',
+  maxScore: '',
+  orderBy: '',
+  sort: 'desc',
+};
+
+/**
+ * Whether any filter differs from the defaults
+ */
+export const hasActiveFilters = (filters) => (
+  Object.keys(DEFAULT_SEARCH_FILTERS).some(key => key !== 'sort' && filters[key] !== DEFAULT_SEARCH_FILTERS[key])
+);
+
+/**
+ * Whether there's enough input to run a search: a long enough query or any filter
+ */
+export const canSearch = (query, filters) => query.trim().length >= MIN_QUERY_LENGTH || hasActiveFilters(filters);
+
+/**
+ * Maps our filter form onto Jikan's query parameters
+ */
+export const buildSearchParams = (filters) => ({
+  type: filters.type,
+  status: filters.status,
+  genres: filters.genre,
+  min_score: filters.minScore,
+  max_score: filters.maxScore,
+  order_by: filters.orderBy,
+  // Jikan ignores sort without order_by
+  sort: filters.orderBy ? filters.sort : '',
+});
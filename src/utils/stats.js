@@ -0,0 +1,108 @@
+import { Status } from '../constants';
+import { getProgressUnit } from './progress';
+
+// --- LIBRARY STATISTICS ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KNOWN_TYPES = ['Manga', 'Manhwa', 'Manhua', 'Novel'];
+
+/**
+ * Counts items by a key, keeping the order of `labels` first
+ */
+const countBy = (items, getKey, labels = []) => {
+  const counts = new Map(labels.map(label => [label, 0]));
+  items.forEach(item => {
+    const key = getKey(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts].map(([label, count]) => ({ label, count }));
+};
+
+/**
+ * Aggregates the library: status & type breakdowns, progress, ratings and completion.
+ * `statusNames` sets the order of the status breakdown (custom statuses included).
+ * Progress is counted in each title's own unit, so volume-tracked titles add volumes, not chapters.
+ */
+export const computeLibraryStats = (items, statusNames = Object.values(Status)) => {
+  const sumProgress = (unit, field) => items
+    .filter(item => getProgressUnit(item) === unit)
+    .reduce((sum, item) => sum + (Number(item[field]) || 0), 0);
+  const rated = items.filter(item => item.rating > 0);
+  const started = items.filter(item => item.status !== Status.PLAN_TO_READ);
+  const completed = items.filter(item => item.status === Status.COMPLETED);
+
+  const ratingDistribution = Array.from({ length: 10 }, (_, index) => ({
+    label: String(index + 1),
+    count: rated.filter(item => item.rating === index + 1).length,
+  }));
+
+  return {
+    total: items.length,
+    chaptersRead: sumProgress('chapter', 'currentChapter'),
+    volumesRead: sumProgress('volume', 'currentVolume'),
+    byStatus: countBy(items, item => item.status, statusNames),
+    byType: countBy(items, item => (KNOWN_TYPES.includes(item.type) ? item.type : 'Other'), KNOWN_TYPES)
+      .filter(({ label, count }) => label !== 'Other' || count > 0),
+    ratedCount: rated.length,
+    averageRating: rated.length > 0 ? rated.reduce((sum, item) => sum + item.rating, 0) / rated.length : 0,
+    ratingDistribution,
+    // Completion is measured against titles actually started, not the backlog
+    completionRate: started.length > 0 ? completed.length / started.length : 0,
+  };
+};
+
+/**
+ * Returns the local-time start of the day, week (Monday), month or year containing `timestamp`
+ */
+export const getPeriodStart = (timestamp, period) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  if (period === 'year') {
+    date.setMonth(0, 1);
+  } else if (period === 'month') {
+    date.setDate(1);
+  } else if (period === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  return date;
+};
+
+/**
+ * Chapters a history entry moved forward. Going back a chapter is a
+ * correction, and adding a title isn't reading, so both count as 0.
+ */
+export const getChaptersRead = (entry) => {
+  if (entry.fromChapter === null || entry.fromChapter === undefined) return 0;
+  return Math.max(0, entry.toChapter - entry.fromChapter);
+};
+
+const formatPeriodLabel = (date, period) => (period === 'month'
+  ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+  : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+
+/**
+ * Sums chapters read per week or month from reading history entries
+ */
+export const computeChapterActivity = (historyEntries, period = 'week', count = 12, now = Date.now()) => {
+  const buckets = [];
+  let start = getPeriodStart(now, period);
+
+  for (let i = 0; i < count; i++) {
+    buckets.unshift({ start: start.getTime(), label: formatPeriodLabel(start, period), count: 0 });
+    start = period === 'month'
+      ? new Date(start.getFullYear(), start.getMonth() - 1, 1)
+      : getPeriodStart(start.getTime() - DAY_MS, period);
+  }
+
+  const bucketByStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+
+  historyEntries.forEach(entry => {
+    const chaptersRead = getChaptersRead(entry);
+    if (chaptersRead === 0) return;
+
+    const bucket = bucketByStart.get(getPeriodStart(entry.timestamp, period).getTime());
+    if (bucket) bucket.count += chaptersRead;
+  });
+
+  return buckets;
+};
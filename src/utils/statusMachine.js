@@ -0,0 +1,77 @@
+import { Status } from '../constants';
+import { getProgressFields, toProgressNumber } from './progress';
+
+// --- STATUS TRANSITIONS ---
+//
+// The single place that decides how an item's status follows its progress.
+// Both "Next"/"-1" on a card ('progress') and saving EditModal ('edit') go
+// through applyStatusTransition. Custom statuses only auto-complete.
+// Progress is measured in the item's progress unit (chapters or volumes).
+
+/**
+ * Rules for a progress bump: the status follows the reading progress
+ */
+const transitionOnProgress = (previousStatus, previousProgress, progress, total) => {
+  const movedForward = progress > previousProgress;
+
+  if (total > 0 && progress >= total) return Status.COMPLETED;
+
+  switch (previousStatus) {
+    case Status.PLAN_TO_READ:
+      return progress > 0 ? Status.READING : previousStatus;
+    case Status.ON_HOLD:
+      return movedForward ? Status.READING : previousStatus;
+    case Status.COMPLETED:
+      return progress > 0 && progress < total ? Status.READING : previousStatus;
+    case Status.READING:
+      return progress === 0 ? Status.PLAN_TO_READ : previousStatus;
+    default:
+      return previousStatus;
+  }
+};
+
+/**
+ * Rules for an edit: the chosen status wins unless the progress contradicts it
+ */
+const transitionOnEdit = (requestedStatus, progress, total) => {
+  if (requestedStatus === Status.PLAN_TO_READ && progress > 0) return Status.READING;
+  if (total > 0 && progress >= total) return Status.COMPLETED;
+  return requestedStatus;
+};
+
+/**
+ * Works out the status, progress and reread count after a change. The
+ * progress field returned is the one for the item's unit (`currentChapter` or
+ * `currentVolume`, see utils/progress).
+ *
+ * @param {object} previous The item as stored ({ status, progressUnit?, currentChapter, totalChapters, rereadCount, ... })
+ * @param {object} next The new values ({ currentChapter or currentVolume, totals?, progressUnit?, status?, rereadCount? })
+ * @param {'progress'|'edit'} trigger What caused the change
+ * @returns {{ status: string, rereadCount: number, currentChapter?: number, currentVolume?: number }}
+ */
+export const applyStatusTransition = (previous, next, trigger) => {
+  const { current, total: totalField } = getProgressFields({ progressUnit: next.progressUnit ?? previous.progressUnit });
+  const total = toProgressNumber(next[totalField] ?? previous[totalField]);
+  const requestedStatus = trigger === 'edit' ? next.status : previous.status;
+  let progress = toProgressNumber(next[current] ?? previous[current]);
+
+  // Starting a re-read of a finished series begins again from 0
+  const startsReread = requestedStatus === Status.REREADING && previous.status !== Status.REREADING;
+  if (startsReread && total > 0 && progress >= total) {
+    progress = 0;
+  }
+
+  const status = trigger === 'edit'
+    ? transitionOnEdit(requestedStatus, progress, total)
+    : transitionOnProgress(previous.status, toProgressNumber(previous[current]), progress, total);
+
+  // Finishing a re-read counts it
+  const rereadCount = Number(next.rereadCount ?? previous.rereadCount) || 0;
+  const finishedReread = requestedStatus === Status.REREADING && status === Status.COMPLETED;
+
+  return {
+    status,
+    [current]: progress,
+    rereadCount: finishedReread ? rereadCount + 1 : rereadCount,
+  };
+};
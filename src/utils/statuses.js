@@ -0,0 +1,70 @@
+import { Status } from '../constants';
+
+// --- STATUS DEFINITIONS & COLOURS ---
+
+// Colours a status badge can use. Kept as full class names so they survive CSS purging.
+export const STATUS_COLOR_OPTIONS = [
+  'bg-blue-500',
+  'bg-cyan-500',
+  'bg-teal-500',
+  'bg-green-500',
+  'bg-lime-500',
+  'bg-yellow-500',
+  'bg-amber-500',
+  'bg-orange-500',
+  'bg-red-500',
+  'bg-pink-500',
+  'bg-purple-500',
+  'bg-indigo-500',
+  'bg-gray-400',
+  'bg-gray-500',
+];
+
+const DEFAULT_STATUS_COLOR = 'bg-gray-500';
+
+// Built-in statuses in display order
+export const BUILT_IN_STATUSES = [
+  { name: Status.READING, color: 'bg-blue-500', builtIn: true },
+  { name: Status.REREADING, color: 'bg-purple-500', builtIn: true },
+  { name: Status.ON_HOLD, color: 'bg-yellow-500', builtIn: true },
+  { name: Status.PLAN_TO_READ, color: 'bg-gray-400', builtIn: true },
+  { name: Status.COMPLETED, color: 'bg-green-500', builtIn: true },
+  { name: Status.DROPPED, color: 'bg-red-500', builtIn: true },
+];
+
+/**
+ * Merges the built-in statuses with the user's custom ones (built-ins win on name clashes)
+ */
+export const buildStatusDefinitions = (customStatuses = []) => {
+  const builtInNames = new Set(BUILT_IN_STATUSES.map(({ name }) => name));
+  const custom = customStatuses
+    .filter(({ name }) => name && !builtInNames.has(name))
+    .map(({ name, color }) => ({ name, color: color || DEFAULT_STATUS_COLOR, builtIn: false }));
+  return [...BUILT_IN_STATUSES, ...custom];
+};
+
+/**
+ * Returns a lookup from status name to its badge colour class
+ */
+export const createStatusColorGetter = (definitions) => {
+  const colors = new Map(definitions.map(({ name, color }) => [name, color]));
+  return (status) => colors.get(status) || DEFAULT_STATUS_COLOR;
+};
+
+/**
+ * Adds the custom statuses from a backup that aren't defined yet. The ones
+ * already there keep their colour.
+ */
+export const mergeCustomStatuses = (current, restored) => {
+  const names = new Set(current.map(({ name }) => name));
+  return [...current, ...restored.filter(({ name }) => !names.has(name))];
+};
+
+/**
+ * The statuses settings document. The names are stored on their own as well,
+ * since firestore.rules can only check an item's status against a plain list.
+ */
+export const toStatusSettings = (customStatuses) => ({
+  customStatuses,
+  customStatusNames: customStatuses.map(({ name }) => name),
+});
@@ -0,0 +1,33 @@
+// --- TAGS ---
+
+/**
+ * Cleans up a user-entered tag: trims, collapses spaces, lowercases
+ */
+export const normalizeTag = (tag) => String(tag ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Normalizes a list of tags (or a comma-separated string) and drops empties & duplicates
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Every tag used in the library, alphabetically
+ */
+export const collectAllTags = (items) => (
+  [...new Set(items.flatMap(item => item.tags || []))].sort((a, b) => a.localeCompare(b))
+);
+
+/**
+ * Whether an item matches the selected tags. 'all' requires every tag (AND),
+ * 'any' requires at least one (OR). No selection matches everything.
+ */
+export const matchesTags = (item, selectedTags, mode = 'any') => {
+  if (selectedTags.length === 0) return true;
+  const itemTags = item.tags || [];
+  return mode === 'all'
+    ? selectedTags.every(tag => itemTags.includes(tag))
+    : selectedTags.some(tag => itemTags.includes(tag));
+};
@@ -0,0 +1,24 @@
+// --- TRASH ---
+//
+// Deleting a title only stamps it with `deletedAt`. It stays in the trash,
+// where it can be restored, until it's purged for good after 30 days.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (item) => Boolean(item.deletedAt);
+
+/**
+ * Whole days until a trashed item is purged (0 once it's due)
+ */
+export const getDaysUntilPurge = (item, now = Date.now()) => (
+  Math.max(0, Math.ceil((item.deletedAt + TRASH_RETENTION_DAYS * DAY_MS - now) / DAY_MS))
+);
+
+/**
+ * Trashed items that have been in the trash longer than the retention period
+ */
+export const getExpiredItems = (trashedItems, now = Date.now()) => (
+  trashedItems.filter(item => now - item.deletedAt >= TRASH_RETENTION_DAYS * DAY_MS)
+);
@@ -0,0 +1,23 @@
+// --- WINDOWED ROWS ---
+//
+// The list and table layouts only render the rows near the viewport, so a
+// library of thousands of titles scrolls as smoothly as one of ten. Rows have
+// a fixed height, which makes the visible range simple arithmetic.
+
+/**
+ * The rows to render: [start, end) of the ones overlapping the viewport, plus
+ * `overscan` rows either side so fast scrolling and keyboard focus don't hit blanks
+ * @param {{ scrollTop: number, viewportHeight: number, rowHeight: number, count: number, overscan?: number }} options
+ *   scrollTop is how far the top of the viewport is past the top of the list (negative above it)
+ * @returns {{ start: number, end: number }}
+ */
+export const getVisibleRange = ({ scrollTop, viewportHeight, rowHeight, count, overscan = 0 }) => {
+  if (count === 0 || rowHeight <= 0) return { start: 0, end: 0 };
+
+  const first = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const last = Math.ceil(Math.max(0, scrollTop + viewportHeight) / rowHeight);
+  return {
+    start: Math.min(count, Math.max(0, first - overscan)),
+    end: Math.min(count, last + overscan),
+  };
+};
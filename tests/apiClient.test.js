@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createApiClient } from '../src/utils/apiClient';
+import { DEFAULT_TTL_MS, createMemoryCache } from '../src/utils/responseCache';
+import { NOW } from './fixtures';
+
+// --- RATE-LIMITED, CACHED HTTP CLIENT ---
+
+const response = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  headers: new Map(Object.entries(headers)),
+  json: async () => body,
+});
+
+/**
+ * A client on a fake clock: `sleep` records each wait and moves the clock on,
+ * and `fetchFn` answers from `responses` in order, noting when each request went out
+ */
+const setup = ({ responses = [], rateLimits = [{ windowMs: 1000, max: 3 }], cache = createMemoryCache() } = {}) => {
+  const sleeps = [];
+  const sentAt = [];
+  const fetchFn = vi.fn(async () => {
+    sentAt.push(Date.now() - NOW);
+    return responses.length ? responses.shift() : response(200, { ok: true });
+  });
+  const sleep = async (ms) => {
+    sleeps.push(ms);
+    vi.setSystemTime(Date.now() + ms);
+  };
+  const client = createApiClient({ baseUrl: 'https://api.test', rateLimits, fetchFn, cache, sleep });
+  return { client, fetchFn, sleeps, sentAt };
+};
+
+describe('createApiClient', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('spaces requests out to stay within every rate limit', async () => {
+    const { client, sentAt } = setup({ rateLimits: [{ windowMs: 1000, max: 2 }, { windowMs: 10_000, max: 3 }] });
+    await Promise.all([1, 2, 3, 4].map(page => client.request('/items', { page }, { ttl: 1000 })));
+    // Two a second, then the third waits out the second, the fourth the ten-second window
+    expect(sentAt).toEqual([0, 0, 1000, 10_000]);
+  });
+
+  it('retries 429 and 5xx with exponential backoff', async () => {
+    const { client, fetchFn, sleeps } = setup({ responses: [response(503), response(500), response(200, { id: 1 })] });
+    expect(await client.request('/items/1', undefined, { ttl: 1000 })).toEqual({ id: 1 });
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+    expect(sleeps).toEqual([1000, 2000]);
+  });
+
+  it('waits as long as Retry-After asks when that is longer', async () => {
+    const { client, sleeps } = setup({ responses: [response(429, {}, { 'Retry-After': '5' }), response(200)] });
+    await client.request('/items/1', undefined, { ttl: 1000 });
+    expect(sleeps).toEqual([5000]);
+  });
+
+  it('gives up after the last retry, and at once on other errors', async () => {
+    const failing = setup({ responses: Array.from({ length: 5 }, () => response(502)) });
+    await expect(failing.client.request('/a', undefined, { ttl: 1000 })).rejects.toMatchObject({ status: 502 });
+    expect(failing.fetchFn).toHaveBeenCalledTimes(5);
+    expect(failing.sleeps).toEqual([1000, 2000, 4000, 8000]);
+
+    const notFound = setup({ responses: [response(404)] });
+    await expect(notFound.client.request('/b', undefined, { ttl: 1000 })).rejects.toMatchObject({ status: 404 });
+    expect(notFound.fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves cached responses until their TTL runs out', async () => {
+    const { client, fetchFn } = setup();
+    await client.request('/items', { q: 'berserk' }, { ttl: 60_000 });
+    await client.request('/items', { q: 'berserk' }, { ttl: 60_000 });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+
+    await client.request('/items', { q: 'berserk' }, { ttl: 60_000, bypassCache: true });
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+
+    vi.setSystemTime(Date.now() + 60_000);
+    await client.request('/items', { q: 'berserk' }, { ttl: 60_000 });
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+  });
+
+  it('expires entries stored without a TTL after the default', async () => {
+    const cache = createMemoryCache();
+    await cache.set('key', 'value');
+    vi.setSystemTime(NOW + DEFAULT_TTL_MS - 1);
+    expect(await cache.get('key')).toBe('value');
+    vi.setSystemTime(NOW + DEFAULT_TTL_MS);
+    expect(await cache.get('key')).toBeUndefined();
+  });
+});
+
+describe('aborting', () => {
+  it('stops waiting out a backoff as soon as the request is aborted', async () => {
+    const fetchFn = vi.fn(async () => response(503));
+    const client = createApiClient({ baseUrl: 'https://api.test', rateLimits: [{ windowMs: 1000, max: 3 }], fetchFn, cache: createMemoryCache() });
+    const controller = new AbortController();
+
+    const request = client.request('/items', undefined, { ttl: 1000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    const startedAt = Date.now();
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    expect(Date.now() - startedAt).toBeLessThan(900);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { continueWithProvider, createAccountWithEmail, getAuthErrorMessage } from '../src/utils/auth';
+
+// --- ACCOUNT UPGRADE (Firebase Auth mocked, no emulator needed) ---
+
+const firebaseAuth = vi.hoisted(() => {
+  class FakeProvider {
+    static credentialFromError = vi.fn();
+  }
+  return {
+    GoogleAuthProvider: class extends FakeProvider {},
+    GithubAuthProvider: class extends FakeProvider {},
+    EmailAuthProvider: { credential: vi.fn((email, password) => ({ email, password })) },
+    linkWithCredential: vi.fn(),
+    linkWithPopup: vi.fn(),
+    signInWithEmailAndPassword: vi.fn(),
+    createUserWithEmailAndPassword: vi.fn(),
+    signInWithPopup: vi.fn(),
+    signInWithCredential: vi.fn(),
+    signOut: vi.fn(),
+  };
+});
+vi.mock('firebase/auth', () => firebaseAuth);
+
+const guest = { uid: 'guest', isAnonymous: true };
+const authError = (code) => Object.assign(new Error(`Firebase: Error (${code}).`), { code });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('continueWithProvider', () => {
+  it('links the provider to a guest, keeping the uid', async () => {
+    firebaseAuth.linkWithPopup.mockResolvedValue({ user: { ...guest, isAnonymous: false } });
+    const result = await continueWithProvider({ currentUser: guest }, 'google');
+    expect(result).toEqual({ user: { uid: 'guest', isAnonymous: false }, switchedAccount: false });
+    expect(firebaseAuth.signInWithCredential).not.toHaveBeenCalled();
+  });
+
+  it('switches to the existing account when the credential is already in use', async () => {
+    const credential = { providerId: 'google.com' };
+    const auth = { currentUser: guest };
+    firebaseAuth.linkWithPopup.mockRejectedValue(authError('auth/credential-already-in-use'));
+    firebaseAuth.GoogleAuthProvider.credentialFromError.mockReturnValue(credential);
+    firebaseAuth.signInWithCredential.mockResolvedValue({ user: { uid: 'existing', isAnonymous: false } });
+
+    const result = await continueWithProvider(auth, 'google');
+    expect(result).toEqual({ user: { uid: 'existing', isAnonymous: false }, switchedAccount: true });
+    // Reuses the credential instead of opening a second popup
+    expect(firebaseAuth.signInWithCredential).toHaveBeenCalledWith(auth, credential);
+    expect(firebaseAuth.signInWithPopup).not.toHaveBeenCalled();
+  });
+
+  it('passes on other link errors', async () => {
+    firebaseAuth.linkWithPopup.mockRejectedValue(authError('auth/popup-closed-by-user'));
+    firebaseAuth.GoogleAuthProvider.credentialFromError.mockReturnValue(null);
+    await expect(continueWithProvider({ currentUser: guest }, 'google')).rejects.toMatchObject({ code: 'auth/popup-closed-by-user' });
+    expect(firebaseAuth.signInWithCredential).not.toHaveBeenCalled();
+  });
+
+  it('signs a signed-in user in with a popup', async () => {
+    firebaseAuth.signInWithPopup.mockResolvedValue({ user: { uid: 'other' } });
+    expect(await continueWithProvider({ currentUser: { uid: 'me', isAnonymous: false } }, 'github'))
+      .toEqual({ user: { uid: 'other' }, switchedAccount: true });
+  });
+});
+
+describe('createAccountWithEmail', () => {
+  it('upgrades a guest in place', async () => {
+    firebaseAuth.linkWithCredential.mockResolvedValue({ user: { uid: 'guest' } });
+    await createAccountWithEmail({ currentUser: guest }, 'a@example.com', 'secret1');
+    expect(firebaseAuth.linkWithCredential).toHaveBeenCalledWith(guest, { email: 'a@example.com', password: 'secret1' });
+    expect(firebaseAuth.createUserWithEmailAndPassword).not.toHaveBeenCalled();
+  });
+});
+
+describe('getAuthErrorMessage', () => {
+  it('explains known error codes', () => {
+    expect(getAuthErrorMessage(authError('auth/credential-already-in-use'))).toBe('That account already exists. Use "Sign In" instead.');
+    expect(getAuthErrorMessage(authError('auth/weak-password'))).toBe('Password must be at least 6 characters.');
+  });
+
+  it('falls back to the error message, then a generic one', () => {
+    expect(getAuthErrorMessage(authError('auth/quota-exceeded'))).toBe('Firebase: Error (auth/quota-exceeded).');
+    expect(getAuthErrorMessage(null)).toBe('Something went wrong.');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { createMemoryTrackingRepository } from '../src/repositories/memoryTrackingRepository';
+import { createCustomItem } from '../src/utils/customTitles';
+import { buildJsonBackup, parseJsonBackup } from '../src/utils/exporters';
+import { createGoal, mergeGoals } from '../src/utils/goals';
+import { mergeCustomStatuses } from '../src/utils/statuses';
+import { NOW } from './fixtures';
+
+// --- JSON BACKUP ROUND TRIP ---
+
+/**
+ * Reads a repository's library and full history as they are right now
+ */
+const snapshot = (repository) => {
+  let items = [];
+  let history = [];
+  repository.subscribe((latest) => { items = latest; })();
+  repository.subscribeAllHistory((entries) => { history = entries; })();
+  return { items, history };
+};
+
+const byId = (a, b) => a.id.localeCompare(b.id);
+
+describe('JSON backup', () => {
+  it('restores the exact items and history, into another account too', async () => {
+    let clock = NOW;
+    const source = createMemoryTrackingRepository({ userId: 'alice', now: () => clock++ });
+    const itemId = await source.addItem({
+      ...createCustomItem({ title: 'Vagabond, "the" manga', totalChapters: 327, totalVolumes: 37 }),
+      notes: 'Line one\nline two',
+      tags: ['seinen', 'samurai'],
+      rating: 9,
+    });
+    await source.addItem(createCustomItem({ title: 'Berserk' }));
+    const getItem = () => snapshot(source).items.find(({ id }) => id === itemId);
+    await source.setProgress(getItem(), 10.5).write;
+    await source.saveEdit(getItem(), { ...getItem(), progressUnit: 'volume', currentVolume: 2 }).write;
+
+    const original = snapshot(source);
+    const backup = parseJsonBackup(buildJsonBackup(original.items, original.history));
+
+    const target = createMemoryTrackingRepository({ userId: 'bob' });
+    await target.importItems(backup.items).write;
+    expect(await target.importHistory(backup.history)).toBe(original.history.length);
+
+    const restored = snapshot(target);
+    expect(restored.items.sort(byId)).toEqual(original.items.sort(byId));
+    expect(restored.history.sort(byId)).toEqual(original.history.map(entry => ({ ...entry, userId: 'bob' })).sort(byId));
+    expect(restored.history.find(entry => entry.toStatus === Status.PLAN_TO_READ && entry.itemId === itemId)).toBeTruthy();
+  });
+
+  it('skips history entries that are already stored when restored again', async () => {
+    const repository = createMemoryTrackingRepository({ userId: 'alice' });
+    await repository.addItem(createCustomItem({ title: 'Berserk' }));
+    const { items, history } = snapshot(repository);
+    const backup = parseJsonBackup(buildJsonBackup(items, history));
+
+    await repository.importItems(backup.items).write;
+    expect(await repository.importHistory(backup.history)).toBe(0);
+    expect(snapshot(repository).history).toHaveLength(1);
+  });
+
+  it('reads version 1 backups, which have no history', () => {
+    const backup = parseJsonBackup(JSON.stringify({ app: 'comic-vibe-tracker', version: 1, items: [{ id: 'a', title: 'Berserk' }] }));
+    expect(backup.history).toEqual([]);
+  });
+
+  it('keeps the custom statuses and goals, and leaves them alone for older backups', () => {
+    const customStatuses = [{ name: 'Binge-reading', color: 'bg-pink-500' }];
+    const goals = [createGoal({ type: 'readChapters', target: 20, period: 'week' })];
+    const items = [{ id: 'a', title: 'Berserk', status: 'Binge-reading' }];
+    expect(parseJsonBackup(buildJsonBackup(items, [], { customStatuses, goals })).settings).toEqual({ customStatuses, goals });
+
+    const v2 = parseJsonBackup(JSON.stringify({ app: 'comic-vibe-tracker', version: 2, items, history: [] }));
+    expect(v2.settings).toBeNull();
+  });
+});
+
+describe('restoring settings', () => {
+  it('adds the missing custom statuses, keeping the colours already chosen', () => {
+    const current = [{ name: 'Binge-reading', color: 'bg-pink-500' }];
+    const restored = [{ name: 'Binge-reading', color: 'bg-red-500' }, { name: 'Waiting', color: 'bg-gray-400' }];
+    expect(mergeCustomStatuses(current, restored)).toEqual([...current, restored[1]]);
+    expect(mergeCustomStatuses([], restored)).toEqual(restored);
+  });
+
+  it('adds the missing goals without going over the limit', () => {
+    const goal = (id) => ({ id, type: 'readChapters', target: 5, period: 'week' });
+    expect(mergeGoals([goal('a')], [goal('a'), goal('b')]).map(({ id }) => id)).toEqual(['a', 'b']);
+    const many = Array.from({ length: 12 }, (_, index) => goal(`g${index}`));
+    expect(mergeGoals([goal('a')], many)).toHaveLength(10);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { createProviderRegistry } from '../src/providers';
+import { createMemoryTrackingRepository } from '../src/repositories/memoryTrackingRepository';
+import { buildBulkUpdate, buildBulkUpdates, fetchMetadataUpdates } from '../src/utils/bulkActions';
+import { NOW, trackedItem as item } from './fixtures';
+
+// --- BULK ACTIONS ---
+
+describe('buildBulkUpdate', () => {
+  it('changes the status with the same transitions as an edit', () => {
+    expect(buildBulkUpdate(item({ status: Status.PLAN_TO_READ, currentChapter: 3 }), { type: 'status', status: Status.PLAN_TO_READ })).toBeNull();
+    expect(buildBulkUpdate(item({ currentChapter: 10 }), { type: 'status', status: Status.ON_HOLD }, NOW))
+      .toMatchObject({ status: Status.COMPLETED, lastUpdated: NOW });
+    expect(buildBulkUpdate(item(), { type: 'status', status: Status.DROPPED }, NOW)).toMatchObject({ status: Status.DROPPED });
+  });
+
+  it('adds and removes tags', () => {
+    expect(buildBulkUpdate(item(), { type: 'addTags', tags: ['Classic'] }).tags).toEqual(['dark', 'classic']);
+    expect(buildBulkUpdate(item(), { type: 'addTags', tags: ['dark'] })).toBeNull();
+    expect(buildBulkUpdate(item(), { type: 'removeTags', tags: ['dark'] }).tags).toEqual([]);
+    expect(buildBulkUpdate(item(), { type: 'removeTags', tags: ['classic'] })).toBeNull();
+  });
+
+  it('sets the rating and moves to the trash', () => {
+    expect(buildBulkUpdate(item(), { type: 'rating', rating: 9 }).rating).toBe(9);
+    expect(buildBulkUpdate(item(), { type: 'rating', rating: 0 })).toBeNull();
+    expect(buildBulkUpdate(item(), { type: 'trash' }, NOW).deletedAt).toBe(NOW);
+  });
+
+  it('leaves out items the action would not change', () => {
+    const updates = buildBulkUpdates([item(), item({ id: 'item-2', tags: [] })], { type: 'addTags', tags: ['dark'] });
+    expect(updates.map(({ before }) => before.id)).toEqual(['item-2']);
+  });
+});
+
+describe('fetchMetadataUpdates', () => {
+  const mockProviders = createProviderRegistry([{
+    id: 'jikan',
+    async getById(providerId) {
+      if (providerId === '404') throw new Error('Not found');
+      return { chapters: 12, imageUrl: 'https://example.com/cover.jpg', publishingStatus: 'Finished' };
+    },
+  }]);
+
+  it('refreshes provider items, skips custom ones and reports failures', async () => {
+    const progress = [];
+    const { updates, failed, skipped } = await fetchMetadataUpdates([
+      item(),
+      item({ id: 'custom', provider: undefined, providerId: undefined, apiId: null, isCustom: true }),
+      item({ id: 'missing', providerId: '404' }),
+    ], { providers: mockProviders, now: NOW, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0].after).toMatchObject({
+      totalChapters: 12,
+      imageUrl: 'https://example.com/cover.jpg',
+      publishingStatus: 'Finished',
+      releaseCheckedAt: NOW,
+      title: 'Berserk',
+    });
+    expect(skipped).toBe(1);
+    expect(failed).toEqual([{ item: expect.objectContaining({ id: 'missing' }), error: 'Not found' }]);
+    expect(progress).toEqual(['1/3', '2/3', '3/3']);
+  });
+
+  it('never lowers the chapter total', async () => {
+    const { updates } = await fetchMetadataUpdates([item({ totalChapters: 40 })], { providers: mockProviders });
+    expect(updates[0].after.totalChapters).toBe(40);
+  });
+});
+
+describe('bulkUpdate', () => {
+  it('saves every update, records history and reports progress', async () => {
+    const repository = createMemoryTrackingRepository({ items: [item(), item({ id: 'item-2', title: 'Vagabond' })] });
+    let items = [];
+    repository.subscribe((latest) => { items = latest; });
+
+    const progress = [];
+    const result = await repository.bulkUpdate(
+      buildBulkUpdates(items, { type: 'status', status: Status.ON_HOLD }),
+      { onProgress: (done) => progress.push(done) }
+    );
+
+    expect(result).toEqual({ updated: 2, failed: [] });
+    expect(items.every(({ status }) => status === Status.ON_HOLD)).toBe(true);
+    expect(progress).toEqual([1, 2]);
+  });
+
+  it('reports items that could not be saved', async () => {
+    const repository = createMemoryTrackingRepository({ items: [item()] });
+    const result = await repository.bulkUpdate([{ before: item({ id: 'gone' }), after: item({ id: 'gone', rating: 5 }) }]);
+    expect(result.updated).toBe(0);
+    expect(result.failed[0].item.id).toBe('gone');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { buildGlobalCommands, buildTitleCommands, filterCommands } from '../src/utils/commands';
+import { getCardShortcut, getGridMoveTarget } from '../src/utils/keyboard';
+
+// --- COMMAND PALETTE & KEYBOARD SHORTCUTS ---
+
+const VIEWS = [{ view: 'library', label: 'Library' }, { view: 'stats', label: 'Stats' }];
+const item = (id, title, extra = {}) => ({ id, title, status: 'Reading', progressUnit: 'chapter', ...extra });
+
+describe('commands', () => {
+  const items = [item('a', 'Solo Leveling'), item('b', 'One Piece'), item('c', 'Vinland Saga')];
+
+  it('lists the global commands, then one per title', () => {
+    const commands = buildGlobalCommands(items, VIEWS);
+    expect(commands.map(({ label }) => label)).toEqual([
+      'Add a title…', 'Go to Library', 'Go to Stats', 'Open Trash', 'Solo Leveling', 'One Piece', 'Vinland Saga',
+    ]);
+    expect(commands[4].action).toEqual({ type: 'chooseTitle', itemId: 'a' });
+  });
+
+  it('matches every word of the query, labels starting with it first', () => {
+    const commands = buildGlobalCommands(items, VIEWS);
+    expect(filterCommands(commands, 'saga vin').map(({ label }) => label)).toEqual(['Vinland Saga']);
+    expect(filterCommands(commands, 'o').map(({ label }) => label)).toEqual([
+      'Open Trash', 'One Piece', 'Go to Library', 'Go to Stats', 'Solo Leveling',
+    ]);
+    expect(filterCommands(commands, '  ')).toBe(commands);
+  });
+
+  it('offers the unit-aware progress steps and the other statuses for a title', () => {
+    const commands = buildTitleCommands(item('a', 'Berserk', { progressUnit: 'volume' }), ['Reading', 'Completed', 'Dropped']);
+    expect(commands.map(({ label }) => label)).toEqual([
+      'Open details', 'Next volume', 'Previous volume', 'Edit…', 'Set status to Completed', 'Set status to Dropped', 'Move to Trash',
+    ]);
+    expect(commands[2].action).toEqual({ type: 'progress', itemId: 'a', delta: -1 });
+  });
+});
+
+describe('keyboard shortcuts', () => {
+  it('maps keys on a focused card to actions', () => {
+    expect(getCardShortcut({ key: '+' })).toBe('next');
+    expect(getCardShortcut({ key: '=' })).toBe('next');
+    expect(getCardShortcut({ key: '-' })).toBe('previous');
+    expect(getCardShortcut({ key: 'e' })).toBe('edit');
+    expect(getCardShortcut({ key: 'Delete' })).toBe('delete');
+    expect(getCardShortcut({ key: 'e', ctrlKey: true })).toBeNull();
+    expect(getCardShortcut({ key: ' ' })).toBeNull();
+    expect(getCardShortcut({ key: ' ' }, { isSelecting: true })).toBe('select');
+  });
+
+  it('moves through a grid by cell and by row, staying inside it', () => {
+    // 7 cards in rows of 3
+    expect(getGridMoveTarget('ArrowRight', 2, 7, 3)).toBe(3);
+    expect(getGridMoveTarget('ArrowRight', 6, 7, 3)).toBe(6);
+    expect(getGridMoveTarget('ArrowDown', 1, 7, 3)).toBe(4);
+    expect(getGridMoveTarget('ArrowDown', 4, 7, 3)).toBe(4);
+    expect(getGridMoveTarget('ArrowUp', 5, 7, 3)).toBe(2);
+    expect(getGridMoveTarget('End', 0, 7, 3)).toBe(6);
+    expect(getGridMoveTarget('a', 0, 7, 3)).toBeNull();
+  });
+});
@@ -0,0 +1,317 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, collectionGroup, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+import {
+  Status,
+  getUserCollectionPath,
+  getHistoryCollectionPath,
+  getSettingsDocPath,
+  getPublicProfileDocPath,
+  getPublicProfileItemsPath,
+} from '../src/constants';
+import { createHistoryEntry } from '../src/utils/history';
+import { mergeCustomStatuses, toStatusSettings } from '../src/utils/statuses';
+import { PUBLIC_ITEM_FIELDS, toPublicItem } from '../src/utils/publicProfile';
+import { createGoal, mergeGoals } from '../src/utils/goals';
+import { buildJsonBackup, parseJsonBackup } from '../src/utils/exporters';
+import { createFirestoreTrackingRepository } from '../src/repositories/firestoreTrackingRepository';
+import { newItem } from './fixtures';
+
+// --- FIRESTORE RULES (run with `npm run test:rules`, which starts the Firestore emulator) ---
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const ITEM_ID = 'item-1';
+
+const RULES = readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8');
+
+let testEnv;
+
+const aliceDb = () => testEnv.authenticatedContext(ALICE).firestore();
+const bobDb = () => testEnv.authenticatedContext(BOB).firestore();
+const guestDb = () => testEnv.unauthenticatedContext().firestore();
+
+const itemRef = (db, userId = ALICE, itemId = ITEM_ID) => doc(db, getUserCollectionPath(userId), itemId);
+
+/**
+ * Writes documents with the rules switched off, as test fixtures
+ */
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  for (const [path, data] of writes) await setDoc(doc(db, path), data);
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-manga-tracker',
+    firestore: { rules: RULES },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+describe('tracking items', () => {
+  it('lets the owner add, read, update and delete their items', async () => {
+    const db = aliceDb();
+    await assertSucceeds(setDoc(itemRef(db), newItem()));
+    await assertSucceeds(getDoc(itemRef(db)));
+    await assertSucceeds(setDoc(itemRef(db), { currentChapter: 12, status: Status.READING, lastUpdated: Date.now() }, { merge: true }));
+    await assertSucceeds(setDoc(itemRef(db), { deletedAt: Date.now() }, { merge: true }));
+    await assertSucceeds(deleteDoc(itemRef(db)));
+  });
+
+  it('keeps other users and signed-out visitors out', async () => {
+    await seed([[`${getUserCollectionPath(ALICE)}/${ITEM_ID}`, newItem()]]);
+
+    await assertFails(getDoc(itemRef(bobDb())));
+    await assertFails(getDocs(collection(bobDb(), getUserCollectionPath(ALICE))));
+    await assertFails(setDoc(itemRef(bobDb()), newItem()));
+    await assertFails(deleteDoc(itemRef(bobDb())));
+    await assertFails(getDoc(itemRef(guestDb())));
+    await assertFails(setDoc(itemRef(guestDb(), ALICE, 'item-2'), newItem()));
+  });
+
+  it('accepts the items the app builds', async () => {
+    const db = aliceDb();
+    await assertSucceeds(setDoc(itemRef(db), newItem({ tags: ['isekai'], notes: 'Great art', rating: 8.5 })));
+    // A release check merges only a few fields
+    await assertSucceeds(setDoc(itemRef(db), { releaseCheckedAt: Date.now(), publishingStatus: 'Publishing', totalChapters: 201 }, { merge: true }));
+  });
+
+  it('rejects negative chapters', async () => {
+    await assertFails(setDoc(itemRef(aliceDb()), newItem({ currentChapter: -1 })));
+    await assertFails(setDoc(itemRef(aliceDb()), newItem({ totalChapters: -5 })));
+  });
+
+  it('checks volumes and the progress unit', async () => {
+    const db = aliceDb();
+    await assertSucceeds(setDoc(itemRef(db), newItem({ currentChapter: 10.5, currentVolume: 2, totalVolumes: 12, progressUnit: 'volume' })));
+    await assertFails(setDoc(itemRef(db), newItem({ currentVolume: -1 })));
+    await assertFails(setDoc(itemRef(db), newItem({ progressUnit: 'page' })));
+  });
+
+  it('rejects ratings outside 0–10', async () => {
+    await assertFails(setDoc(itemRef(aliceDb()), newItem({ rating: 11 })));
+    await assertFails(setDoc(itemRef(aliceDb()), newItem({ rating: -1 })));
+    await assertSucceeds(setDoc(itemRef(aliceDb()), newItem({ rating: 10 })));
+  });
+
+  it('rejects fields of the wrong type', async () => {
+    const db = aliceDb();
+    await assertFails(setDoc(itemRef(db), newItem({ title: 42 })));
+    await assertFails(setDoc(itemRef(db), newItem({ title: '' })));
+    await assertFails(setDoc(itemRef(db), newItem({ currentChapter: '12' })));
+    await assertFails(setDoc(itemRef(db), newItem({ rating: '8' })));
+    await assertFails(setDoc(itemRef(db), newItem({ notes: ['not', 'text'] })));
+    await assertFails(setDoc(itemRef(db), newItem({ tags: 'isekai' })));
+    await assertFails(setDoc(itemRef(db), newItem({ lastUpdated: 'yesterday' })));
+    await assertFails(setDoc(itemRef(db), newItem({ deletedAt: true })));
+  });
+
+  it('rejects an update that breaks the schema', async () => {
+    await seed([[`${getUserCollectionPath(ALICE)}/${ITEM_ID}`, newItem()]]);
+    await assertFails(updateDoc(itemRef(aliceDb()), { currentChapter: -3 }));
+    await assertFails(updateDoc(itemRef(aliceDb()), { status: 'Binge-reading' }));
+  });
+
+  it('only allows known statuses', async () => {
+    const db = aliceDb();
+    await assertFails(setDoc(itemRef(db), newItem({ status: 'Binge-reading' })));
+    await assertFails(setDoc(itemRef(db), newItem({ status: null })));
+
+    await assertSucceeds(setDoc(doc(db, getSettingsDocPath(ALICE, 'statuses')), toStatusSettings([{ name: 'Binge-reading', color: 'bg-pink-500' }])));
+    await assertSucceeds(setDoc(itemRef(db), newItem({ status: 'Binge-reading' })));
+  });
+
+  it("doesn't accept another user's custom statuses", async () => {
+    await seed([[getSettingsDocPath(BOB, 'statuses'), toStatusSettings([{ name: 'Binge-reading', color: 'bg-pink-500' }])]]);
+    await assertFails(setDoc(itemRef(aliceDb()), newItem({ status: 'Binge-reading' })));
+  });
+});
+
+describe('reading history', () => {
+  const historyRef = (db, userId = ALICE) => doc(db, getHistoryCollectionPath(userId, ITEM_ID), 'entry-1');
+  const entry = (overrides = {}) => ({
+    ...createHistoryEntry({ currentChapter: 3, status: Status.READING }, { currentChapter: 4, status: Status.READING }),
+    userId: ALICE,
+    itemId: ITEM_ID,
+    ...overrides,
+  });
+
+  it('lets the owner add entries in the same batch as the item', async () => {
+    const db = aliceDb();
+    const batch = writeBatch(db);
+    const item = newItem();
+    batch.set(itemRef(db), item);
+    batch.set(historyRef(db), { ...createHistoryEntry(null, item), userId: ALICE, itemId: ITEM_ID });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('rejects entries that point at another user or item', async () => {
+    await assertFails(setDoc(historyRef(aliceDb()), entry({ userId: BOB })));
+    await assertFails(setDoc(historyRef(aliceDb()), entry({ itemId: 'item-2' })));
+    await assertFails(setDoc(historyRef(bobDb()), entry()));
+  });
+
+  it('rejects malformed entries', async () => {
+    await assertFails(setDoc(historyRef(aliceDb()), entry({ toChapter: -1 })));
+    await assertFails(setDoc(historyRef(aliceDb()), entry({ timestamp: 'now' })));
+    await assertFails(setDoc(historyRef(aliceDb()), entry({ notes: 'extra field' })));
+  });
+
+  it('keeps entries append-only', async () => {
+    await seed([[`${getHistoryCollectionPath(ALICE, ITEM_ID)}/entry-1`, entry()]]);
+    await assertFails(updateDoc(historyRef(aliceDb()), { toChapter: 100 }));
+    await assertSucceeds(deleteDoc(historyRef(aliceDb())));
+  });
+
+  it('allows the stats query only for your own entries', async () => {
+    await seed([[`${getHistoryCollectionPath(ALICE, ITEM_ID)}/entry-1`, entry()]]);
+    await assertSucceeds(getDocs(query(collectionGroup(aliceDb(), 'history'), where('userId', '==', ALICE))));
+    await assertFails(getDocs(query(collectionGroup(bobDb(), 'history'), where('userId', '==', ALICE))));
+    await assertFails(getDocs(collectionGroup(aliceDb(), 'history')));
+  });
+});
+
+describe('settings', () => {
+  it('keeps settings private to their owner', async () => {
+    await seed([[getSettingsDocPath(ALICE, 'statuses'), toStatusSettings([])]]);
+    await assertSucceeds(getDoc(doc(aliceDb(), getSettingsDocPath(ALICE, 'statuses'))));
+    await assertFails(getDoc(doc(bobDb(), getSettingsDocPath(ALICE, 'statuses'))));
+    await assertFails(setDoc(doc(bobDb(), getSettingsDocPath(ALICE, 'publicProfile')), { enabled: true }));
+  });
+
+  it('requires the status name list next to the custom statuses', async () => {
+    const ref = doc(aliceDb(), getSettingsDocPath(ALICE, 'statuses'));
+    await assertFails(setDoc(ref, { customStatuses: [{ name: 'Binge-reading', color: 'bg-pink-500' }] }));
+    await assertSucceeds(setDoc(ref, toStatusSettings([{ name: 'Binge-reading', color: 'bg-pink-500' }])));
+  });
+
+  it('keeps the goals list within its limit', async () => {
+    const ref = doc(aliceDb(), getSettingsDocPath(ALICE, 'goals'));
+    const goal = createGoal({ type: 'readChapters', target: 20, period: 'week' });
+    await assertSucceeds(setDoc(ref, { goals: [goal] }));
+    await assertFails(setDoc(ref, { goals: Array.from({ length: 11 }, () => goal) }));
+    await assertFails(setDoc(ref, { goals: goal }));
+  });
+});
+
+describe('restoring a backup', () => {
+  it('restores custom-status titles and their history into a fresh account', async () => {
+    const customStatuses = [{ name: 'Binge-reading', color: 'bg-pink-500' }];
+    const item = { id: ITEM_ID, ...newItem({ status: 'Binge-reading', currentChapter: 4 }) };
+    const entry = { id: 'entry-1', itemId: ITEM_ID, ...createHistoryEntry(null, item) };
+    const goal = createGoal({ type: 'readChapters', target: 20, period: 'week' });
+    const backup = parseJsonBackup(buildJsonBackup([item], [{ ...entry, userId: ALICE }], { customStatuses, goals: [goal] }));
+
+    // Bob has nothing yet, so the custom status is unknown until the settings are back
+    const db = bobDb();
+    const repository = createFirestoreTrackingRepository(db, BOB);
+    await assertFails(repository.importItems(backup.items).write);
+
+    // The same order as handleRestoreBackup in App.jsx
+    await assertSucceeds(setDoc(doc(db, getSettingsDocPath(BOB, 'statuses')), toStatusSettings(mergeCustomStatuses([], backup.settings.customStatuses))));
+    await assertSucceeds(setDoc(doc(db, getSettingsDocPath(BOB, 'goals')), { goals: mergeGoals([], backup.settings.goals) }));
+    await assertSucceeds(repository.importItems(backup.items).write);
+    await assertSucceeds(repository.importHistory(backup.history));
+
+    const restored = await getDoc(itemRef(db, BOB));
+    expect(restored.data()).toMatchObject({ title: item.title, status: 'Binge-reading', currentChapter: 4 });
+    const historySnapshot = await getDoc(doc(db, getHistoryCollectionPath(BOB, ITEM_ID), 'entry-1'));
+    expect(historySnapshot.data()).toMatchObject({ userId: BOB, itemId: ITEM_ID, toStatus: 'Binge-reading' });
+  });
+});
+
+describe('public profiles', () => {
+  const SLUG = 'alice-reads';
+  const profile = (overrides = {}) => ({
+    ownerId: ALICE,
+    displayName: 'Alice',
+    statuses: [Status.READING],
+    showRatings: true,
+    itemCount: 1,
+    updatedAt: Date.now(),
+    ...overrides,
+  });
+  const publicItemRef = (db) => doc(db, getPublicProfileItemsPath(SLUG), ITEM_ID);
+  // Only titles in one of the profile's statuses are published
+  const publicItem = (overrides = {}) => toPublicItem(newItem({ status: Status.READING, ...overrides }), { showRatings: true });
+
+  it('lets the owner publish the profile and its items in one batch', async () => {
+    const db = aliceDb();
+    const batch = writeBatch(db);
+    batch.set(doc(db, getPublicProfileDocPath(SLUG)), profile());
+    batch.set(publicItemRef(db), publicItem({ notes: 'private', tags: ['secret'] }));
+    await assertSucceeds(batch.commit());
+  });
+
+  it('lets anyone read a published profile, signed in or not', async () => {
+    await seed([
+      [getPublicProfileDocPath(SLUG), profile()],
+      [`${getPublicProfileItemsPath(SLUG)}/${ITEM_ID}`, publicItem()],
+    ]);
+    await assertSucceeds(getDoc(doc(guestDb(), getPublicProfileDocPath(SLUG))));
+    await assertSucceeds(getDocs(collection(guestDb(), getPublicProfileItemsPath(SLUG))));
+    await assertSucceeds(getDoc(publicItemRef(bobDb())));
+  });
+
+  it("doesn't allow listing every profile", async () => {
+    await assertFails(getDocs(doc(guestDb(), getPublicProfileDocPath(SLUG)).parent));
+  });
+
+  it('keeps publicItemFields() in the rules in step with PUBLIC_ITEM_FIELDS', async () => {
+    const [, listed] = RULES.match(/function publicItemFields\(\) \{\s*return \[([^\]]*)\]/);
+    expect(listed.split(',').map(field => field.trim().replace(/'/g, '')).sort()).toEqual([...PUBLIC_ITEM_FIELDS].sort());
+
+    // Every public field at once, so a field the rules drop fails the write
+    await seed([[getPublicProfileDocPath(SLUG), profile()]]);
+    const item = publicItem({ rating: 8 });
+    expect(Object.keys(item).sort()).toEqual([...PUBLIC_ITEM_FIELDS].sort());
+    await assertSucceeds(setDoc(publicItemRef(aliceDb()), item));
+  });
+
+  it('checks the types of the profile fields', async () => {
+    const ref = doc(aliceDb(), getPublicProfileDocPath(SLUG));
+    await assertFails(setDoc(ref, profile({ itemCount: '12' })));
+    await assertFails(setDoc(ref, profile({ itemCount: -1 })));
+    await assertFails(setDoc(ref, profile({ updatedAt: 'yesterday' })));
+    await assertSucceeds(setDoc(ref, profile()));
+  });
+
+  it('checks the types of public item fields and only takes published statuses', async () => {
+    await seed([[getPublicProfileDocPath(SLUG), profile()]]);
+    const ref = publicItemRef(aliceDb());
+    await assertFails(setDoc(ref, publicItem({ currentChapter: 'lots' })));
+    await assertFails(setDoc(ref, publicItem({ totalVolumes: -3 })));
+    await assertFails(setDoc(ref, publicItem({ rating: 11 })));
+    await assertFails(setDoc(ref, publicItem({ lastUpdated: 'today' })));
+    await assertFails(setDoc(ref, publicItem({ imageUrl: { src: 'x' } })));
+    await assertFails(setDoc(ref, publicItem({ progressUnit: 'pages' })));
+    await assertFails(setDoc(ref, publicItem({ status: Status.DROPPED })));
+    await assertSucceeds(setDoc(ref, publicItem()));
+  });
+
+  it('never accepts notes or tags on a public item', async () => {
+    await seed([[getPublicProfileDocPath(SLUG), profile()]]);
+    await assertFails(setDoc(publicItemRef(aliceDb()), { ...publicItem(), notes: 'private' }));
+    await assertFails(setDoc(publicItemRef(aliceDb()), { ...publicItem(), tags: ['secret'] }));
+  });
+
+  it("keeps other users from taking over or writing to someone's profile", async () => {
+    await seed([[getPublicProfileDocPath(SLUG), profile()]]);
+    await assertFails(setDoc(doc(bobDb(), getPublicProfileDocPath(SLUG)), profile({ ownerId: BOB })));
+    await assertFails(deleteDoc(doc(bobDb(), getPublicProfileDocPath(SLUG))));
+    await assertFails(setDoc(publicItemRef(bobDb()), publicItem()));
+  });
+
+  it('rejects a profile claiming another owner', async () => {
+    await assertFails(setDoc(doc(bobDb(), getPublicProfileDocPath('bob-reads')), profile()));
+  });
+});
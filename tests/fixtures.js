@@ -0,0 +1,54 @@
+import { Status } from '../src/constants';
+import { createCustomItem } from '../src/utils/customTitles';
+
+// --- SHARED TEST FIXTURES ---
+
+// A fixed clock, so timestamps in expectations don't depend on when tests run
+export const NOW = 1_700_000_000_000;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local noon on a date, so day boundaries don't depend on the machine's time zone
+ */
+export const atNoon = (year, month, day) => new Date(year, month - 1, day, 12).getTime();
+
+/**
+ * A title as the add form builds it, before it has an id
+ */
+export const newItem = (overrides = {}) => ({ ...createCustomItem({ title: 'Solo Leveling', totalChapters: 10 }), ...overrides });
+
+/**
+ * A Jikan title already in the library, halfway through
+ */
+export const trackedItem = (overrides = {}) => ({
+  id: 'item-1',
+  provider: 'jikan',
+  providerId: '1',
+  apiId: 1,
+  title: 'Berserk',
+  type: 'Manga',
+  status: Status.READING,
+  currentChapter: 5,
+  totalChapters: 10,
+  imageUrl: '',
+  publishingStatus: 'Publishing',
+  rating: 0,
+  notes: '',
+  tags: ['dark'],
+  rereadCount: 0,
+  lastUpdated: 0,
+  ...overrides,
+});
+
+/**
+ * A reading history entry for a chapter bump on item-1
+ */
+export const historyEntry = (overrides = {}) => ({
+  itemId: 'item-1',
+  timestamp: NOW,
+  fromChapter: 4,
+  toChapter: 5,
+  fromStatus: Status.READING,
+  toStatus: Status.READING,
+  ...overrides,
+});
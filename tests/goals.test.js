@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { computeGoalProgress, computeReadingStreak, createGoal } from '../src/utils/goals';
+import { atNoon as at, historyEntry } from './fixtures';
+
+// --- READING GOALS & STREAKS ---
+
+const NOW = at(2026, 10, 14); // a Wednesday
+
+const read = (timestamp, fromChapter, toChapter) => historyEntry({ timestamp, fromChapter, toChapter });
+const completed = (timestamp, itemId, fromStatus = Status.READING) => historyEntry({
+  itemId, timestamp, fromChapter: 9, toChapter: 10, fromStatus, toStatus: Status.COMPLETED,
+});
+
+describe('goals', () => {
+  it('validates the add-goal form', () => {
+    expect(createGoal({ type: 'readChapters', target: '20', period: 'week' })).toMatchObject({ type: 'readChapters', target: 20, period: 'week' });
+    expect(() => createGoal({ type: 'readChapters', target: '0', period: 'week' })).toThrow('at least 1');
+    expect(() => createGoal({ type: 'readPages', target: 5, period: 'week' })).toThrow('Unknown goal type');
+  });
+
+  it("counts this year's completed series once each", () => {
+    const goal = { id: 'g', type: 'completeSeries', target: 50, period: 'year' };
+    const history = [
+      completed(at(2026, 2, 1), 'a'),
+      completed(at(2026, 6, 1), 'a', Status.REREADING), // a re-read of the same series
+      completed(at(2026, 9, 1), 'b'),
+      completed(at(2025, 12, 31), 'c'), // last year
+      { ...completed(at(2026, 3, 1), 'd'), fromStatus: null }, // added as Completed
+    ];
+    expect(computeGoalProgress(goal, history, NOW)).toMatchObject({ current: 2, target: 50, isMet: false, label: 'Complete series: 50 in 2026' });
+  });
+
+  it('sums chapters read this week, ignoring corrections', () => {
+    const goal = { id: 'g', type: 'readChapters', target: 5, period: 'week' };
+    const history = [
+      read(at(2026, 10, 12), 3, 6), // Monday
+      read(at(2026, 10, 13), 6, 4), // went back
+      read(at(2026, 10, 14), 4, 6.5),
+      read(at(2026, 10, 11), 0, 3), // last Sunday
+    ];
+    expect(computeGoalProgress(goal, history, NOW)).toMatchObject({ current: 5.5, isMet: true, percent: 100 });
+  });
+});
+
+describe('reading streaks', () => {
+  it('counts consecutive days with reading up to today', () => {
+    const history = [read(at(2026, 10, 12), 1, 2), read(at(2026, 10, 13), 2, 3), read(at(2026, 10, 14), 3, 4)];
+    expect(computeReadingStreak(history, NOW)).toEqual({ current: 3, longest: 3, readToday: true });
+  });
+
+  it('keeps the streak alive until the end of today', () => {
+    const history = [read(at(2026, 10, 12), 1, 2), read(at(2026, 10, 13), 2, 3)];
+    expect(computeReadingStreak(history, NOW)).toEqual({ current: 2, longest: 2, readToday: false });
+  });
+
+  it('resets after a missed day but remembers the longest streak', () => {
+    const history = [
+      read(at(2026, 10, 1), 1, 2), read(at(2026, 10, 2), 2, 3), read(at(2026, 10, 3), 3, 4),
+      read(at(2026, 10, 12), 4, 5),
+      read(at(2026, 10, 13), 5, 4), // going back isn't reading
+    ];
+    expect(computeReadingStreak(history, NOW)).toEqual({ current: 0, longest: 3, readToday: false });
+  });
+
+  it('counts volumes read for volume-tracked titles', () => {
+    const history = [{ ...read(at(2026, 10, 14), 4, 4), fromVolume: 1, toVolume: 2 }];
+    expect(computeReadingStreak(history, NOW).current).toBe(1);
+  });
+});
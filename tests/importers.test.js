@@ -0,0 +1,106 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { buildImportPreview, detectImportFormat, parseAniListJson, parseMalXml } from '../src/utils/importers';
+
+// --- LIST IMPORT (jsdom for the DOMParser the MAL parser uses) ---
+
+const aniListExport = (scoreFormat, scores) => JSON.stringify({
+  data: {
+    MediaListCollection: {
+      user: scoreFormat ? { mediaListOptions: { scoreFormat } } : undefined,
+      lists: [{
+        entries: scores.map((score, index) => ({
+          status: 'CURRENT',
+          score,
+          progress: 3,
+          media: { idMal: index + 1, type: 'MANGA', title: { romaji: `Title ${index + 1}` } },
+        })),
+      }],
+    },
+  },
+});
+
+const ratings = (text) => parseAniListJson(text).entries.map(({ rating }) => rating);
+
+describe('AniList scores', () => {
+  it('scales each score format to 0-10', () => {
+    expect(ratings(aniListExport('POINT_100', [85, 100]))).toEqual([9, 10]);
+    expect(ratings(aniListExport('POINT_10_DECIMAL', [7.5, 10]))).toEqual([8, 10]);
+    expect(ratings(aniListExport('POINT_5', [5, 3]))).toEqual([10, 6]);
+    expect(ratings(aniListExport('POINT_3', [3, 2, 1]))).toEqual([10, 7, 3]);
+  });
+
+  it('guesses the format when the export does not say', () => {
+    expect(ratings(aniListExport(null, [80, 8]))).toEqual([8, 8]);
+  });
+});
+
+const malEntry = ({ id, title, status, chapters = 0 }) => `
+  <manga>
+    <manga_mangadb_id>${id}</manga_mangadb_id>
+    <manga_title><![CDATA[${title}]]></manga_title>
+    <manga_chapters>${chapters}</manga_chapters>
+    <my_read_chapters>3</my_read_chapters>
+    <my_score>8</my_score>
+    <my_status>${status}</my_status>
+    <my_tags><![CDATA[Dark, seinen]]></my_tags>
+  </manga>`;
+
+const malExport = (entries) => `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+  <myinfo><user_export_type>2</user_export_type></myinfo>${entries.map(malEntry).join('')}
+</myanimelist>`;
+
+describe('MyAnimeList XML', () => {
+  it('maps text and numeric status codes', () => {
+    const { entries } = parseMalXml(malExport([
+      { id: 1, title: 'Berserk', status: 'Reading', chapters: 380 },
+      { id: 2, title: 'Vagabond', status: 'On-Hold' },
+      { id: 3, title: 'Monster', status: '2' },
+      { id: 4, title: 'Pluto', status: '6' },
+      { id: 5, title: 'Akira', status: '4' },
+    ]));
+    expect(entries.map(({ status }) => status)).toEqual([Status.READING, Status.ON_HOLD, Status.COMPLETED, Status.PLAN_TO_READ, Status.DROPPED]);
+    expect(entries[0]).toMatchObject({ provider: 'jikan', providerId: '1', apiId: 1, title: 'Berserk', currentChapter: 3, totalChapters: 380, rating: 8, tags: ['dark', 'seinen'] });
+  });
+
+  it('skips entries without a MyAnimeList id', () => {
+    const { entries, skipped } = parseMalXml(malExport([
+      { id: 0, title: 'Doujin', status: 'Reading' },
+      { id: 2, title: 'Vagabond', status: 'Reading' },
+    ]));
+    expect(entries.map(({ apiId }) => apiId)).toEqual([2]);
+    expect(skipped).toEqual([{ title: 'Doujin', reason: 'Missing MyAnimeList ID' }]);
+  });
+
+  it('rejects files that are not a MAL export', () => {
+    expect(() => parseMalXml('<myanimelist><manga>')).toThrow('not valid XML');
+    expect(() => parseMalXml('<library></library>')).toThrow('does not look like a MyAnimeList export');
+  });
+});
+
+describe('import format', () => {
+  it('goes by the file name, then the content', () => {
+    expect(detectImportFormat('list.xml', '')).toBe('mal');
+    expect(detectImportFormat('list.json', '')).toBe('anilist');
+    expect(detectImportFormat('export', '  <?xml version="1.0"?>')).toBe('mal');
+    expect(detectImportFormat('export', '{"data": {}}')).toBe('anilist');
+    expect(detectImportFormat('export', '[]')).toBe('anilist');
+    expect(detectImportFormat('notes.txt', 'hello')).toBeNull();
+  });
+});
+
+describe('import preview', () => {
+  it('holds back titles already tracked and repeats within the file', () => {
+    const entry = (apiId) => ({ apiId, title: `Title ${apiId}` });
+    const existing = { id: 'item-1', apiId: 1, title: 'Title 1' };
+    const { newItems, conflicts } = buildImportPreview([entry(1), entry(2), entry(2), entry(3)], [existing]);
+
+    expect(newItems.map(({ apiId }) => apiId)).toEqual([2, 3]);
+    expect(conflicts).toEqual([
+      { entry: entry(1), existing, reason: 'Already tracked' },
+      { entry: entry(2), existing: null, reason: 'Duplicate entry in file' },
+    ]);
+  });
+});
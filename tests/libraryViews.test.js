@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { getDefaultSortDir, sortItems } from '../src/utils/librarySort';
+import { getVisibleRange } from '../src/utils/virtualRows';
+import { readLibraryQuery } from '../src/utils/routes';
+
+// --- LIST & TABLE LAYOUTS ---
+
+const item = (id, fields) => ({ id, title: id, type: 'Manga', status: 'Reading', rating: 0, lastUpdated: 0, currentChapter: 0, currentVolume: 0, ...fields });
+
+describe('library sorting', () => {
+  const items = [
+    item('Berserk', { type: 'Manga', status: 'Completed', currentChapter: 364, rating: 10 }),
+    item('solo leveling', { type: 'Manhwa', status: 'Reading', currentChapter: 200, rating: 9 }),
+    item('Vagabond', { type: 'Manga', status: 'On Hold', progressUnit: 'volume', currentChapter: 327, currentVolume: 37 }),
+  ];
+  const ids = (sorted) => sorted.map(({ id }) => id);
+
+  it('sorts text case-insensitively, keeping ties in order', () => {
+    expect(ids(sortItems(items, 'title', 'asc'))).toEqual(['Berserk', 'solo leveling', 'Vagabond']);
+    expect(ids(sortItems(items, 'type', 'asc'))).toEqual(['Berserk', 'Vagabond', 'solo leveling']);
+  });
+
+  it('sorts statuses by their place in the status list, unknown ones last', () => {
+    expect(ids(sortItems(items, 'status', 'asc', ['Reading', 'Completed']))).toEqual(['solo leveling', 'Berserk', 'Vagabond']);
+  });
+
+  it('sorts progress by each item\'s own unit', () => {
+    expect(ids(sortItems(items, 'progress', 'desc'))).toEqual(['Berserk', 'solo leveling', 'Vagabond']);
+  });
+
+  it('starts text columns A→Z and the rest highest first', () => {
+    expect(getDefaultSortDir('title')).toBe('asc');
+    expect(getDefaultSortDir('rating')).toBe('desc');
+  });
+
+  it('accepts the new sort fields in the URL', () => {
+    expect(readLibraryQuery({ sort: 'progress' }).sort).toBe('progress');
+    expect(readLibraryQuery({ sort: 'nonsense' }).sort).toBe('lastUpdated');
+  });
+});
+
+describe('windowed rows', () => {
+  it('renders the rows in view plus the overscan, clamped to the list', () => {
+    expect(getVisibleRange({ scrollTop: 480, viewportHeight: 480, rowHeight: 48, count: 1000, overscan: 5 }))
+      .toEqual({ start: 5, end: 25 });
+    expect(getVisibleRange({ scrollTop: 47_000, viewportHeight: 2000, rowHeight: 48, count: 1000, overscan: 5 }))
+      .toEqual({ start: 974, end: 1000 });
+  });
+
+  it('starts at the top while the list is still below the viewport', () => {
+    expect(getVisibleRange({ scrollTop: -300, viewportHeight: 800, rowHeight: 50, count: 100 })).toEqual({ start: 0, end: 10 });
+    expect(getVisibleRange({ scrollTop: -900, viewportHeight: 800, rowHeight: 50, count: 100 })).toEqual({ start: 0, end: 0 });
+    expect(getVisibleRange({ scrollTop: 0, viewportHeight: 800, rowHeight: 50, count: 0 })).toEqual({ start: 0, end: 0 });
+  });
+});
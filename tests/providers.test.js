@@ -0,0 +1,133 @@
+import { describe, expect, it, vi } from 'vitest';
+import { MANGADEX_COVER_URL } from '../src/constants';
+import { createItemFromTitle, getItemKeys, isSameTitle } from '../src/providers';
+import { createAniListProvider } from '../src/providers/anilistProvider';
+import { createMangaDexProvider } from '../src/providers/mangadexProvider';
+import { createMemoryCache } from '../src/utils/responseCache';
+
+// --- METADATA PROVIDERS (AniList and MangaDex with a mocked fetch) ---
+
+const jsonResponse = (body) => ({ ok: true, status: 200, statusText: 'OK', headers: new Map(), json: async () => body });
+
+const withFetch = (createProvider, body) => {
+  const fetchFn = vi.fn(async () => jsonResponse(body));
+  return { fetchFn, provider: createProvider({ fetchFn, cache: createMemoryCache(), sleep: async () => {} }) };
+};
+
+// Trimmed from real responses
+const ANILIST_MEDIA = {
+  id: 30002,
+  idMal: 2,
+  title: { romaji: 'Berserk', english: null },
+  format: 'MANGA',
+  status: 'RELEASING',
+  chapters: null,
+  volumes: null,
+  countryOfOrigin: 'JP',
+  averageScore: 93,
+  coverImage: { large: 'https://s4.anilist.co/file/anilistcdn/media/manga/cover/large/bx30002.jpg' },
+};
+
+const MANGADEX_MANGA = {
+  id: 'd1a9fdeb-f713-407f-960c-8326b586e6fd',
+  type: 'manga',
+  attributes: {
+    title: { 'ja-ro': 'Vagabond' },
+    altTitles: [{ ja: 'バガボンド' }, { en: 'Vagabond' }],
+    originalLanguage: 'ja',
+    status: 'hiatus',
+    lastChapter: '327',
+    lastVolume: '37',
+    links: { mal: '656', al: '30656' },
+  },
+  relationships: [
+    { id: 'a1', type: 'author' },
+    { id: 'c1', type: 'cover_art', attributes: { fileName: 'cover.jpg' } },
+  ],
+};
+
+describe('AniList provider', () => {
+  it('maps search results onto ProviderTitle', async () => {
+    const { fetchFn, provider } = withFetch(createAniListProvider, {
+      data: {
+        Page: {
+          pageInfo: { hasNextPage: true },
+          media: [ANILIST_MEDIA, { ...ANILIST_MEDIA, id: 1, idMal: null, countryOfOrigin: 'KR', format: 'MANGA', title: { english: 'Solo Leveling' }, averageScore: null }],
+        },
+      },
+    });
+
+    const { results, hasNextPage } = await provider.search('berserk');
+    expect(hasNextPage).toBe(true);
+    expect(results[0]).toEqual({
+      provider: 'anilist',
+      providerId: '30002',
+      malId: 2,
+      title: 'Berserk',
+      type: 'Manga',
+      publishingStatus: 'Publishing',
+      chapters: 0,
+      volumes: 0,
+      imageUrl: ANILIST_MEDIA.coverImage.large,
+      score: 9.3,
+    });
+    expect(results[1]).toMatchObject({ malId: null, title: 'Solo Leveling', type: 'Manhwa', score: null });
+
+    const [, init] = fetchFn.mock.calls[0];
+    expect(JSON.parse(init.body).variables).toEqual({ search: 'berserk', page: 1, perPage: 15 });
+  });
+
+  it('reports GraphQL errors', async () => {
+    const { provider } = withFetch(createAniListProvider, { data: null, errors: [{ message: 'Not Found.' }] });
+    await expect(provider.getById('1')).rejects.toThrow('AniList: Not Found.');
+  });
+});
+
+describe('MangaDex provider', () => {
+  it('maps a manga onto ProviderTitle', async () => {
+    const { provider } = withFetch(createMangaDexProvider, { result: 'ok', data: MANGADEX_MANGA });
+
+    expect(await provider.getById(MANGADEX_MANGA.id)).toEqual({
+      provider: 'mangadex',
+      providerId: MANGADEX_MANGA.id,
+      malId: 656,
+      title: 'Vagabond',
+      type: 'Manga',
+      publishingStatus: 'On Hiatus',
+      chapters: 327,
+      volumes: 37,
+      imageUrl: `${MANGADEX_COVER_URL}/${MANGADEX_MANGA.id}/cover.jpg.256.jpg`,
+      score: null,
+    });
+  });
+
+  it('pages search results by offset', async () => {
+    const korean = { ...MANGADEX_MANGA, id: 'm2', attributes: { title: { ko: '나 혼자만 레벨업' }, originalLanguage: 'ko', status: 'completed' }, relationships: [] };
+    const { fetchFn, provider } = withFetch(createMangaDexProvider, { data: [korean], limit: 15, offset: 15, total: 40 });
+
+    const { results, hasNextPage } = await provider.search('solo', { page: 2 });
+    expect(hasNextPage).toBe(true);
+    expect(results[0]).toMatchObject({ malId: null, title: '나 혼자만 레벨업', type: 'Manhwa', publishingStatus: 'Finished', chapters: 0, imageUrl: '' });
+    expect(fetchFn.mock.calls[0][0]).toContain('offset=15');
+  });
+});
+
+describe('duplicate titles', () => {
+  const anilistBerserk = { provider: 'anilist', providerId: '30002', malId: 2 };
+  const jikanBerserk = { provider: 'jikan', providerId: '2', malId: 2 };
+
+  it('matches the same series across providers by its MAL id', () => {
+    const tracked = createItemFromTitle({ ...anilistBerserk, title: 'Berserk' });
+    expect(isSameTitle(tracked, jikanBerserk)).toBe(true);
+    expect(isSameTitle(tracked, anilistBerserk)).toBe(true);
+    expect(isSameTitle(tracked, { provider: 'jikan', providerId: '3', malId: 3 })).toBe(false);
+  });
+
+  it('falls back to the provider id when no MAL id is known', () => {
+    const tracked = createItemFromTitle({ provider: 'mangadex', providerId: 'm2', malId: null, title: 'Solo Leveling' });
+    expect(getItemKeys(tracked)).toEqual(['mangadex:m2']);
+    expect(isSameTitle(tracked, { provider: 'anilist', providerId: '1', malId: null })).toBe(false);
+    // Items from before providers existed are Jikan items
+    expect(getItemKeys({ apiId: 2 })).toEqual(['jikan:2', 'mal:2']);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { fetchRecommendations, selectFavourites } from '../src/utils/recommendations';
+
+// --- "FOR YOU" RECOMMENDATIONS ---
+
+const item = (apiId, rating, title = `Title ${apiId}`) => ({ id: `item-${apiId}`, apiId, rating, title, lastUpdated: 0 });
+const genres = (...names) => names.map((name, index) => ({ mal_id: index, name }));
+const recommend = (...ids) => ids.map(id => ({ entry: { mal_id: id, title: `Title ${id}` }, votes: 1 }));
+
+/**
+ * A Jikan client answering from fixtures, keeping count of the requests
+ */
+const createFakeClient = ({ details, recommendations }) => {
+  const requests = [];
+  return {
+    requests,
+    async getById(malId) {
+      requests.push(`manga/${malId}`);
+      if (!details[malId]) throw new Error('Not found');
+      return { mal_id: malId, title: `Title ${malId}`, ...details[malId] };
+    },
+    async getRecommendations(malId) {
+      requests.push(`recommendations/${malId}`);
+      return recommendations[malId] || [];
+    },
+  };
+};
+
+describe('favourites', () => {
+  it('picks the highest-rated titles that have a MAL id', () => {
+    const items = [item(1, 8), item(2, 10), item(3, 6), { ...item(null, 10), isCustom: true }];
+    expect(selectFavourites(items).map(({ apiId }) => apiId)).toEqual([2, 1]);
+  });
+});
+
+describe('fetchRecommendations', () => {
+  const client = createFakeClient({
+    details: {
+      1: { genres: genres('Action', 'Fantasy') },
+      2: { genres: genres('Action', 'Drama') },
+      10: { genres: genres('Action') },
+      11: { genres: genres('Romance') },
+      12: { genres: genres('Action', 'Fantasy'), type: 'Manhwa' },
+    },
+    recommendations: {
+      1: recommend(10, 11, 12, 2),
+      2: recommend(10, 13),
+    },
+  });
+
+  it('ranks titles recommended by more favourites, then by shared genres', async () => {
+    const { recommendations, failed } = await fetchRecommendations([item(1, 9), item(2, 8)], { client });
+
+    expect(recommendations.map(({ title }) => title.malId)).toEqual([10, 12, 11, 13]);
+    expect(recommendations[0]).toMatchObject({ recommendedBy: ['Title 1', 'Title 2'], sharedGenres: ['Action'] });
+    expect(recommendations[1]).toMatchObject({ sharedGenres: ['Action', 'Fantasy'], title: { provider: 'jikan', type: 'Manhwa' } });
+    // 13 has no details, so it only scores for its recommender
+    expect(failed).toBe(1);
+  });
+
+  it('leaves out anything already tracked, trash included', async () => {
+    const trashed = { ...item(12, 0), deletedAt: 1 };
+    const { recommendations } = await fetchRecommendations([item(1, 9), item(2, 8)], {
+      client,
+      trackedItems: [item(1, 9), item(2, 8), item(11, 0), trashed],
+    });
+    expect(recommendations.map(({ title }) => title.malId)).toEqual([10, 13]);
+  });
+
+  it('asks for nothing without favourites', async () => {
+    const emptyClient = createFakeClient({ details: {}, recommendations: {} });
+    const { recommendations } = await fetchRecommendations([item(1, 5)], { client: emptyClient });
+    expect(recommendations).toEqual([]);
+    expect(emptyClient.requests).toEqual([]);
+  });
+});
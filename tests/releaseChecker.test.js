@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Status } from '../src/constants';
+import { createProviderRegistry } from '../src/providers';
+import { createJikanProvider } from '../src/providers/jikanProvider';
+import { createJikanClient } from '../src/utils/jikanClient';
+import { createMemoryCache } from '../src/utils/responseCache';
+import { RELEASE_CHECK_INTERVAL, checkForReleases, getUnreadCount } from '../src/utils/releaseChecker';
+import { NOW } from './fixtures';
+
+// --- NEW-CHAPTER RELEASE CHECKS (Jikan with a mocked fetch) ---
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 404 ? 'Not Found' : 'OK',
+  headers: new Map(),
+  json: async () => body,
+});
+
+/**
+ * A provider registry whose Jikan client answers from `mangaById` (404 for the rest)
+ */
+const createProviders = (mangaById) => {
+  const fetchFn = vi.fn(async (url) => {
+    const malId = Number(url.match(/\/manga\/(\d+)/)[1]);
+    return mangaById[malId] ? jsonResponse(200, { data: { mal_id: malId, ...mangaById[malId] } }) : jsonResponse(404, {});
+  });
+  const client = createJikanClient({ fetchFn, cache: createMemoryCache(), sleep: async () => {} });
+  return { fetchFn, providers: createProviderRegistry([createJikanProvider({ client })]) };
+};
+
+const item = (apiId, fields) => ({ id: `item-${apiId}`, apiId, title: `Title ${apiId}`, status: Status.READING, currentChapter: 0, totalChapters: 0, ...fields });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('unread count', () => {
+  it('counts released chapters (or volumes) past the current one', () => {
+    expect(getUnreadCount(item(1, { currentChapter: 98, totalChapters: 105 }))).toBe(7);
+    expect(getUnreadCount(item(1, { currentChapter: 10.5, totalChapters: 12 }))).toBe(2);
+    expect(getUnreadCount(item(1, { currentChapter: 20, totalChapters: 0 }))).toBe(0);
+    expect(getUnreadCount(item(1, { progressUnit: 'volume', currentVolume: 3, totalVolumes: 5, totalChapters: 90 }))).toBe(2);
+  });
+});
+
+describe('checkForReleases', () => {
+  it('saves new totals and carries on past a failed title', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { providers, fetchFn } = createProviders({
+      1: { chapters: 105, volumes: 12, status: 'Publishing' },
+      3: { chapters: 50, status: 'Publishing' },
+    });
+    const items = [
+      item(1, { currentChapter: 98, totalChapters: 100, totalVolumes: 11 }),
+      item(2, { currentChapter: 5, totalChapters: 10 }), // 404s
+      item(3, { currentChapter: 50, totalChapters: 50 }),
+    ];
+    const onUpdate = vi.fn();
+
+    const result = await checkForReleases(items, { onUpdate, providers, now: NOW });
+
+    expect(result).toEqual({ checked: 2, updated: 1, failed: 1 });
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+    expect(onUpdate).toHaveBeenCalledWith(items[0], expect.objectContaining({ totalChapters: 105, totalVolumes: 12, publishingStatus: 'Publishing' }));
+    expect(onUpdate.mock.calls[1][1]).not.toHaveProperty('totalChapters');
+    expect(getUnreadCount({ ...items[0], ...onUpdate.mock.calls[0][1] })).toBe(7);
+  });
+
+  it('only checks active, provider-backed titles that are due', async () => {
+    const { providers, fetchFn } = createProviders({ 1: { chapters: 10 } });
+    const items = [
+      item(1, {}),
+      item(2, { releaseCheckedAt: NOW - RELEASE_CHECK_INTERVAL / 2 }), // checked recently
+      item(3, { status: Status.COMPLETED }),
+      { ...item(4, {}), isCustom: true, apiId: null },
+    ];
+
+    const result = await checkForReleases(items, { onUpdate: () => {}, providers, now: NOW });
+    expect(result).toEqual({ checked: 1, updated: 1, failed: 0 });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { parseRoute, titlePath } from '../src/utils/routes';
+
+// --- HASH ROUTES ---
+
+describe('parseRoute', () => {
+  it('reads routes with their params and query', () => {
+    expect(parseRoute('#/title/item-1/edit')).toEqual({ name: 'titleEdit', params: { itemId: 'item-1' }, query: {} });
+    expect(parseRoute('#/?status=Reading&q=solo')).toEqual({ name: 'library', params: {}, query: { status: 'Reading', q: 'solo' } });
+    expect(parseRoute('')).toMatchObject({ name: 'library' });
+  });
+
+  it('round-trips ids that need encoding', () => {
+    expect(parseRoute(titlePath('a/b c%')).params).toEqual({ itemId: 'a/b c%' });
+  });
+
+  it('opens the library for a malformed link instead of throwing', () => {
+    expect(parseRoute('#/title/%E0')).toEqual({ name: 'library', params: {}, query: {} });
+    expect(parseRoute('#/u/%?status=Reading')).toEqual({ name: 'library', params: {}, query: { status: 'Reading' } });
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { computeLibraryStats } from '../src/utils/stats';
+import { trackedItem } from './fixtures';
+
+// --- LIBRARY STATISTICS ---
+
+describe('computeLibraryStats', () => {
+  it('counts progress in each title\'s own unit', () => {
+    const stats = computeLibraryStats([
+      trackedItem({ id: 'a', currentChapter: 12 }),
+      trackedItem({ id: 'b', currentChapter: 3.5, progressUnit: 'chapter' }),
+      // Chapters are only a rough number for volume-tracked titles, so they're left out
+      trackedItem({ id: 'c', progressUnit: 'volume', currentVolume: 4, currentChapter: 40 }),
+      trackedItem({ id: 'd', progressUnit: 'volume', currentVolume: 2 }),
+    ]);
+    expect(stats).toMatchObject({ total: 4, chaptersRead: 15.5, volumesRead: 6 });
+  });
+
+  it('measures completion against started titles only', () => {
+    const stats = computeLibraryStats([
+      trackedItem({ id: 'a', status: Status.COMPLETED, rating: 8 }),
+      trackedItem({ id: 'b', status: Status.READING, rating: 6 }),
+      trackedItem({ id: 'c', status: Status.PLAN_TO_READ }),
+    ]);
+    expect(stats).toMatchObject({ completionRate: 0.5, ratedCount: 2, averageRating: 7 });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { applyStatusTransition } from '../src/utils/statusMachine';
+
+// --- STATUS TRANSITIONS ---
+
+const item = (status, currentChapter, totalChapters = 100, extra = {}) => ({ status, currentChapter, totalChapters, rereadCount: 0, ...extra });
+const bump = (previous, currentChapter) => applyStatusTransition(previous, { currentChapter }, 'progress');
+const edit = (previous, changes) => applyStatusTransition(previous, { ...previous, ...changes }, 'edit');
+
+describe('progress changes', () => {
+  it('starts Plan to Read titles once a chapter is read', () => {
+    expect(bump(item(Status.PLAN_TO_READ, 0), 1).status).toBe(Status.READING);
+    expect(bump(item(Status.PLAN_TO_READ, 0, 0), 0).status).toBe(Status.PLAN_TO_READ);
+  });
+
+  it('completes a Plan to Read title that jumps straight to the total', () => {
+    expect(bump(item(Status.PLAN_TO_READ, 0), 100)).toEqual({ status: Status.COMPLETED, currentChapter: 100, rereadCount: 0 });
+  });
+
+  it('completes Reading titles at the total and sends them back to Plan to Read at 0', () => {
+    expect(bump(item(Status.READING, 99), 100).status).toBe(Status.COMPLETED);
+    expect(bump(item(Status.READING, 1), 0).status).toBe(Status.PLAN_TO_READ);
+    expect(bump(item(Status.READING, 10), 11).status).toBe(Status.READING);
+  });
+
+  it('resumes On Hold titles only when moving forward', () => {
+    expect(bump(item(Status.ON_HOLD, 10), 11).status).toBe(Status.READING);
+    expect(bump(item(Status.ON_HOLD, 10), 9).status).toBe(Status.ON_HOLD);
+  });
+
+  it('reopens a Completed title when going back below the total', () => {
+    expect(bump(item(Status.COMPLETED, 100), 99).status).toBe(Status.READING);
+    expect(bump(item(Status.COMPLETED, 100, 0), 101).status).toBe(Status.COMPLETED);
+  });
+
+  it('keeps Dropped titles dropped until the total is reached', () => {
+    expect(bump(item(Status.DROPPED, 10), 11).status).toBe(Status.DROPPED);
+    expect(bump(item(Status.DROPPED, 99), 100).status).toBe(Status.COMPLETED);
+  });
+
+  it('counts a finished re-read', () => {
+    expect(bump(item(Status.REREADING, 50, 100, { rereadCount: 1 }), 51)).toEqual({ status: Status.REREADING, currentChapter: 51, rereadCount: 1 });
+    expect(bump(item(Status.REREADING, 99, 100, { rereadCount: 1 }), 100)).toEqual({ status: Status.COMPLETED, currentChapter: 100, rereadCount: 2 });
+  });
+
+  it('leaves custom statuses alone except for completing', () => {
+    expect(bump(item('Weekly', 10), 11).status).toBe('Weekly');
+    expect(bump(item('Weekly', 10), 0).status).toBe('Weekly');
+    expect(bump(item('Weekly', 99), 100).status).toBe(Status.COMPLETED);
+  });
+
+  it('follows the volume count for volume-driven titles', () => {
+    const byVolume = item(Status.READING, 300, 0, { progressUnit: 'volume', currentVolume: 36, totalVolumes: 37 });
+    expect(applyStatusTransition(byVolume, { currentVolume: 37 }, 'progress')).toEqual({ status: Status.COMPLETED, currentVolume: 37, rereadCount: 0 });
+  });
+});
+
+describe('edits', () => {
+  it('keeps the chosen status unless the progress contradicts it', () => {
+    expect(edit(item(Status.READING, 10), { status: Status.ON_HOLD }).status).toBe(Status.ON_HOLD);
+    expect(edit(item(Status.READING, 10), { status: 'Weekly' }).status).toBe('Weekly');
+    expect(edit(item(Status.READING, 10), { status: Status.PLAN_TO_READ }).status).toBe(Status.READING);
+    expect(edit(item(Status.READING, 10), { currentChapter: 100 }).status).toBe(Status.COMPLETED);
+  });
+
+  it('starts a re-read of a finished title from chapter 0', () => {
+    expect(edit(item(Status.COMPLETED, 100), { status: Status.REREADING })).toEqual({ status: Status.REREADING, currentChapter: 0, rereadCount: 0 });
+  });
+});
@@ -0,0 +1,241 @@
+import { describe, expect, it } from 'vitest';
+import { Status } from '../src/constants';
+import { createMemoryTrackingRepository } from '../src/repositories/memoryTrackingRepository';
+import { NOW, newItem } from './fixtures';
+
+// --- TRACKING REPOSITORY (in memory, no emulator needed) ---
+
+/**
+ * A repository with one item in it, and a way to read the latest library and history
+ */
+const setup = async (overrides) => {
+  let clock = NOW;
+  const repository = createMemoryTrackingRepository({ userId: 'alice', now: () => clock++ });
+  const itemId = await repository.addItem(newItem(overrides));
+
+  let items = [];
+  repository.subscribe((latest) => { items = latest; });
+  let history = [];
+  repository.subscribeHistory(itemId, (entries) => { history = entries; });
+
+  return {
+    repository,
+    itemId,
+    getItem: () => items.find(item => item.id === itemId),
+    getItems: () => items,
+    getHistory: () => history,
+  };
+};
+
+describe('adding items', () => {
+  it('stores the item and records when it was added', async () => {
+    const { getItem, getHistory, itemId } = await setup();
+    expect(getItem()).toMatchObject({ title: 'Solo Leveling', status: Status.PLAN_TO_READ, currentChapter: 0 });
+    expect(getHistory()).toEqual([
+      expect.objectContaining({ fromStatus: null, toStatus: Status.PLAN_TO_READ, toChapter: 0, userId: 'alice', itemId }),
+    ]);
+  });
+
+  it('keeps the ids of imported items', async () => {
+    const { repository, getItems } = await setup();
+    const { count, write } = repository.importItems([{ id: 'restored', ...newItem({ title: 'Omniscient Reader' }) }, newItem({ title: 'Tower of God' })]);
+    await write;
+    expect(count).toBe(2);
+    expect(getItems().map(item => item.title).sort()).toEqual(['Omniscient Reader', 'Solo Leveling', 'Tower of God']);
+    expect(getItems().find(item => item.id === 'restored').title).toBe('Omniscient Reader');
+  });
+
+  it('starts the timeline of newly imported titles, but not of restored ones', async () => {
+    const { repository, getItems } = await setup();
+    await repository.importItems([{ id: 'restored', ...newItem({ title: 'Omniscient Reader' }) }, newItem({ title: 'Tower of God', currentChapter: 12 })]).write;
+
+    let history = [];
+    repository.subscribeAllHistory((entries) => { history = entries; })();
+    const imported = getItems().find(item => item.title === 'Tower of God');
+    expect(history.filter(entry => entry.itemId === imported.id)).toEqual([
+      expect.objectContaining({ fromStatus: null, toChapter: 12, userId: 'alice' }),
+    ]);
+    expect(history.filter(entry => entry.itemId === 'restored')).toEqual([]);
+  });
+});
+
+describe('progress updates', () => {
+  it('starts reading on the first chapter', async () => {
+    const { repository, getItem, getHistory } = await setup();
+    await repository.updateProgress(getItem(), 1);
+    expect(getItem()).toMatchObject({ status: Status.READING, currentChapter: 1 });
+    expect(getHistory()[0]).toMatchObject({ fromStatus: Status.PLAN_TO_READ, toStatus: Status.READING, fromChapter: 0, toChapter: 1 });
+  });
+
+  it('completes the series on the last chapter', async () => {
+    const { repository, getItem } = await setup({ status: Status.READING, currentChapter: 9 });
+    await repository.updateProgress(getItem(), 1);
+    expect(getItem()).toMatchObject({ status: Status.COMPLETED, currentChapter: 10 });
+  });
+
+  it('goes back to reading when a completed series gets a chapter removed', async () => {
+    const { repository, getItem } = await setup({ status: Status.COMPLETED, currentChapter: 10 });
+    await repository.updateProgress(getItem(), -1);
+    expect(getItem()).toMatchObject({ status: Status.READING, currentChapter: 9 });
+  });
+
+  it('never goes below chapter 0', async () => {
+    const { repository, getItem } = await setup();
+    await repository.updateProgress(getItem(), -1);
+    expect(getItem().currentChapter).toBe(0);
+  });
+
+  it('counts a finished re-read', async () => {
+    const { repository, getItem } = await setup({ status: Status.REREADING, currentChapter: 9, rereadCount: 1 });
+    await repository.updateProgress(getItem(), 1);
+    expect(getItem()).toMatchObject({ status: Status.COMPLETED, rereadCount: 2 });
+  });
+
+  it('stamps the change time', async () => {
+    const { repository, getItem } = await setup({ lastUpdated: 0 });
+    await repository.updateProgress(getItem(), 1);
+    expect(getItem().lastUpdated).toBeGreaterThanOrEqual(NOW);
+  });
+});
+
+describe('fractional chapters and volumes', () => {
+  it('steps from an extra chapter to the next whole one', async () => {
+    const { repository, getItem, getHistory } = await setup({ status: Status.READING, currentChapter: 5.5 });
+    await repository.updateProgress(getItem(), 1);
+    expect(getItem().currentChapter).toBe(6);
+    await repository.updateProgress(getItem(), -1);
+    expect(getItem().currentChapter).toBe(5);
+    expect(getHistory()[1]).toMatchObject({ fromChapter: 5.5, toChapter: 6 });
+  });
+
+  it('jumps straight to a chapter and can be undone', async () => {
+    const { repository, getItem, getHistory } = await setup();
+    const change = repository.setProgress(getItem(), 7.5);
+    expect(getItem()).toMatchObject({ status: Status.READING, currentChapter: 7.5 });
+    expect(getHistory()[0]).toMatchObject({ fromChapter: 0, toChapter: 7.5 });
+
+    await repository.revertChange(change);
+    expect(getItem()).toMatchObject({ status: Status.PLAN_TO_READ, currentChapter: 0 });
+    expect(getHistory()).toHaveLength(1);
+  });
+
+  it('moves and completes volume-tracked items by volume', async () => {
+    const { repository, getItem, getHistory } = await setup({ status: Status.READING, progressUnit: 'volume', currentVolume: 2, totalVolumes: 3, currentChapter: 4 });
+    await repository.updateProgress(getItem(), 1);
+    expect(getItem()).toMatchObject({ status: Status.COMPLETED, currentVolume: 3, currentChapter: 4 });
+    expect(getHistory()[0]).toMatchObject({ fromVolume: 2, toVolume: 3 });
+  });
+
+  it("doesn't complete a volume-tracked item on its chapter total", async () => {
+    const { repository, getItem } = await setup({ progressUnit: 'volume', totalVolumes: 5 });
+    await repository.saveEdit(getItem(), { ...getItem(), currentChapter: '10', currentVolume: '2' });
+    expect(getItem()).toMatchObject({ status: Status.READING, currentChapter: 10, currentVolume: 2 });
+  });
+});
+
+describe('edits', () => {
+  it('moves Plan to Read to Reading when chapters are set', async () => {
+    const { repository, getItem } = await setup();
+    await repository.saveEdit(getItem(), { ...getItem(), currentChapter: '4' });
+    expect(getItem()).toMatchObject({ status: Status.READING, currentChapter: 4 });
+  });
+
+  it('restarts from chapter 0 when a finished series is re-read', async () => {
+    const { repository, getItem } = await setup({ status: Status.COMPLETED, currentChapter: 10 });
+    await repository.saveEdit(getItem(), { ...getItem(), status: Status.REREADING });
+    expect(getItem()).toMatchObject({ status: Status.REREADING, currentChapter: 0 });
+  });
+
+  it('cleans up the form values', async () => {
+    const { repository, getItem } = await setup();
+    await repository.saveEdit(getItem(), { ...getItem(), totalChapters: '20', rating: '8', tags: [' Isekai ', 'isekai'], imageUrl: '' });
+    expect(getItem()).toMatchObject({ totalChapters: 20, rating: 8, tags: ['isekai'] });
+  });
+
+  it('only keeps http(s) source links', async () => {
+    const { repository, getItem } = await setup();
+    await repository.saveEdit(getItem(), { ...getItem(), sourceUrl: ' https://example.com/series ' });
+    expect(getItem().sourceUrl).toBe('https://example.com/series');
+    await repository.saveEdit(getItem(), { ...getItem(), sourceUrl: 'javascript:alert(1)' });
+    expect(getItem().sourceUrl).toBe('');
+  });
+
+  it("doesn't record history when progress didn't change", async () => {
+    const { repository, getItem, getHistory } = await setup();
+    await repository.saveEdit(getItem(), { ...getItem(), notes: 'Great art' });
+    expect(getItem().notes).toBe('Great art');
+    expect(getHistory()).toHaveLength(1);
+  });
+
+  it('merges fields without touching progress', async () => {
+    const { repository, getItem, getHistory } = await setup({ status: Status.READING, currentChapter: 3 });
+    await repository.updateFields(getItem(), { totalChapters: 12, releaseCheckedAt: NOW });
+    expect(getItem()).toMatchObject({ status: Status.READING, currentChapter: 3, totalChapters: 12 });
+    expect(getHistory()).toHaveLength(1);
+  });
+});
+
+describe('undo', () => {
+  it('puts back a chapter bump and drops its history entry', async () => {
+    const { repository, getItem, getHistory } = await setup();
+    const change = repository.updateProgress(getItem(), 1);
+    expect(getItem().status).toBe(Status.READING);
+
+    await repository.revertChange(change);
+    expect(getItem()).toMatchObject({ status: Status.PLAN_TO_READ, currentChapter: 0 });
+    expect(getHistory()).toHaveLength(1);
+  });
+
+  it('puts back an edit without touching fields changed since', async () => {
+    const { repository, getItem } = await setup();
+    const change = repository.saveEdit(getItem(), { ...getItem(), notes: 'Great art', rating: 9 });
+    await repository.updateFields(getItem(), { totalChapters: 12 });
+
+    await repository.revertChange(change);
+    expect(getItem()).toMatchObject({ notes: '', rating: 0, totalChapters: 12 });
+  });
+
+  it('undoes changes newest first', async () => {
+    const { repository, getItem } = await setup();
+    const first = repository.updateProgress(getItem(), 1);
+    const second = repository.updateProgress(getItem(), 1);
+
+    await repository.revertChange(second);
+    expect(getItem().currentChapter).toBe(1);
+    await repository.revertChange(first);
+    expect(getItem().currentChapter).toBe(0);
+  });
+});
+
+describe('trash', () => {
+  it('keeps trashed items until they are restored', async () => {
+    const { repository, getItem } = await setup();
+    await repository.trashItem(getItem());
+    expect(getItem().deletedAt).toBeGreaterThanOrEqual(NOW);
+
+    await repository.restoreItem(getItem());
+    expect(getItem().deletedAt).toBeUndefined();
+  });
+});
+
+describe('deleting', () => {
+  it('removes the item and its history', async () => {
+    const { repository, getItem, getItems, itemId } = await setup();
+    await repository.updateProgress(getItem(), 1);
+    await repository.deleteItem(getItem());
+    expect(getItems()).toEqual([]);
+
+    let history;
+    repository.subscribeHistory(itemId, (entries) => { history = entries; });
+    expect(history).toEqual([]);
+  });
+
+  it('stops notifying after unsubscribing', async () => {
+    const { repository } = await setup();
+    let calls = 0;
+    const unsubscribe = repository.subscribe(() => { calls++; });
+    unsubscribe();
+    await repository.addItem(newItem({ title: 'Tower of God' }));
+    expect(calls).toBe(1);
+  });
+});
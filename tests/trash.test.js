@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { getDaysUntilPurge, getExpiredItems, isTrashed } from '../src/utils/trash';
+import { DAY_MS, NOW } from './fixtures';
+
+// --- TRASH RETENTION ---
+
+describe('trash retention', () => {
+  it('only counts items with a deletion time as trashed', () => {
+    expect(isTrashed({ deletedAt: NOW })).toBe(true);
+    expect(isTrashed({})).toBe(false);
+  });
+
+  it('counts down the days until an item is purged', () => {
+    expect(getDaysUntilPurge({ deletedAt: NOW }, NOW)).toBe(30);
+    expect(getDaysUntilPurge({ deletedAt: NOW - 29.5 * DAY_MS }, NOW)).toBe(1);
+    expect(getDaysUntilPurge({ deletedAt: NOW - 40 * DAY_MS }, NOW)).toBe(0);
+  });
+
+  it('expires items after 30 days', () => {
+    const fresh = { id: 'fresh', deletedAt: NOW - 29 * DAY_MS };
+    const old = { id: 'old', deletedAt: NOW - 30 * DAY_MS };
+    expect(getExpiredItems([fresh, old], NOW)).toEqual([old]);
+  });
+});